@@ -6,11 +6,19 @@ import { AudioManager } from './core/AudioManager.js';
 import { SettingsManager } from './core/SettingsManager.js';
 import { PointerLockControls } from './core/PointerLockControls.js';
 import { World } from './world/World.js';
+import { ChunkStore } from './world/ChunkStore.js';
 import { Sky } from './world/Sky.js';
 import { Player } from './entities/Player.js';
+import { ParticleSystem } from './effects/ParticleSystem.js';
 
 export class Game {
-    constructor() {
+    /**
+     * @param {SettingsManager} settingsManager - Shared settings (optional; the game
+     *     creates its own otherwise). Sharing lets changes made in the options menu
+     *     apply to the running game.
+     * @param {ResourcePackManager} resourcePacks - Enabled resource packs (optional)
+     */
+    constructor(settingsManager = null, resourcePacks = null) {
         // Core properties
         this.scene = null;
         this.camera = null;
@@ -22,11 +30,18 @@ export class Game {
         this.player = null;
         this.world = null;
         this.sky = null;
+        this.particles = null;
+        this.chunkStore = null; // Modified chunks in IndexedDB (see ChunkStore)
         
         // System managers
         this.resourceManager = null;
         this.audioManager = null;
-        this.settingsManager = null;
+        this.settingsManager = settingsManager;
+        this.resourcePacks = resourcePacks;
+        this.resourcePackSounds = [];  // Names of the sounds loaded from resource packs
+        this.resourcePackReload = Promise.resolve(); // Last resource pack change, to apply them in order
+        this.smoothLightingListener = null; // Settings listener id, removed on dispose
+        this.particlesListener = null;
         
         // Lighting
         this.ambientLight = null;
@@ -53,6 +68,8 @@ export class Game {
     /**
      * Initialize the game
      * @param {Object} options - Game initialization options
+     * @param {number} options.seed - Seed of the new world (optional, random otherwise)
+     * @param {Object} options.preset - World type of the new world (optional, see WorldPresets)
      * @returns {Promise} - Promise that resolves when initialization is complete
      */
     async init(options = {}) {
@@ -79,7 +96,7 @@ export class Game {
             this.setupEventListeners();
             
             // Create game components
-            await this.createGameComponents();
+            await this.createGameComponents(options);
             
             // Performance monitoring
             this.setupPerformanceMonitoring();
@@ -104,8 +121,10 @@ export class Game {
      */
     async createManagers() {
         // Create settings manager
-        this.settingsManager = new SettingsManager();
-        this.settingsManager.init();
+        if (!this.settingsManager) {
+            this.settingsManager = new SettingsManager();
+            this.settingsManager.init();
+        }
         
         // Create resource manager
         this.resourceManager = new ResourceManager();
@@ -122,20 +141,49 @@ export class Game {
      * @private
      */
     async loadResources() {
-        // Define textures to load
-        const textures = [
-            { name: 'dirt', url: 'assets/textures/dirt.png' },
-            { name: 'grass_top', url: 'assets/textures/grass_top.png' },
-            { name: 'grass_side', url: 'assets/textures/grass_side.png' },
-            { name: 'stone', url: 'assets/textures/stone.png' },
-            { name: 'sand', url: 'assets/textures/sand.png' },
-            { name: 'water', url: 'assets/textures/water.png' },
-            { name: 'wood', url: 'assets/textures/wood.png' },
-            { name: 'leaves', url: 'assets/textures/leaves.png' }
-        ];
-        
-        // Load textures
-        await this.resourceManager.loadTextures(textures);
+        // Block types and the textures they use (see ResourceManager.registerBlockType)
+        await this.resourceManager.loadBlockRegistry('assets/blocks.json');
+        
+        // Resource packs replace some of them before anything is built
+        if (this.resourcePacks) {
+            await this.resourceManager.applyResourcePacks(this.resourcePacks.getOverrides());
+        }
+    }
+    
+    /**
+     * Apply the enabled resource packs to the running game
+     * Textures, block definitions and sounds are swapped in place; the world
+     * rebuilds its chunk meshes in the background. A game that is still loading
+     * picks the packs up in loadResources.
+     * @returns {Promise<boolean>} - Whether every override was applied
+     */
+    applyResourcePacks() {
+        if (!this.resourcePacks || !this.isRunning) return Promise.resolve(true);
+        
+        // Changes made while one is still loading wait for it
+        this.resourcePackReload = this.resourcePackReload.then(async () => {
+            const overrides = this.resourcePacks.getOverrides();
+            const success = await this.resourceManager.applyResourcePacks(overrides);
+            await this.loadResourcePackSounds(overrides.sounds);
+            return success;
+        });
+        return this.resourcePackReload;
+    }
+    
+    /**
+     * Replace the sounds loaded from resource packs
+     * @param {Array} sounds - Sounds for AudioManager.loadSounds
+     * @private
+     */
+    async loadResourcePackSounds(sounds) {
+        if (!this.audioManager) return;
+        
+        this.resourcePackSounds.forEach(name => this.audioManager.unloadSound(name));
+        this.resourcePackSounds = sounds.map(sound => sound.name);
+        
+        if (sounds.length > 0) {
+            await this.audioManager.loadSounds(sounds);
+        }
     }
     
     /**
@@ -243,7 +291,7 @@ export class Game {
      * Create game components
      * @private
      */
-    async createGameComponents() {
+    async createGameComponents(options = {}) {
         // Create controls
         this.controls = new PointerLockControls(this.camera, this.renderer.domElement, this.settingsManager);
         this.controls.enable();
@@ -264,6 +312,10 @@ export class Game {
             
             // Uncomment to load sounds when they're available
             // await this.audioManager.loadSounds(sounds);
+            
+            if (this.resourcePacks) {
+                await this.loadResourcePackSounds(this.resourcePacks.getOverrides().sounds);
+            }
         }
         
         // Create sky
@@ -273,9 +325,49 @@ export class Game {
         // Create world
         this.world = new World(this.scene, this.resourceManager);
         this.world.init({
-            renderDistance: this.settingsManager.getSetting('graphics.renderDistance')
+            seed: options.seed,
+            preset: options.preset,
+            renderDistance: this.settingsManager.getSetting('graphics.renderDistance'),
+            smoothLighting: this.settingsManager.getSetting('graphics.smoothLighting')
         });
         
+        // Modified chunks go to IndexedDB; without it they are listed in the save.
+        // Chunks of worlds other than the saved one were never saved: drop them.
+        if (!this.chunkStore) {
+            this.chunkStore = new ChunkStore(this.world.chunkSize, this.resourceManager);
+            if (await this.chunkStore.open()) {
+                await this.chunkStore.keepOnly(this.getSavedWorldId()).catch(error => {
+                    console.warn('Unsaved chunks could not be removed:', error);
+                });
+            }
+        }
+        this.world.setChunkStore(this.chunkStore.isOpen() ? this.chunkStore : null);
+        
+        // Remesh the terrain when smooth lighting is toggled (once; resets replace the world)
+        if (!this.smoothLightingListener) {
+            this.smoothLightingListener = this.settingsManager.registerChangeListener('graphics.smoothLighting', (enabled) => {
+                this.world.setSmoothLighting(enabled);
+            });
+        }
+        
+        // Particle effects (torch flames), switched off with the particles setting
+        if (this.particles) {
+            this.particles.dispose();
+        }
+        this.particles = new ParticleSystem(this.scene);
+        if (this.settingsManager.getSetting('graphics.particles')) {
+            this.world.setParticleSystem(this.particles);
+        }
+        
+        if (!this.particlesListener) {
+            this.particlesListener = this.settingsManager.registerChangeListener('graphics.particles', (enabled) => {
+                if (!enabled) {
+                    this.particles.removeAll();
+                }
+                this.world.setParticleSystem(enabled ? this.particles : null);
+            });
+        }
+        
         // Create player
         this.player = new Player(this.camera, this.controls, this.world);
         this.player.init();
@@ -400,9 +492,23 @@ export class Game {
             this.world.update(deltaTime, this.player.position);
         }
         
-        // Update sky
+        // Update sky, with precipitation matching the player's biome and none in caves
         if (this.sky) {
+            if (this.world) {
+                this.sky.setBiome(this.world.getBiomeAt(this.player.position.x, this.player.position.z));
+                this.sky.setUnderground(this.world.isInCave(this.camera.position));
+            }
             this.sky.update(deltaTime);
+            
+            // Skylight baked into the terrain follows the time of day
+            this.resourceManager.setDaylight(this.sky.getDaylight());
+        }
+        
+        // Animated textures and flowing fluids
+        this.resourceManager.update(deltaTime);
+        
+        if (this.particles) {
+            this.particles.update(deltaTime);
         }
         
         // Update UI elements
@@ -521,21 +627,33 @@ export class Game {
      * @returns {Object} - Game state data
      */
     saveGame() {
+        const worldData = this.world ? this.world.save() : null;
         const gameData = {
             version: 1,
             timestamp: Date.now(),
             player: this.player ? this.player.save() : null,
             world: {
-                seed: this.world ? this.world.seed : Math.floor(Math.random() * 2147483647),
+                id: worldData ? worldData.id : undefined,
+                seed: worldData ? worldData.seed : Math.floor(Math.random() * 2147483647),
+                preset: worldData ? worldData.preset : undefined,
                 time: this.sky ? this.sky.time : 8000,
                 weather: this.sky ? this.sky.currentWeather : 'clear',
-                blocks: this.world ? this.world.save().blocks : []
+                // Edits not in the chunk store
+                blocks: worldData ? worldData.blocks : []
             }
         };
         
         // Save to local storage
         try {
             localStorage.setItem('minecraft_clone_save', JSON.stringify(gameData));
+            
+            // The chunks written this session become part of the saved world,
+            // which replaces the previous save and its chunks
+            if (worldData && this.chunkStore && this.chunkStore.isOpen()) {
+                this.chunkStore.commit().then(() => this.chunkStore.keepOnly(worldData.id)).catch(error => {
+                    console.warn('Chunks of the save could not be stored:', error);
+                });
+            }
             console.log('Game saved successfully');
             return gameData;
         } catch (error) {
@@ -544,6 +662,20 @@ export class Game {
         }
     }
     
+    /**
+     * Get the id of the saved world, whose stored chunks must be kept
+     * @returns {string} - World id, or null without a save (or for saves from before world ids)
+     * @private
+     */
+    getSavedWorldId() {
+        try {
+            const saveData = JSON.parse(localStorage.getItem('minecraft_clone_save'));
+            return (saveData && saveData.world && saveData.world.id) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
     /**
      * Load a saved game
      * @param {Object} saveData - Saved game data (optional, will load from storage if not provided)
@@ -629,19 +761,31 @@ export class Game {
         window.removeEventListener('resize', this.onWindowResize);
         document.removeEventListener('keydown', this.onKeyDown);
         
+        // Stop listening to shared settings
+        if (this.smoothLightingListener) {
+            this.settingsManager.unregisterChangeListener('graphics.smoothLighting', this.smoothLightingListener);
+        }
+        if (this.particlesListener) {
+            this.settingsManager.unregisterChangeListener('graphics.particles', this.particlesListener);
+        }
+        
         // Dispose components
         if (this.controls) {
             this.controls.dispose();
         }
         
         if (this.world) {
-            this.world.clear();
+            this.world.dispose();
         }
         
         if (this.sky) {
             this.sky.dispose();
         }
         
+        if (this.particles) {
+            this.particles.dispose();
+        }
+        
         if (this.audioManager) {
             this.audioManager.dispose();
         }
@@ -18,12 +18,16 @@ import { UIManager } from './ui/UIManager.js';
 import { ResourceManager } from './core/ResourceManager.js';
 import { AudioManager } from './core/AudioManager.js';
 import { SettingsManager } from './core/SettingsManager.js';
+import { ResourcePackManager } from './core/ResourcePackManager.js';
+import { MathUtils } from './utils/MathUtils.js';
+import { WORLD_PRESETS, resolvePreset, getPresetTemplate, parseLayers, formatLayers } from './world/WorldPresets.js';
 
 class Application {
     constructor() {
         // Core components
         this.game = null;
         this.settingsManager = null;
+        this.resourcePackManager = null;
         this.resourceManager = null;
         this.audioManager = null;
         this.uiManager = null;
@@ -31,10 +35,13 @@ class Application {
         // Application state
         this.isLoading = false;
         this.hasExistingSave = false;
+        this.heightmapImages = { image: null, surface: null }; // Picked heightmap files, as data URLs
         
         // Bind methods to this
         this.init = this.init.bind(this);
         this.startGame = this.startGame.bind(this);
+        this.openCreateWorld = this.openCreateWorld.bind(this);
+        this.createWorld = this.createWorld.bind(this);
         this.resumeGame = this.resumeGame.bind(this);
         this.openOptions = this.openOptions.bind(this);
         this.saveGame = this.saveGame.bind(this);
@@ -72,6 +79,12 @@ class Application {
         // Show main menu
         this.uiManager.showScreen('main-menu');
         
+        // Stored resource packs (their UI strings apply to the menus too)
+        this.resourcePackManager = new ResourcePackManager(this.settingsManager);
+        await this.resourcePackManager.init();
+        this.setupResourcePackEvents();
+        this.applyResourcePacks();
+        
         console.log('Application initialized');
     }
     
@@ -86,7 +99,7 @@ class Application {
         const optionsButton = document.getElementById('options');
         
         if (startGameButton) {
-            startGameButton.addEventListener('click', this.startGame);
+            startGameButton.addEventListener('click', this.openCreateWorld);
         }
         
         if (loadGameButton) {
@@ -99,6 +112,9 @@ class Application {
             optionsButton.addEventListener('click', this.openOptions);
         }
         
+        // New world settings
+        this.setupCreateWorldEvents();
+        
         // Pause menu
         const resumeButton = document.getElementById('resume-game');
         const pauseOptionsButton = document.getElementById('pause-options');
@@ -186,6 +202,9 @@ class Application {
                         }
                     });
                     
+                    // Resetting disables every resource pack
+                    this.applyResourcePacks();
+                    
                     // Show notification
                     this.uiManager.showNotification('Settings reset to defaults', 'info');
                 }
@@ -218,11 +237,260 @@ class Application {
         document.addEventListener('keydown', this.handleKeyDown);
     }
     
+    /**
+     * Set up the create world screen: the world type picks which settings are
+     * shown, and switching to Custom fills the editor with the JSON of the
+     * previously picked type
+     * @private
+     */
+    setupCreateWorldEvents() {
+        const typeSelect = document.getElementById('world-type');
+        const layersInput = document.getElementById('world-layers');
+        const presetInput = document.getElementById('world-preset');
+        if (!typeSelect) return;
+        
+        if (layersInput) {
+            layersInput.value = formatLayers(WORLD_PRESETS.superflat.layers);
+        }
+        
+        let previousType = typeSelect.value;
+        typeSelect.addEventListener('change', () => {
+            const type = typeSelect.value;
+            if (type === 'custom' && presetInput) {
+                const template = getPresetTemplate(previousType);
+                if (previousType === 'superflat' && layersInput) {
+                    try {
+                        template.layers = parseLayers(layersInput.value);
+                    } catch (error) {
+                        // Keep the preset's own layers
+                    }
+                }
+                if (previousType === 'heightmap') {
+                    template.heightmap = this.readHeightmapSettings();
+                }
+                presetInput.value = JSON.stringify(template, null, 2);
+            }
+            previousType = type;
+            
+            document.getElementById('world-layers-row').style.display = type === 'superflat' ? 'flex' : 'none';
+            document.getElementById('world-preset-row').style.display = type === 'custom' ? 'flex' : 'none';
+            document.getElementById('world-heightmap-settings').style.display = type === 'heightmap' ? 'block' : 'none';
+        });
+        
+        // Picked images are embedded in the save as data URLs
+        for (const [name, id] of [['image', 'world-heightmap-file'], ['surface', 'world-surface-file']]) {
+            const fileInput = document.getElementById(id);
+            if (!fileInput) continue;
+            
+            fileInput.addEventListener('change', () => {
+                const file = fileInput.files[0];
+                this.heightmapImages[name] = null;
+                if (!file) return;
+                
+                const reader = new FileReader();
+                reader.onload = () => { this.heightmapImages[name] = reader.result; };
+                reader.onerror = () => this.uiManager.showNotification(`Could not read ${file.name}`, 'error');
+                reader.readAsDataURL(file);
+            });
+        }
+        
+        const confirmButton = document.getElementById('create-world-confirm');
+        if (confirmButton) {
+            confirmButton.addEventListener('click', this.createWorld);
+        }
+        
+        const backButton = document.getElementById('create-world-back');
+        if (backButton) {
+            backButton.addEventListener('click', () => this.uiManager.showScreen('mainMenu'));
+        }
+    }
+    
+    /**
+     * Show the create world screen
+     */
+    openCreateWorld() {
+        if (this.game) return;
+        this.uiManager.showScreen('createWorld');
+    }
+    
+    /**
+     * Start a new world with the settings of the create world screen
+     * Invalid settings are reported and the screen stays open.
+     */
+    async createWorld() {
+        let worldOptions;
+        try {
+            worldOptions = this.readWorldOptions(await this.loadBlockNames());
+        } catch (error) {
+            this.uiManager.showNotification(error.message, 'error');
+            return;
+        }
+        
+        this.startGame(false, worldOptions);
+    }
+    
+    /**
+     * Get the names of the block types a new world can use: the game's blocks
+     * and those added by the enabled resource packs
+     * @returns {Promise<Array>} - Block type names
+     * @private
+     */
+    async loadBlockNames() {
+        const response = await fetch('assets/blocks.json');
+        if (!response.ok) {
+            throw new Error(`Block types could not be loaded (${response.status})`);
+        }
+        
+        const { blocks } = await response.json();
+        const packBlocks = this.resourcePackManager ? this.resourcePackManager.getOverrides().blocks : {};
+        return ['air', ...Object.keys(blocks), ...Object.keys(packBlocks)];
+    }
+    
+    /**
+     * Read the seed and world preset from the create world screen
+     * @param {Array} blockNames - Block type names the preset may use
+     * @returns {Object} - {seed, preset}; seed is undefined for a random one
+     * @throws {Error} - When the layers, the heightmap settings or the custom JSON are invalid
+     * @private
+     */
+    readWorldOptions(blockNames) {
+        const type = document.getElementById('world-type').value;
+        let preset = { type };
+        
+        if (type === 'superflat') {
+            preset.layers = parseLayers(document.getElementById('world-layers').value);
+        } else if (type === 'heightmap') {
+            preset.heightmap = this.readHeightmapSettings();
+        } else if (type === 'custom') {
+            try {
+                preset = JSON.parse(document.getElementById('world-preset').value || '{}');
+            } catch (error) {
+                throw new Error(`Invalid world preset JSON: ${error.message}`);
+            }
+            preset = { type: 'custom', ...preset };
+        }
+        
+        // Numbers are used as they are, any other text is hashed
+        const seedText = document.getElementById('world-seed').value.trim();
+        let seed;
+        if (/^-?\d+$/.test(seedText)) {
+            seed = parseInt(seedText, 10);
+        } else if (seedText) {
+            seed = Math.abs(MathUtils.hashString(seedText));
+        }
+        
+        return { seed, preset: resolvePreset(preset, blockNames) };
+    }
+    
+    /**
+     * Read the heightmap settings of the create world screen
+     * A picked file is embedded; otherwise the URL is kept as a reference.
+     * @returns {Object} - Heightmap settings of a preset (see WorldPresets)
+     * @private
+     */
+    readHeightmapSettings() {
+        const value = id => document.getElementById(id).value.trim();
+        
+        return {
+            ...WORLD_PRESETS.heightmap.heightmap,
+            image: this.heightmapImages.image || value('world-heightmap-url'),
+            surface: this.heightmapImages.surface || value('world-surface-url') || null,
+            minHeight: parseInt(value('world-heightmap-min'), 10),
+            maxHeight: parseInt(value('world-heightmap-max'), 10),
+            scale: parseFloat(value('world-heightmap-scale')),
+            wrap: value('world-heightmap-wrap')
+        };
+    }
+    
+    /**
+     * Set up the resource pack tab: importing (file pickers or a dropped .zip)
+     * and the pack list buttons
+     * @private
+     */
+    setupResourcePackEvents() {
+        const packs = this.resourcePackManager;
+        
+        const importPack = async (load) => {
+            try {
+                const pack = await load();
+                this.uiManager.showNotification(`Resource pack '${pack.name}' added`, 'info');
+            } catch (error) {
+                console.error('Failed to import resource pack:', error);
+                this.uiManager.showNotification(`Resource pack not added: ${error.message}`, 'error');
+            }
+        };
+        
+        const zipInput = document.getElementById('pack-zip');
+        if (zipInput) {
+            zipInput.addEventListener('change', async () => {
+                for (const file of zipInput.files) {
+                    await importPack(() => packs.importZip(file));
+                }
+                zipInput.value = '';
+            });
+        }
+        
+        const folderInput = document.getElementById('pack-folder');
+        if (folderInput) {
+            folderInput.addEventListener('change', async () => {
+                if (folderInput.files.length > 0) {
+                    await importPack(() => packs.importFolder(folderInput.files));
+                }
+                folderInput.value = '';
+            });
+        }
+        
+        const packsTab = document.getElementById('packs-tab');
+        if (packsTab) {
+            packsTab.addEventListener('dragover', (event) => {
+                event.preventDefault();
+                packsTab.classList.add('drag-over');
+            });
+            packsTab.addEventListener('dragleave', () => packsTab.classList.remove('drag-over'));
+            packsTab.addEventListener('drop', async (event) => {
+                event.preventDefault();
+                packsTab.classList.remove('drag-over');
+                for (const file of event.dataTransfer.files) {
+                    await importPack(() => packs.importZip(file));
+                }
+            });
+        }
+        
+        this.uiManager.on('resourcePackToggle', (id, enabled) => packs.setPackEnabled(id, enabled));
+        this.uiManager.on('resourcePackMove', (id, direction) => packs.movePack(id, direction));
+        this.uiManager.on('resourcePackRemove', (id) => {
+            packs.removePack(id).catch(error => console.error('Failed to remove resource pack:', error));
+        });
+        
+        // Every change to the enabled packs (including imports and removals) lands here
+        this.settingsManager.registerChangeListener('resourcePacks.active', () => this.applyResourcePacks());
+    }
+    
+    /**
+     * Apply the enabled resource packs to the menus and the running game
+     * @private
+     */
+    async applyResourcePacks() {
+        const packs = this.resourcePackManager;
+        if (!packs) return;
+        
+        this.uiManager.updateResourcePacks(packs.getPacks());
+        this.uiManager.applyStrings(packs.getOverrides().strings);
+        
+        if (this.game) {
+            const success = await this.game.applyResourcePacks();
+            if (!success) {
+                this.uiManager.showNotification('Some resource pack changes could not be applied', 'warning');
+            }
+        }
+    }
+    
     /**
      * Start or load a game
      * @param {boolean} loadSave - Whether to load a saved game
+     * @param {Object} worldOptions - Seed and preset of a new world (see Game.init)
      */
-    async startGame(loadSave = false) {
+    async startGame(loadSave = false, worldOptions = {}) {
         if (this.game) return;
         
         // Show loading screen
@@ -234,8 +502,8 @@ class Application {
         
         try {
             // Create and initialize game
-            this.game = new Game();
-            const initSuccess = await this.game.init();
+            this.game = new Game(this.settingsManager, this.resourcePackManager);
+            const initSuccess = await this.game.init(worldOptions);
             
             if (!initSuccess) {
                 throw new Error('Game initialization failed');
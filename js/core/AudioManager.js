@@ -101,6 +101,26 @@ export class AudioManager {
         }
     }
     
+    /**
+     * Remove a loaded sound or music track
+     * @param {string} name - Name of the sound
+     */
+    unloadSound(name) {
+        const sound = this.sounds.get(name) || this.music.get(name);
+        if (!sound) return;
+        
+        if (sound.isPlaying) sound.stop();
+        sound.disconnect();
+        if (this.currentMusic === sound) this.currentMusic = null;
+        
+        this.sounds.delete(name);
+        this.music.delete(name);
+        Object.values(this.categories).forEach(names => {
+            const index = names.indexOf(name);
+            if (index !== -1) names.splice(index, 1);
+        });
+    }
+    
     /**
      * Play a sound effect
      * @param {string} name - Name of the sound to play
@@ -1,3 +1,34 @@
+import { TextureAtlas } from './TextureAtlas.js';
+import { MODEL_NAMES, getModelBoxes, isCrossModel } from '../world/BlockModels.js';
+
+// שדות מותרים בהגדרת בלוק ובדיקת הסוג של כל אחד (ראה validateBlockType)
+const BLOCK_FIELDS = {
+    id: 'number',
+    name: 'string',
+    textures: 'object',
+    solid: 'boolean',
+    transparent: 'boolean',
+    hardness: 'number',
+    unbreakable: 'boolean',
+    tool: 'string',
+    drops: 'string',
+    icon: 'string',
+    lightLevel: 'number',
+    lightOpacity: 'number',
+    physics: 'string',
+    model: 'string',
+    flame: 'boolean',
+    sounds: 'string',
+    renderLayer: 'string'
+};
+
+const TEXTURE_FACES = ['all', 'top', 'bottom', 'side'];
+
+// מחזור השעון של הזזת הטקסטורות: במהירויות של ChunkMesher (כפולות של 1/4 בלוק
+// לשנייה) הטקסטורה זזה בו מספר שלם של בלוקים, כך שהאיפוס לא נראה
+const TEXTURE_TIME_PERIOD = 8;
+const RENDER_LAYERS = ['opaque', 'cutout', 'translucent'];
+
 /**
  * ResourceManager - אחראי על טעינת וניהול משאבים במשחק
  * כולל טקסטורות, מודלים, ואיחסונם בזיכרון
@@ -5,231 +36,570 @@
 export class ResourceManager {
     constructor() {
         this.textures = new Map(); // מאגר טקסטורות
+        this.textureUrls = new Map(); // כל הטקסטורות שהוגדרו (גם אם הטעינה נכשלה) - שם => כתובת
+        this.textureOverrides = new Map(); // טקסטורות מחבילות משאבים - שם => כתובת (גוברות על textureUrls)
+        this.textureAnimations = new Map(); // טקסטורות מונפשות - שם => {frametime, frames}
+        this.animationOverrides = new Map(); // הנפשות של טקסטורות מחבילות משאבים
         this.models = new Map();   // מאגר מודלים
         this.materials = new Map(); // מאגר חומרים
         this.blockTypes = new Map(); // סוגי בלוקים
+        this.blockTypesById = [];    // סוגי בלוקים לפי מזהה מספרי, לגישה מהירה
+        this.blockDefinitions = new Map(); // ההגדרות כפי שנרשמו, לפני שינויים מחבילות משאבים
+        this.declaredBlocks = new Set();   // מפתחות הבלוקים שבטעינה, כדי ש-drops יוכל להפנות לבלוק שמוגדר בהמשך
+        this.blockOverrides = new Map();   // שינויים בהגדרות בלוקים מחבילות המשאבים הפעילות
+        this.blockTypeListeners = new Set(); // מאזינים לשינויים בסוגי הבלוקים
         
         this.textureLoader = new THREE.TextureLoader();
         
-        // הגדרת מילון סוגי בלוקים
-        this.defineBlockTypes();
+        // אטלס טקסטורות - כל טקסטורות הבלוקים בטקסטורה אחת, כדי לצייר צ'אנק בקריאת ציור אחת
+        this.atlas = new TextureAtlas();
+        this.atlasLayout = { value: new THREE.Vector4() }; // מבנה האטלס לשיידר, משותף לחומרי הצ'אנקים
+        
+        // עוצמת אור השמיים (0-1) לפי השעה ביום, משותפת לכל חומרי הבלוקים
+        this.daylight = { value: 1 };
+        
+        // שעון להזזת הטקסטורה של נוזלים זורמים (שניות, מתאפס כל TEXTURE_TIME_PERIOD)
+        this.textureTime = { value: 0 };
+        
+        // אוויר מובנה (מזהה 0 הוא תא ריק בצ'אנק); שאר הבלוקים נטענים מ-JSON (loadBlockRegistry)
+        this.registerBlockType('air', {
+            id: 0,
+            name: 'Air',
+            transparent: true,
+            solid: false,
+            textures: null,
+            hardness: 0,
+            drops: null,
+            icon: null
+        });
     }
     
     /**
      * טעינת מספר טקסטורות בו-זמנית
-     * @param {Array} texturesList - רשימת הטקסטורות לטעינה
-     * @returns {Promise} - הבטחה שמסמלת את סיום הטעינה
+     * @param {Array} texturesList - רשימת הטקסטורות לטעינה: {name, url, animation}, כאשר
+     * animation (לא חובה) הופך את התמונה לרצועה אנכית של פריימים ריבועיים:
+     * {frametime: טיקים לפריים (20 בשנייה), frames: סדר הפריימים (ברירת מחדל - כולם לפי הסדר)}
+     * @returns {Promise<boolean>} - האם כל הטקסטורות נטענו (החומרים נוצרים בכל מקרה)
      */
     async loadTextures(texturesList) {
-        const promises = texturesList.map(textureInfo => {
-            return new Promise((resolve, reject) => {
-                this.textureLoader.load(
-                    textureInfo.url,
-                    texture => {
-                        // הגדרות בסיסיות לטקסטורה
-                        texture.wrapS = THREE.RepeatWrapping;
-                        texture.wrapT = THREE.RepeatWrapping;
-                        texture.magFilter = THREE.NearestFilter; // פיקסלים ברורים בסגנון מיינקראפט
-                        texture.minFilter = THREE.NearestFilter;
-                        
-                        // שמירת הטקסטורה במאגר
-                        this.textures.set(textureInfo.name, texture);
-                        resolve(texture);
-                    },
-                    undefined, // התקדמות - לא בשימוש כרגע
-                    error => {
-                        console.error(`Error loading texture ${textureInfo.url}:`, error);
-                        reject(error);
-                    }
-                );
-            });
-        });
+        for (const textureInfo of texturesList) {
+            this.textureUrls.set(textureInfo.name, textureInfo.url);
+            if (textureInfo.animation) {
+                this.textureAnimations.set(textureInfo.name, textureInfo.animation);
+            }
+        }
         
-        try {
-            await Promise.all(promises);
+        // טקסטורה שנכשלה לא עוצרת את השאר - באטלס היא מקבלת את אריח החסר
+        let failed = 0;
+        await Promise.all(texturesList.map(textureInfo =>
+            this.loadTexture(textureInfo.name, textureInfo.url).catch(() => { failed++; })));
+        
+        if (failed > 0) {
+            console.error(`Failed to load ${failed} of ${texturesList.length} textures`);
+        } else {
             console.log(`Loaded ${texturesList.length} textures successfully`);
-            
-            // יצירת חומרים מהטקסטורות שנטענו
-            this.createMaterials();
-            return true;
-        } catch (error) {
-            console.error('Failed to load some textures:', error);
-            return false;
         }
+        
+        // יצירת חומרים מהטקסטורות שנטענו
+        this.createMaterials();
+        return failed === 0;
+    }
+    
+    /**
+     * טעינת טקסטורה אחת לתוך המאגר
+     * @param {string} name - שם הטקסטורה
+     * @param {string} url - כתובת הקובץ
+     * @returns {Promise<THREE.Texture>} - הטקסטורה שנטענה
+     * @private
+     */
+    loadTexture(name, url) {
+        return new Promise((resolve, reject) => {
+            this.textureLoader.load(
+                url,
+                texture => {
+                    // הגדרות בסיסיות לטקסטורה
+                    texture.wrapS = THREE.RepeatWrapping;
+                    texture.wrapT = THREE.RepeatWrapping;
+                    texture.magFilter = THREE.NearestFilter; // פיקסלים ברורים בסגנון מיינקראפט
+                    texture.minFilter = THREE.NearestFilter;
+                    
+                    // שמירת הטקסטורה במאגר (במקום טקסטורה קודמת באותו שם)
+                    const previous = this.textures.get(name);
+                    if (previous) {
+                        previous.dispose();
+                    }
+                    this.textures.set(name, texture);
+                    resolve(texture);
+                },
+                undefined, // התקדמות - לא בשימוש כרגע
+                error => {
+                    console.error(`Error loading texture ${url}:`, error);
+                    reject(error);
+                }
+            );
+        });
     }
     
     /**
      * יצירת חומרים מהטקסטורות שנטענו
+     * כל טקסטורות הבלוקים נארזות באטלס, ולכל שכבת רינדור יש חומר אחד:
+     * terrain לצ'אנקים (הטקסטורה חוזרת בתוך האריח, ראה applyAtlasTiling)
+     * ו-block לבלוקים בודדים (פריטים, בלוקים נופלים) עם UV של האריח עצמו.
+     * בקריאה חוזרת (החלפת טקסטורות) האטלס נבנה מחדש והחומרים הקיימים מתעדכנים במקום.
      */
     createMaterials() {
-        // חומרים בסיסיים לכל סוג בלוק
-        if (this.textures.has('dirt')) {
-            const dirtMaterial = new THREE.MeshLambertMaterial({ 
-                map: this.textures.get('dirt'),
-                side: THREE.FrontSide
-            });
-            this.materials.set('dirt', dirtMaterial);
-        }
-        
-        // חומר דשא - שונה בכל פאה
-        if (this.textures.has('grass_top') && this.textures.has('grass_side') && this.textures.has('dirt')) {
-            // יצירת מערך חומרים - שונה לכל פאה של הקוביה
-            const grassMaterials = [
-                new THREE.MeshLambertMaterial({ map: this.textures.get('grass_side') }), // right
-                new THREE.MeshLambertMaterial({ map: this.textures.get('grass_side') }), // left
-                new THREE.MeshLambertMaterial({ map: this.textures.get('grass_top') }),  // top
-                new THREE.MeshLambertMaterial({ map: this.textures.get('dirt') }),       // bottom
-                new THREE.MeshLambertMaterial({ map: this.textures.get('grass_side') }), // front
-                new THREE.MeshLambertMaterial({ map: this.textures.get('grass_side') })  // back
-            ];
-            this.materials.set('grass', grassMaterials);
-        }
-        
-        // חומר אבן
-        if (this.textures.has('stone')) {
-            const stoneMaterial = new THREE.MeshLambertMaterial({ 
-                map: this.textures.get('stone'),
-                side: THREE.FrontSide
-            });
-            this.materials.set('stone', stoneMaterial);
+        const images = new Map();
+        for (const [name, texture] of this.textures.entries()) {
+            images.set(name, texture.image);
         }
+        const atlasTexture = this.atlas.build(images, this.getTextureAnimations());
+        this.atlasLayout.value.set(...this.atlas.getLayout());
         
-        // חומר חול
-        if (this.textures.has('sand')) {
-            const sandMaterial = new THREE.MeshLambertMaterial({ 
-                map: this.textures.get('sand'),
-                side: THREE.FrontSide
-            });
-            this.materials.set('sand', sandMaterial);
+        if (this.materials.has('terrain')) {
+            for (const material of this.materials.values()) {
+                material.map = atlasTexture;
+                material.needsUpdate = true;
+            }
+            return;
         }
         
-        // חומר מים - שקיפות
-        if (this.textures.has('water')) {
-            const waterMaterial = new THREE.MeshLambertMaterial({ 
-                map: this.textures.get('water'),
+        for (const layer of ['opaque', 'cutout', 'translucent']) {
+            const suffix = layer === 'opaque' ? '' : `_${layer}`;
+            
+            const terrain = this.createLayerMaterial(layer, atlasTexture);
+            this.applyBlockLighting(terrain);
+            this.applyAtlasTiling(terrain);
+            this.materials.set(`terrain${suffix}`, terrain);
+            
+            const block = this.createLayerMaterial(layer, atlasTexture);
+            this.applyBlockLighting(block);
+            this.materials.set(`block${suffix}`, block);
+        }
+    }
+    
+    /**
+     * ההנפשות של הטקסטורות הטעונות; טקסטורה מחבילת משאבים מונפשת רק לפי החבילה
+     * @returns {Map} - שם => {frametime, frames}
+     * @private
+     */
+    getTextureAnimations() {
+        const animations = new Map();
+        for (const name of this.textures.keys()) {
+            const animation = this.textureOverrides.has(name)
+                ? this.animationOverrides.get(name)
+                : this.textureAnimations.get(name);
+            if (animation) {
+                animations.set(name, animation);
+            }
+        }
+        return animations;
+    }
+    
+    /**
+     * קידום ההנפשות: פריימים של טקסטורות מונפשות ושעון הזזת הטקסטורות
+     * @param {number} delta - הזמן מהעדכון הקודם בשניות
+     */
+    update(delta) {
+        this.textureTime.value = (this.textureTime.value + delta) % TEXTURE_TIME_PERIOD;
+        this.atlas.update(delta);
+    }
+    
+    /**
+     * יצירת חומר לשכבת רינדור
+     * @param {string} layer - opaque (אטום), cutout (חורים שקופים, כמו עלים) או translucent (שקוף למחצה, כמו מים)
+     * @param {THREE.Texture} map - טקסטורת האטלס
+     * @returns {THREE.MeshLambertMaterial} - החומר
+     * @private
+     */
+    createLayerMaterial(layer, map) {
+        if (layer === 'translucent') {
+            return new THREE.MeshLambertMaterial({ 
+                map,
                 transparent: true,
                 opacity: 0.8,
+                depthWrite: false, // לא מסתיר את מה שמאחוריו ולא נאבק בעומק עם פני השטח
                 side: THREE.DoubleSide
             });
-            this.materials.set('water', waterMaterial);
         }
         
-        // חומר עץ
-        if (this.textures.has('wood')) {
-            const woodMaterial = new THREE.MeshLambertMaterial({ 
-                map: this.textures.get('wood'),
-                side: THREE.FrontSide
+        if (layer === 'cutout') {
+            return new THREE.MeshLambertMaterial({ 
+                map,
+                alphaTest: 0.5, // רק החלק הנראה של הטקסטורה מצויר
+                side: THREE.DoubleSide
             });
-            this.materials.set('wood', woodMaterial);
         }
         
-        // חומר עלים - שקיפות חלקית
-        if (this.textures.has('leaves')) {
-            const leavesMaterial = new THREE.MeshLambertMaterial({ 
-                map: this.textures.get('leaves'),
-                transparent: true,
-                alphaTest: 0.5,
-                side: THREE.DoubleSide
-            });
-            this.materials.set('leaves', leavesMaterial);
+        return new THREE.MeshLambertMaterial({ 
+            map,
+            side: THREE.FrontSide
+        });
+    }
+    
+    /**
+     * הוספת תאורת בלוקים לחומר
+     * צבע הקודקוד מכיל את האור מ-ChunkMesher: אדום - אור שמיים, ירוק - אור בלוקים,
+     * כחול - מקדם הצללה. אור השמיים מוכפל בעוצמת היום (setDaylight).
+     * @param {THREE.Material} material - החומר לעדכון
+     * @private
+     */
+    applyBlockLighting(material) {
+        material.vertexColors = true;
+        material.onBeforeCompile = (shader) => {
+            shader.uniforms.daylight = this.daylight;
+            shader.fragmentShader = 'uniform float daylight;\n' + shader.fragmentShader.replace(
+                '#include <color_fragment>',
+                'diffuseColor.rgb *= max(vColor.r * daylight, vColor.g) * vColor.b;'
+            );
+        };
+    }
+    
+    /**
+     * חזרה של הטקסטורה בתוך אריח האטלס שלה
+     * ה-UV של הצ'אנקים הוא ביחידות בלוק, כך שמשטח ממוזג חוזר על הטקסטורה פעם בכל בלוק.
+     * מאפיין הקודקוד tile הוא מספר האריח באטלס. הנגזרות נלקחות מה-UV המקורי, כדי
+     * שגבולות החזרה לא יבחרו את רמת ה-mipmap הקטנה ביותר ויצרו קווים.
+     * מאפיין הקודקוד flow מזיז את הטקסטורה בתוך האריח (נוזלים זורמים, בבלוקים לשנייה);
+     * לגיאומטריה בלי המאפיין הערך הוא 0.
+     * @param {THREE.Material} material - החומר לעדכון (אחרי applyBlockLighting)
+     * @private
+     */
+    applyAtlasTiling(material) {
+        const applyLighting = material.onBeforeCompile;
+        material.defaultAttributeValues = { flow: [0, 0] };
+        
+        material.onBeforeCompile = (shader, renderer) => {
+            applyLighting(shader, renderer);
+            shader.uniforms.atlasLayout = this.atlasLayout;
+            shader.uniforms.textureTime = this.textureTime;
+            
+            shader.vertexShader = 'attribute float tile;\nattribute vec2 flow;\nuniform vec4 atlasLayout;\n' +
+                'uniform float textureTime;\nvarying vec2 vTileOrigin;\nvarying vec2 vFlowOffset;\n' +
+                shader.vertexShader.replace('#include <uv_vertex>', [
+                    '#include <uv_vertex>',
+                    'vFlowOffset = flow * textureTime;',
+                    'float tileRow = floor((tile + 0.5) / atlasLayout.x);',
+                    'vec2 tileCell = vec2(tile - tileRow * atlasLayout.x, tileRow);',
+                    'vTileOrigin = vec2(tileCell.x * atlasLayout.y + atlasLayout.z,',
+                    '    1.0 - tileCell.y * atlasLayout.y - atlasLayout.z - atlasLayout.w);'
+                ].join('\n'));
+            
+            shader.fragmentShader = 'uniform vec4 atlasLayout;\nvarying vec2 vTileOrigin;\nvarying vec2 vFlowOffset;\n' +
+                shader.fragmentShader.replace('#include <map_fragment>', [
+                    'vec2 tileUv = vTileOrigin + fract(vUv - vFlowOffset) * atlasLayout.w;',
+                    '#if __VERSION__ >= 300',
+                    '    vec4 texelColor = textureGrad(map, tileUv, dFdx(vUv) * atlasLayout.w, dFdy(vUv) * atlasLayout.w);',
+                    '#else',
+                    '    vec4 texelColor = texture2D(map, tileUv);',
+                    '#endif',
+                    'diffuseColor *= mapTexelToLinear(texelColor);'
+                ].join('\n'));
+        };
+    }
+    
+    /**
+     * עדכון עוצמת אור השמיים בכל חומרי הבלוקים
+     * @param {number} value - עוצמה בין 0 (לילה) ל-1 (יום)
+     */
+    setDaylight(value) {
+        this.daylight.value = value;
+    }
+    
+    /**
+     * טעינת רישום הבלוקים מקובץ JSON: טקסטורות ({שם: כתובת}) והגדרות בלוקים ({מפתח: הגדרה})
+     * הטקסטורות נטענות קודם, כדי שהגדרות הבלוקים ייבדקו מולן. הגדרה שגויה מדווחת
+     * ומדולגת, ושאר הבלוקים נרשמים.
+     * @param {string} url - כתובת קובץ ה-JSON
+     * @returns {Promise<boolean>} - האם כל הבלוקים נרשמו בהצלחה
+     */
+    async loadBlockRegistry(url) {
+        let registry;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            registry = await response.json();
+        } catch (error) {
+            console.error(`Failed to load block registry ${url}:`, error);
+            return false;
+        }
+        
+        // טקסטורה היא כתובת, או {url, animation} לטקסטורה מונפשת (ראה loadTextures)
+        const texturesList = Object.entries(registry.textures || {}).map(([name, texture]) =>
+            (typeof texture === 'string' ? { name, url: texture } : { name, url: texture.url, animation: texture.animation }));
+        if (texturesList.length > 0) {
+            await this.loadTextures(texturesList);
+        }
+        
+        let success = true;
+        this.declaredBlocks = new Set(Object.keys(registry.blocks || {}));
+        for (const [key, definition] of Object.entries(registry.blocks || {})) {
+            try {
+                this.registerBlockType(key, definition);
+            } catch (error) {
+                console.error(`${url}: ${error.message}`);
+                success = false;
+            }
         }
+        this.declaredBlocks = new Set();
+        
+        console.log(`Registered ${this.blockTypes.size - 1} block types from ${url}`);
+        return success;
     }
     
     /**
-     * הגדרת סוגי בלוקים ומאפייניהם
+     * רישום סוג בלוק, גם בזמן ריצה
+     * שדות: id (אם חסר - המזהה הפנוי הנמוך ביותר), name, textures - טקסטורה לכל פאה:
+     * all לכל הפאות, או top / bottom / side (side חל על ארבע הפאות הצדדיות), solid,
+     * transparent, hardness, unbreakable, tool, drops (מפתח של בלוק רשום), icon, lightLevel (0-15),
+     * lightOpacity (0-15), physics, model (צורה שאינה קובייה, ראה BlockModels), flame, sounds (קבוצת צלילים) ו-renderLayer
+     * (opaque / cutout / translucent; ברירת המחדל לפי סוג הבלוק, ראה getRenderLayer).
+     * @param {string} key - מפתח הבלוק
+     * @param {Object} definition - הגדרת הבלוק
+     * @returns {Object} - סוג הבלוק שנרשם
+     * @throws {Error} - כשההגדרה שגויה, עם כל הבעיות שנמצאו
      */
-    defineBlockTypes() {
-        this.blockTypes.set('air', {
-            id: 0,
-            name: 'Air',
-            transparent: true,
-            solid: false,
-            material: null,
-            icon: null
-        });
+    registerBlockType(key, definition) {
+        const blockType = this.createBlockType(key, definition);
         
-        this.blockTypes.set('stone', {
-            id: 1,
-            name: 'Stone',
-            transparent: false,
-            solid: true,
-            material: 'stone',
-            icon: 'stone',
-            hardness: 2.0,
-            drops: 'stone',
-            tool: 'pickaxe'
-        });
+        this.blockDefinitions.set(key, definition);
+        this.blockTypes.set(key, blockType);
+        this.blockTypesById[blockType.id] = blockType;
         
-        this.blockTypes.set('grass', {
-            id: 2,
-            name: 'Grass Block',
-            transparent: false,
-            solid: true,
-            material: 'grass',
-            icon: 'grass_side',
-            hardness: 0.6,
-            drops: 'dirt',
-            tool: 'shovel'
-        });
+        for (const listener of this.blockTypeListeners) {
+            listener(blockType);
+        }
         
-        this.blockTypes.set('dirt', {
-            id: 3,
-            name: 'Dirt',
-            transparent: false,
+        return blockType;
+    }
+    
+    /**
+     * יצירת סוג בלוק מהגדרה, עם ברירות המחדל, ובדיקתו
+     * @param {string} key - מפתח הבלוק
+     * @param {Object} definition - הגדרת הבלוק
+     * @param {Object} replaced - סוג הבלוק שההגדרה מחליפה (המזהה שלו נשמר), או null לבלוק חדש
+     * @returns {Object} - סוג הבלוק
+     * @throws {Error} - כשההגדרה שגויה
+     * @private
+     */
+    createBlockType(key, definition, replaced = null) {
+        const blockType = {
             solid: true,
-            material: 'dirt',
-            icon: 'dirt',
-            hardness: 0.5,
-            drops: 'dirt',
-            tool: 'shovel'
-        });
-        
-        this.blockTypes.set('sand', {
-            id: 4,
-            name: 'Sand',
             transparent: false,
-            solid: true,
-            material: 'sand',
-            icon: 'sand',
-            hardness: 0.5,
-            drops: 'sand',
-            tool: 'shovel',
-            physics: 'falling'
-        });
+            hardness: 1.0,
+            tool: null,
+            drops: key,
+            icon: key,
+            ...definition,
+            key
+        };
+        if (replaced) {
+            // בלוקים שכבר בעולם שמורים לפי המזהה, ולכן הוא לא משתנה
+            if (blockType.id !== undefined && blockType.id !== replaced.id) {
+                console.warn(`Block type '${key}': id stays ${replaced.id}`);
+            }
+            blockType.id = replaced.id;
+        } else if (blockType.id === undefined) {
+            blockType.id = this.getFreeBlockId();
+        }
         
-        this.blockTypes.set('water', {
-            id: 5,
-            name: 'Water',
-            transparent: true,
-            solid: false,
-            material: 'water',
-            icon: 'water',
-            physics: 'fluid'
-        });
+        const errors = this.validateBlockType(key, blockType, replaced);
+        if (errors.length > 0) {
+            throw new Error(`Invalid block type '${key}': ${errors.join('; ')}`);
+        }
         
-        this.blockTypes.set('wood', {
-            id: 6,
-            name: 'Wood',
-            transparent: false,
-            solid: true,
-            material: 'wood',
-            icon: 'wood',
-            hardness: 2.0,
-            drops: 'wood',
-            tool: 'axe'
-        });
+        return blockType;
+    }
+    
+    /**
+     * בדיקת הגדרת בלוק
+     * @param {string} key - מפתח הבלוק
+     * @param {Object} blockType - ההגדרה, כולל ברירות המחדל
+     * @param {Object} replaced - סוג הבלוק שההגדרה מחליפה, או null לבלוק חדש
+     * @returns {Array} - תיאורי הבעיות (ריק כשההגדרה תקינה)
+     * @private
+     */
+    validateBlockType(key, blockType, replaced = null) {
+        const errors = [];
         
-        this.blockTypes.set('leaves', {
-            id: 7,
-            name: 'Leaves',
-            transparent: true,
-            solid: true,
-            material: 'leaves',
-            icon: 'leaves',
-            hardness: 0.2,
-            drops: 'leaves',
-            tool: 'shears'
-        });
+        if (!key || typeof key !== 'string') {
+            errors.push('key must be a non-empty string');
+        } else if (this.blockTypes.has(key) && !replaced) {
+            errors.push('key is already registered');
+        }
+        
+        for (const [field, value] of Object.entries(blockType)) {
+            const type = BLOCK_FIELDS[field];
+            if (field === 'key') continue;
+            if (!type) {
+                console.warn(`Block type '${key}': unknown field '${field}' ignored`);
+                continue;
+            }
+            // null מותר לשדות אופציונליים (למשל בלוק שלא מפיל כלום)
+            if (value !== null && typeof value !== type) {
+                errors.push(`'${field}' must be a ${type}`);
+            }
+        }
+        
+        const { id } = blockType;
+        if (!Number.isInteger(id) || id < 0 || id > 255) {
+            errors.push(`id ${id} is not an integer between 0 and 255`);
+        } else if (this.blockTypesById[id] && this.blockTypesById[id] !== replaced) {
+            errors.push(`duplicate id ${id} (already used by '${this.blockTypesById[id].key}')`);
+        }
+        
+        for (const field of ['lightLevel', 'lightOpacity']) {
+            const value = blockType[field];
+            if (typeof value === 'number' && !(Number.isInteger(value) && value >= 0 && value <= 15)) {
+                errors.push(`'${field}' must be an integer between 0 and 15`);
+            }
+        }
+        
+        if (blockType.renderLayer && !RENDER_LAYERS.includes(blockType.renderLayer)) {
+            errors.push(`unknown render layer '${blockType.renderLayer}' (expected ${RENDER_LAYERS.join(', ')})`);
+        }
+        
+        if (blockType.model && !MODEL_NAMES.includes(blockType.model)) {
+            errors.push(`unknown model '${blockType.model}' (expected ${MODEL_NAMES.join(', ')})`);
+        }
+        
+        // הבלוק שנופל חייב להיות רשום (או מוגדר באותה טעינה), אחרת הפריט הוא אוויר
+        const { drops } = blockType;
+        if (typeof drops === 'string' && drops !== key && !this.blockTypes.has(drops) && !this.declaredBlocks.has(drops)) {
+            errors.push(`drops unknown block '${drops}'`);
+        }
+        
+        // טקסטורות: כל פאה צריכה טקסטורה, וכל טקסטורה חייבת להיות מוגדרת
+        // (טקסטורה שהטעינה שלה נכשלה מוצגת באריח החסר של האטלס)
+        const textures = blockType.textures;
+        if (textures && typeof textures === 'object') {
+            for (const [face, name] of Object.entries(textures)) {
+                if (!TEXTURE_FACES.includes(face)) {
+                    errors.push(`unknown texture face '${face}' (expected ${TEXTURE_FACES.join(', ')})`);
+                } else if (!this.textureUrls.has(name) && !this.textureOverrides.has(name)) {
+                    errors.push(`unknown texture '${name}' for face '${face}'`);
+                }
+            }
+            for (let face = 0; face < 6; face++) {
+                if (!this.getFaceTexture(blockType, face)) {
+                    errors.push(`no texture for the ${face === 2 ? 'top' : face === 3 ? 'bottom' : 'side'} faces`);
+                    break;
+                }
+            }
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * החלת חבילות משאבים בזמן ריצה (ראה ResourcePackManager.getOverrides)
+     * טקסטורות שהכתובת שלהן השתנתה נטענות מחדש, האטלס נבנה מחדש והחומרים מתעדכנים.
+     * הגדרות בלוקים: שדות מהחבילה מחליפים את שדות ההגדרה המקורית (המזהה נשמר),
+     * ומפתח חדש נרשם כבלוק חדש. בלוק שחבילה הוסיפה נשאר רשום גם כשהיא מושבתת,
+     * כי ייתכן שהוא כבר נמצא בעולם. בסוף המאזינים נקראים פעם אחת עם null.
+     * @param {Object} overrides - {textures: {שם: כתובת}, animations: {שם: הנפשה}, blocks: {מפתח: הגדרה}}
+     * @returns {Promise<boolean>} - האם כל השינויים הוחלו
+     */
+    async applyResourcePacks({ textures = {}, animations = {}, blocks = {} } = {}) {
+        let success = true;
+        
+        // טקסטורות
+        const previous = this.textureOverrides;
+        this.textureOverrides = new Map(Object.entries(textures));
+        this.animationOverrides = new Map(Object.entries(animations));
+        
+        const changed = new Set([...previous.keys(), ...this.textureOverrides.keys()]);
+        const loads = [...changed]
+            .filter(name => previous.get(name) !== this.textureOverrides.get(name))
+            .map(name => {
+                const url = this.textureOverrides.get(name) || this.textureUrls.get(name);
+                if (!url) {
+                    // טקסטורה שרק חבילה הגדירה
+                    this.textures.delete(name);
+                    return null;
+                }
+                // כשהטעינה נכשלת נשארת הטקסטורה הקודמת
+                return this.loadTexture(name, url).catch(() => { success = false; });
+            });
+        await Promise.all(loads);
+        
+        // בלוקים
+        const keys = new Set([...this.blockOverrides.keys(), ...Object.keys(blocks)]);
+        this.blockOverrides = new Map(Object.entries(blocks));
+        this.declaredBlocks = keys;
+        for (const key of keys) {
+            try {
+                this.overrideBlockType(key, this.blockOverrides.get(key));
+            } catch (error) {
+                console.error(`Resource pack: ${error.message}`);
+                success = false;
+            }
+        }
+        this.declaredBlocks = new Set();
+        
+        if (this.materials.size > 0) {
+            this.createMaterials();
+        }
+        
+        for (const listener of this.blockTypeListeners) {
+            listener(null);
+        }
+        
+        return success;
+    }
+    
+    /**
+     * החלפת הגדרת בלוק לפי חבילת משאבים, בלי לקרוא למאזינים
+     * @param {string} key - מפתח הבלוק
+     * @param {Object} override - השדות מהחבילה, או undefined לחזרה להגדרה המקורית
+     * @throws {Error} - כשההגדרה שנוצרה שגויה (ההגדרה הקיימת נשארת)
+     * @private
+     */
+    overrideBlockType(key, override) {
+        const current = this.blockTypes.get(key);
+        if (current && current.id === 0) {
+            throw new Error(`Invalid block type '${key}': air can't be changed`);
+        }
+        
+        // לבלוק שחבילה הוסיפה אין הגדרה מקורית; כשהחבילה מושבתת הוא נשאר כמו שהוא
+        const base = this.blockDefinitions.get(key);
+        if (!base && !override) return;
+        
+        const definition = { ...base, ...override };
+        const blockType = this.createBlockType(key, definition, current || null);
+        
+        this.blockTypes.set(key, blockType);
+        this.blockTypesById[blockType.id] = blockType;
+    }
+    
+    /**
+     * המזהה הפנוי הנמוך ביותר לבלוק חדש
+     * @returns {number} - מזהה, או -1 כשכל 255 המזהים תפוסים
+     * @private
+     */
+    getFreeBlockId() {
+        for (let id = 1; id < 256; id++) {
+            if (!this.blockTypesById[id]) return id;
+        }
+        return -1;
+    }
+    
+    /**
+     * הרשמה לשינויים בסוגי הבלוקים (בלוקים שנרשמים בזמן ריצה)
+     * @param {Function} listener - נקרא עם סוג הבלוק החדש, או עם null אחרי החלת
+     * חבילות משאבים (כל הטקסטורות וההגדרות עשויות להשתנות)
+     */
+    addBlockTypeListener(listener) {
+        this.blockTypeListeners.add(listener);
+    }
+    
+    /**
+     * ביטול הרשמה לשינויים בסוגי הבלוקים
+     * @param {Function} listener - המאזין שנרשם
+     */
+    removeBlockTypeListener(listener) {
+        this.blockTypeListeners.delete(listener);
     }
     
     /**
@@ -269,15 +639,237 @@ export class ResourceManager {
      * קבלת סוג בלוק לפי מזהה
      */
     getBlockTypeById(id) {
-        for (const [name, type] of this.blockTypes.entries()) {
-            if (type.id === id) {
-                return type;
-            }
+        const type = this.blockTypesById[id];
+        if (type) {
+            return type;
         }
         console.warn(`Block with id ${id} not found`);
         return this.blockTypes.get('air');
     }
     
+    /**
+     * קבלת שם הטקסטורה של פאה מסוימת בבלוק
+     * @param {Object} blockType - סוג הבלוק
+     * @param {number} face - אינדקס הפאה לפי סדר BoxGeometry (+x, -x, +y, -y, +z, -z)
+     * @returns {string|null} - שם הטקסטורה
+     */
+    getFaceTexture(blockType, face) {
+        const textures = blockType.textures;
+        if (!textures) return null;
+        
+        const specific = face === 2 ? textures.top : face === 3 ? textures.bottom : textures.side;
+        return specific || textures.all || null;
+    }
+    
+    /**
+     * קבלת קואורדינטות הטקסטורה של פאה באטלס
+     * @param {Object} blockType - סוג הבלוק
+     * @param {number} face - אינדקס הפאה (ראה getFaceTexture)
+     * @returns {Object} - {u0, v0, u1, v1}
+     */
+    getFaceUV(blockType, face) {
+        return this.atlas.getTileUV(this.atlas.getTile(this.getFaceTexture(blockType, face)));
+    }
+    
+    /**
+     * קבלת שכבת הרינדור של בלוק
+     * ברירת מחדל: נוזלים שקופים למחצה, בלוקים שקופים אחרים (עלים, לפידים) עם חורים, והשאר אטומים
+     * @param {Object} blockType - סוג הבלוק
+     * @returns {string} - opaque, cutout או translucent
+     */
+    getRenderLayer(blockType) {
+        if (blockType.renderLayer) return blockType.renderLayer;
+        if (blockType.physics === 'fluid') return 'translucent';
+        return blockType.transparent ? 'cutout' : 'opaque';
+    }
+    
+    /**
+     * קבלת החומר לבלוק בודד (פריט, בלוק נופל), לשימוש עם createBlockGeometry
+     * @param {Object} blockType - סוג הבלוק
+     * @returns {THREE.Material} - החומר
+     */
+    getBlockMaterial(blockType) {
+        const layer = this.getRenderLayer(blockType);
+        return this.getMaterial(layer === 'opaque' ? 'block' : `block_${layer}`);
+    }
+    
+    /**
+     * יצירת גיאומטריה לבלוק, עם הטקסטורה של כל פאה מהאטלס
+     * בלוק עם מודל (ראה BlockModels) מקבל את צורת המודל במצב ברירת המחדל שלו;
+     * גדר וזכוכית מחוברות משני הצדדים, כדי שייראו כמו בעולם.
+     * @param {Object} blockType - סוג הבלוק
+     * @param {number} size - אורך הצלע
+     * @returns {THREE.BufferGeometry} - הגיאומטריה, סביב הראשית
+     */
+    createBlockGeometry(blockType, size = 1) {
+        if (blockType.model) {
+            return this.createModelGeometry(blockType, size);
+        }
+        
+        const geometry = new THREE.BoxGeometry(size, size, size);
+        const uvs = geometry.getAttribute('uv');
+        
+        // BoxGeometry: ארבעה קודקודים לכל פאה, לפי סדר הפאות
+        for (let face = 0; face < 6; face++) {
+            const { u0, v0, u1, v1 } = this.getFaceUV(blockType, face);
+            for (let i = face * 4; i < face * 4 + 4; i++) {
+                uvs.setXY(i, u0 + uvs.getX(i) * (u1 - u0), v0 + uvs.getY(i) * (v1 - v0));
+            }
+        }
+        uvs.needsUpdate = true;
+        
+        return geometry;
+    }
+    
+    /**
+     * יצירת גיאומטריה מהקופסאות של מודל, או שני מישורים מוצלבים לצמחים
+     * כל פאה מציגה את החלק של הטקסטורה שמתאים למקומה בבלוק, כמו ב-ChunkMesher.
+     * @param {Object} blockType - סוג הבלוק
+     * @param {number} size - אורך הצלע של הבלוק
+     * @returns {THREE.BufferGeometry} - הגיאומטריה
+     * @private
+     */
+    createModelGeometry(blockType, size) {
+        const positions = [];
+        const normals = [];
+        const uvs = [];
+        const indices = [];
+        
+        // מרובע: ארבע פינות נגד כיוון השעון, ומיקומן בטקסטורה (0-1)
+        const addQuad = (corners, normal, textureCoords, face) => {
+            const { u0, v0, u1, v1 } = this.getFaceUV(blockType, face);
+            const base = positions.length / 3;
+            corners.forEach((corner, i) => {
+                positions.push((corner[0] - 0.5) * size, (corner[1] - 0.5) * size, (corner[2] - 0.5) * size);
+                normals.push(...normal);
+                uvs.push(u0 + textureCoords[i][0] * (u1 - u0), v0 + textureCoords[i][1] * (v1 - v0));
+            });
+            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        };
+        
+        if (isCrossModel(blockType.model)) {
+            const near = (1 - Math.SQRT1_2) / 2;
+            const far = 1 - near;
+            for (const [x0, z0, x1, z1] of [[near, near, far, far], [near, far, far, near]]) {
+                addQuad([[x0, 0, z0], [x1, 0, z1], [x1, 1, z1], [x0, 1, z0]], [0, 1, 0],
+                    [[0, 0], [1, 0], [1, 1], [0, 1]], 0);
+            }
+        } else {
+            for (const box of getModelBoxes(blockType.model, 0, 0b0011)) {
+                for (let face = 0; face < 6; face++) {
+                    const d = face >> 1;
+                    const u = (d + 1) % 3;
+                    const v = (d + 2) % 3;
+                    const normal = [0, 0, 0];
+                    normal[d] = (face & 1) ? -1 : 1;
+                    
+                    const corner = (a, b) => {
+                        const point = [box[0], box[1], box[2]];
+                        if (!(face & 1)) point[d] = box[d + 3];
+                        point[u] = a ? box[u + 3] : box[u];
+                        point[v] = b ? box[v + 3] : box[v];
+                        return point;
+                    };
+                    
+                    // פאות שפונות לכיוון השלילי מסודרות הפוך, כדי שיפנו החוצה
+                    const order = (face & 1) ? [[0, 0], [0, 1], [1, 1], [1, 0]] : [[0, 0], [1, 0], [1, 1], [0, 1]];
+                    const corners = order.map(([a, b]) => corner(a, b));
+                    addQuad(corners, normal, corners.map(point => this.getModelTextureCoords(face, point)), face);
+                }
+            }
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(normals, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+        geometry.setIndex(indices);
+        return geometry;
+    }
+    
+    /**
+     * מיקום נקודה בטקסטורה של פאה, לפי מקומה בבלוק (הצדדים נשארים זקופים)
+     * @param {number} face - אינדקס הפאה
+     * @param {Array} point - נקודה בבלוק [x, y, z], 0-1
+     * @returns {Array} - [u, v], 0-1
+     * @private
+     */
+    getModelTextureCoords(face, [x, y, z]) {
+        switch (face) {
+            case 0: return [1 - z, y];
+            case 1: return [z, y];
+            case 2: return [x, 1 - z];
+            case 3: return [x, z];
+            case 4: return [x, y];
+            default: return [1 - x, y];
+        }
+    }
+
+    /**
+     * בניית טבלת רינדור לפי מזהה בלוק, לשימוש ב-ChunkMesher
+     * לכל פאה: faces - אינדקס החומר (שכבת הרינדור) ו-tiles - מספר האריח באטלס
+     * @returns {Object} - {blockInfo: מערך לפי מזהה, materialKeys: מערך מפתחות חומר}
+     */
+    getBlockRenderTable() {
+        const blockInfo = [];
+        const materialKeys = ['terrain', 'terrain_cutout', 'terrain_translucent'];
+
+        for (const blockType of this.blockTypes.values()) {
+            if (!blockType.textures) {
+                blockInfo[blockType.id] = null;
+                continue;
+            }
+
+            const layer = this.getRenderLayer(blockType);
+            const material = materialKeys.indexOf(layer === 'opaque' ? 'terrain' : `terrain_${layer}`);
+            
+            const faces = [];
+            const tiles = [];
+            for (let face = 0; face < 6; face++) {
+                faces.push(material);
+                tiles.push(this.atlas.getTile(this.getFaceTexture(blockType, face)));
+            }
+
+            blockInfo[blockType.id] = {
+                // בלוק עם מודל לא ממלא את כל התא, ולכן לא מסתיר את שכניו
+                opaque: blockType.solid && !blockType.transparent && !blockType.model,
+                fluid: blockType.physics === 'fluid',
+                model: blockType.model || null,
+                faces,
+                tiles
+            };
+        }
+
+        return { blockInfo, materialKeys };
+    }
+
+    /**
+     * בניית טבלת אור לפי מזהה בלוק, לשימוש ב-LightEngine
+     * אטימות: כמה רמות אור הבלוק בולע (15 חוסם לגמרי). ברירת המחדל לפי סוג הבלוק,
+     * וניתן לקבוע אותה במאפיין lightOpacity. פליטה: רמת האור שהבלוק מפיץ (lightLevel).
+     * @returns {Object} - {opacity: Uint8Array, emission: Uint8Array}
+     */
+    getBlockLightTable() {
+        const opacity = new Uint8Array(256);
+        const emission = new Uint8Array(256);
+
+        for (const blockType of this.blockTypes.values()) {
+            let blockOpacity = blockType.lightOpacity;
+            if (blockOpacity === undefined) {
+                if (blockType.model) blockOpacity = 0;                                 // מודל: האור עובר סביבו
+                else if (blockType.solid && !blockType.transparent) blockOpacity = 15; // בלוק אטום
+                else if (blockType.physics === 'fluid') blockOpacity = 2;              // מים מחשיכים בהדרגה
+                else if (blockType.solid) blockOpacity = 1;                            // עלים
+                else blockOpacity = 0;                                                 // אוויר
+            }
+
+            opacity[blockType.id] = blockOpacity;
+            emission[blockType.id] = blockType.lightLevel || 0;
+        }
+
+        return { opacity, emission };
+    }
+
     /**
      * יצירת אובייקט בלוק מסוג מסויים
      */
@@ -288,8 +880,12 @@ export class ResourceManager {
             return null; // בלוק אוויר הוא בעצם ריק
         }
         
-        const geometry = new THREE.BoxGeometry(1, 1, 1);
-        const material = this.getMaterial(blockType.material);
+        const geometry = this.createBlockGeometry(blockType);
+        const material = this.getBlockMaterial(blockType);
+        
+        // תאורה מלאה - חומרי הבלוקים משתמשים בצבעי קודקודים
+        const colors = new Float32Array(geometry.attributes.position.count * 3).fill(1);
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
         
         const block = new THREE.Mesh(geometry, material);
         block.position.set(position.x, position.y, position.z);
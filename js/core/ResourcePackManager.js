@@ -0,0 +1,336 @@
+import { ZipReader } from './ZipReader.js';
+import { DatabaseUtils } from '../utils/DatabaseUtils.js';
+
+const DATABASE_NAME = 'minecraft_clone_resource_packs';
+const STORE_NAME = 'packs';
+const MANIFEST = 'pack.json';
+
+/**
+ * ResourcePackManager - Imports, stores and stacks user resource packs
+ * A pack is a .zip or a folder with a pack.json manifest at its root:
+ *
+ *   {
+ *     "name": "My Pack",
+ *     "description": "Optional",
+ *     "textures": {
+ *       "stone": "textures/stone.png",
+ *       "water": { "file": "textures/water.png", "animation": { "frametime": 2 } }
+ *     },
+ *     "sounds": { "break_block": "sounds/break.ogg" },
+ *     "blocks": { "stone": { "hardness": 2 }, "marble": { "textures": { "all": "marble" } } },
+ *     "strings": { "menu.start": "Play" }
+ *   }
+ *
+ * Paths are relative to the manifest. Textures and sounds replace the game's
+ * by name (or add new ones), block entries are merged into the block definition
+ * with that key (see ResourceManager.applyResourcePacks) and strings replace UI
+ * text (see UIManager.applyStrings). An animated texture is a vertical strip of
+ * square frames; its animation takes frametime (game ticks per frame) and
+ * optionally frames (the frame order, see ResourceManager.loadTextures). A sound
+ * can also be given as { "file": ..., "category": ..., "type": ... } like
+ * AudioManager.loadSounds.
+ *
+ * Packs are kept in IndexedDB; the enabled ones are stored in the
+ * resourcePacks.active setting, highest priority first.
+ */
+export class ResourcePackManager {
+    /**
+     * @param {SettingsManager} settingsManager - Holds the enabled packs
+     */
+    constructor(settingsManager) {
+        this.settingsManager = settingsManager;
+        this.packs = new Map();      // Pack id => {id, name, description, manifest, files}
+        this.fileUrls = new Map();   // Pack id => Map of path => object URL
+        this.database = null;
+    }
+
+    /**
+     * Open the pack storage and load the stored packs
+     * Without IndexedDB (e.g. some private windows) packs only last for the session.
+     */
+    async init() {
+        try {
+            this.database = await DatabaseUtils.open(DATABASE_NAME, STORE_NAME, 'id');
+            for (const record of await DatabaseUtils.request(this.getStore('readonly').getAll())) {
+                try {
+                    this.packs.set(record.id, { ...record, manifest: await this.readManifest(record.files) });
+                } catch (error) {
+                    console.error(`Resource pack '${record.name}' skipped:`, error);
+                }
+            }
+        } catch (error) {
+            console.warn('Resource packs will not be kept after this session:', error);
+            this.database = null;
+        }
+
+        // Forget enabled packs that are no longer stored
+        const active = this.getActiveIds();
+        const stored = active.filter(id => this.packs.has(id));
+        if (stored.length !== active.length) {
+            this.settingsManager.setSetting('resourcePacks.active', stored);
+        }
+
+        console.log(`Loaded ${this.packs.size} resource packs`);
+    }
+
+    /**
+     * Import a pack from a .zip file
+     * @param {File} file - The archive
+     * @returns {Promise<Object>} - The imported pack, enabled above the others
+     * @throws {Error} - When the archive or its manifest can't be read
+     */
+    async importZip(file) {
+        return this.addPack(await ZipReader.readAll(file), file.name.replace(/\.zip$/i, ''));
+    }
+
+    /**
+     * Import a pack from a picked folder (an input with webkitdirectory)
+     * @param {FileList} fileList - Files of the folder, with webkitRelativePath
+     * @returns {Promise<Object>} - The imported pack, enabled above the others
+     * @throws {Error} - When the manifest can't be read
+     */
+    async importFolder(fileList) {
+        const files = new Map();
+        let folderName = '';
+
+        for (const file of fileList) {
+            const path = file.webkitRelativePath || file.name;
+            files.set(path, file);
+            folderName = folderName || path.split('/')[0];
+        }
+
+        return this.addPack(files, folderName);
+    }
+
+    /**
+     * Store a pack and enable it above the others
+     * @param {Map} files - Path => Blob, the manifest at the root or in one folder
+     * @param {string} fallbackName - Name when the manifest has none
+     * @returns {Promise<Object>} - The pack
+     * @private
+     */
+    async addPack(files, fallbackName) {
+        const packFiles = this.stripRootFolder(files);
+        const manifest = await this.readManifest(packFiles);
+
+        const pack = {
+            id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+            name: typeof manifest.name === 'string' ? manifest.name : fallbackName,
+            description: typeof manifest.description === 'string' ? manifest.description : '',
+            files: packFiles
+        };
+
+        if (this.database) {
+            await DatabaseUtils.request(this.getStore('readwrite').put(pack));
+        }
+        this.packs.set(pack.id, { ...pack, manifest });
+
+        this.setActiveIds([pack.id, ...this.getActiveIds()]);
+        return this.packs.get(pack.id);
+    }
+
+    /**
+     * Delete a stored pack
+     * @param {string} id - Pack id
+     */
+    async removePack(id) {
+        if (!this.packs.has(id)) return;
+
+        if (this.database) {
+            await DatabaseUtils.request(this.getStore('readwrite').delete(id));
+        }
+        this.packs.delete(id);
+
+        const urls = this.fileUrls.get(id);
+        if (urls) {
+            urls.forEach(url => URL.revokeObjectURL(url));
+            this.fileUrls.delete(id);
+        }
+
+        this.setActiveIds(this.getActiveIds().filter(activeId => activeId !== id));
+    }
+
+    /**
+     * Get all stored packs
+     * @returns {Array} - Packs {id, name, description, active}, enabled ones first in priority order
+     */
+    getPacks() {
+        const active = this.getActiveIds();
+        const packs = [...this.packs.values()].map(({ id, name, description }) => ({
+            id, name, description, active: active.includes(id)
+        }));
+
+        const rank = pack => pack.active ? active.indexOf(pack.id) : active.length;
+        return packs.sort((a, b) => rank(a) - rank(b));
+    }
+
+    /**
+     * Get the enabled pack ids
+     * @returns {Array} - Ids, highest priority first
+     */
+    getActiveIds() {
+        const active = this.settingsManager.getSetting('resourcePacks.active');
+        return Array.isArray(active) ? active : [];
+    }
+
+    /**
+     * Set the enabled packs and their order (saved in the settings)
+     * @param {Array} ids - Pack ids, highest priority first
+     */
+    setActiveIds(ids) {
+        this.settingsManager.setSetting('resourcePacks.active', ids.filter(id => this.packs.has(id)));
+    }
+
+    /**
+     * Enable or disable a pack; a newly enabled pack goes on top
+     * @param {string} id - Pack id
+     * @param {boolean} enabled - Whether the pack is used
+     */
+    setPackEnabled(id, enabled) {
+        const others = this.getActiveIds().filter(activeId => activeId !== id);
+        this.setActiveIds(enabled ? [id, ...others] : others);
+    }
+
+    /**
+     * Move an enabled pack up or down the stack
+     * @param {string} id - Pack id
+     * @param {number} direction - -1 for a higher priority, 1 for a lower one
+     */
+    movePack(id, direction) {
+        const active = [...this.getActiveIds()];
+        const index = active.indexOf(id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= active.length) return;
+
+        [active[index], active[target]] = [active[target], active[index]];
+        this.setActiveIds(active);
+    }
+
+    /**
+     * Combine the enabled packs; where packs overlap the higher one wins
+     * Block entries for the same key are merged field by field.
+     * @returns {Object} - {textures: {name: url}, animations: {name: animation},
+     *                      sounds: [{name, url, category, type}], blocks: {key: definition},
+     *                      strings: {key: text}}
+     */
+    getOverrides() {
+        const textures = {};
+        const animations = {};
+        const sounds = new Map();
+        const blocks = {};
+        const strings = {};
+
+        // Lowest priority first, so higher packs overwrite it
+        for (const id of [...this.getActiveIds()].reverse()) {
+            const pack = this.packs.get(id);
+            if (!pack) continue;
+            const { manifest } = pack;
+
+            for (const [name, texture] of Object.entries(manifest.textures || {})) {
+                const info = typeof texture === 'string' ? { file: texture } : texture;
+                const url = info && this.getFileUrl(pack, info.file);
+                if (!url) continue;
+
+                // A texture replaced by a higher pack loses the animation of the lower one
+                textures[name] = url;
+                delete animations[name];
+                if (info.animation && typeof info.animation === 'object') {
+                    animations[name] = info.animation;
+                }
+            }
+
+            for (const [name, sound] of Object.entries(manifest.sounds || {})) {
+                const info = typeof sound === 'string' ? { file: sound } : sound;
+                const url = info && this.getFileUrl(pack, info.file);
+                if (url) sounds.set(name, { name, url, category: info.category, type: info.type });
+            }
+
+            for (const [key, definition] of Object.entries(manifest.blocks || {})) {
+                if (definition && typeof definition === 'object') {
+                    blocks[key] = { ...blocks[key], ...definition };
+                }
+            }
+
+            Object.assign(strings, manifest.strings || {});
+        }
+
+        return { textures, animations, sounds: [...sounds.values()], blocks, strings };
+    }
+
+    /**
+     * Get an object URL for a file of a pack (created once per file)
+     * @param {Object} pack - The pack
+     * @param {string} path - Path relative to the manifest
+     * @returns {string|null} - URL, or null when the pack has no such file
+     * @private
+     */
+    getFileUrl(pack, path) {
+        const file = typeof path === 'string' && pack.files.get(path.replace(/^\.?\//, ''));
+        if (!file) {
+            console.warn(`Resource pack '${pack.name}': missing file ${path}`);
+            return null;
+        }
+
+        if (!this.fileUrls.has(pack.id)) {
+            this.fileUrls.set(pack.id, new Map());
+        }
+        const urls = this.fileUrls.get(pack.id);
+        if (!urls.has(path)) {
+            urls.set(path, URL.createObjectURL(file));
+        }
+        return urls.get(path);
+    }
+
+    /**
+     * Make paths relative to the manifest, for packs zipped with their folder
+     * @param {Map} files - Path => Blob
+     * @returns {Map} - Path => Blob, only the files next to or below the manifest
+     * @throws {Error} - When there is no manifest
+     * @private
+     */
+    stripRootFolder(files) {
+        const manifests = [...files.keys()]
+            .filter(path => path === MANIFEST || path.endsWith(`/${MANIFEST}`))
+            .sort((a, b) => a.length - b.length);
+        if (manifests.length === 0) {
+            throw new Error(`No ${MANIFEST} found in the resource pack`);
+        }
+
+        const root = manifests[0].slice(0, -MANIFEST.length);
+        const packFiles = new Map();
+        for (const [path, file] of files) {
+            if (path.startsWith(root)) {
+                packFiles.set(path.slice(root.length), file);
+            }
+        }
+        return packFiles;
+    }
+
+    /**
+     * Parse the manifest of a pack
+     * @param {Map} files - Path => Blob, relative to the manifest
+     * @returns {Promise<Object>} - The manifest
+     * @throws {Error} - When it is not a JSON object
+     * @private
+     */
+    async readManifest(files) {
+        let manifest;
+        try {
+            manifest = JSON.parse(await files.get(MANIFEST).text());
+        } catch (error) {
+            throw new Error(`Invalid ${MANIFEST}: ${error.message}`);
+        }
+        if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+            throw new Error(`Invalid ${MANIFEST}: expected an object`);
+        }
+        return manifest;
+    }
+
+    /**
+     * Get the pack store in a new transaction
+     * @private
+     */
+    getStore(mode) {
+        return DatabaseUtils.getStore(this.database, STORE_NAME, mode);
+    }
+}
@@ -65,6 +65,11 @@ export class SettingsManager {
                 crosshairColor: '#ffffff', // Crosshair color
                 chatOpacity: 0.7,       // Chat background opacity
                 tooltips: true          // Whether tooltips are shown
+            },
+            
+            // Resource pack settings
+            resourcePacks: {
+                active: []              // Enabled pack ids, highest priority first
             }
         };
         
@@ -0,0 +1,264 @@
+/**
+ * TextureAtlas - Packs block textures into one texture so a chunk can be drawn
+ * with a single material
+ * Tiles sit on a grid of cells twice the tile size; the border around each tile
+ * repeats its edge pixels, and every mipmap level is built tile by tile, so
+ * sampling near a tile edge never picks up the neighboring tile.
+ * Tile 0 is a placeholder for textures that were not loaded.
+ * Animated textures are vertical strips of square frames; update() draws the
+ * current frame into their tile, so geometry never changes.
+ */
+
+const TICK = 1 / 20; // Animation frame times are given in game ticks
+
+export class TextureAtlas {
+    /**
+     * @param {number} tileSize - Size of a tile in pixels (textures are scaled to it)
+     */
+    constructor(tileSize = 16) {
+        this.tileSize = tileSize;
+        this.padding = tileSize / 2;            // Border repeating the tile's edge pixels
+        this.cellSize = tileSize + this.padding * 2;
+
+        this.tiles = new Map();   // Texture name => tile index
+        this.columns = 0;
+        this.size = 0;            // Atlas width and height in pixels
+        this.texture = null;
+        this.levels = [];         // Mipmap level canvases, level 0 first
+        this.animations = [];     // {tile, image, frames, frameTime, index, elapsed}
+    }
+
+    /**
+     * Pack images into the atlas and create its texture
+     * Animation strips (taller than wide) show their first frame unless they
+     * have an animation.
+     * @param {Map} images - Texture name => image or canvas
+     * @param {Map} animations - Texture name => {frametime: ticks per frame (default 1),
+     *     frames: frame order (default top to bottom)} (optional)
+     * @returns {THREE.Texture} - Atlas texture with its mipmaps
+     */
+    build(images, animations = new Map()) {
+        const names = [...images.keys()];
+        this.tiles.clear();
+        names.forEach((name, index) => this.tiles.set(name, index + 1));
+        
+        this.animations = [];
+        for (const [name, animation] of animations) {
+            const image = images.get(name);
+            if (image) {
+                this.addAnimation(this.tiles.get(name), image, animation);
+            }
+        }
+
+        const count = names.length + 1;
+        this.columns = Math.ceil(Math.sqrt(count));
+        this.size = Math.pow(2, Math.ceil(Math.log2(this.columns * this.cellSize)));
+
+        // Levels with a border of at least a pixel are drawn tile by tile; smaller
+        // levels are only seen from far away and are scaled down as a whole
+        const levels = [];
+        for (let level = 0; this.size >> level >= 1; level++) {
+            const canvas = this.createCanvas(this.size >> level);
+            if (this.padding >> level >= 1) {
+                this.drawTile(canvas, 0, null, level);
+                names.forEach((name, index) => this.drawTile(canvas, index + 1, images.get(name), level));
+            } else {
+                this.downscale(canvas, levels[level - 1]);
+            }
+            levels.push(canvas);
+        }
+        this.levels = levels;
+
+        if (this.texture) {
+            this.texture.dispose();
+        }
+        this.texture = new THREE.CanvasTexture(levels[0]);
+        this.texture.mipmaps = levels;
+        this.texture.generateMipmaps = false;
+        this.texture.wrapS = THREE.ClampToEdgeWrapping;
+        this.texture.wrapT = THREE.ClampToEdgeWrapping;
+        this.texture.magFilter = THREE.NearestFilter; // Crisp pixels up close
+        this.texture.minFilter = THREE.NearestMipmapLinearFilter;
+
+        return this.texture;
+    }
+
+    /**
+     * Set up the animation of a tile
+     * @param {number} tile - Tile index
+     * @param {Object} image - Strip of square frames, top to bottom
+     * @param {Object} animation - {frametime, frames}
+     * @private
+     */
+    addAnimation(tile, image, animation) {
+        const count = Math.floor(image.height / image.width);
+        const frames = Array.isArray(animation.frames)
+            ? animation.frames.filter(frame => Number.isInteger(frame) && frame >= 0 && frame < count)
+            : [...Array(count).keys()];
+        if (frames.length < 2) return;
+
+        this.animations.push({
+            tile,
+            image,
+            frames,
+            frameTime: Math.max(1, animation.frametime || 1) * TICK,
+            index: 0,
+            elapsed: 0
+        });
+    }
+
+    /**
+     * Advance the animated tiles
+     * Tiles whose frame changed are redrawn in every mipmap level and the
+     * texture is uploaded again.
+     * @param {number} delta - Time since the last update in seconds
+     */
+    update(delta) {
+        let changed = false;
+
+        for (const animation of this.animations) {
+            animation.elapsed += delta;
+            if (animation.elapsed < animation.frameTime) continue;
+
+            const steps = Math.floor(animation.elapsed / animation.frameTime);
+            animation.elapsed -= steps * animation.frameTime;
+            const index = (animation.index + steps) % animation.frames.length;
+            if (index === animation.index) continue;
+            animation.index = index;
+
+            const frame = animation.frames[index];
+            this.levels.forEach((canvas, level) => {
+                if (this.padding >> level >= 1) {
+                    this.drawTile(canvas, animation.tile, animation.image, level, frame);
+                }
+            });
+            changed = true;
+        }
+
+        if (changed && this.texture) {
+            this.levels.forEach((canvas, level) => {
+                if (this.padding >> level < 1) {
+                    this.downscale(canvas, this.levels[level - 1]);
+                }
+            });
+            this.texture.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Get the tile index of a texture
+     * @param {string} name - Texture name
+     * @returns {number} - Tile index (0, the placeholder, for unknown textures)
+     */
+    getTile(name) {
+        return this.tiles.get(name) || 0;
+    }
+
+    /**
+     * Get the texture coordinates of a tile, without its border
+     * @param {number} tile - Tile index
+     * @returns {Object} - {u0, v0, u1, v1} with v0 at the bottom of the tile
+     */
+    getTileUV(tile) {
+        const x = (tile % this.columns) * this.cellSize + this.padding;
+        const y = Math.floor(tile / this.columns) * this.cellSize + this.padding;
+
+        // Canvas rows run down, texture v runs up
+        return {
+            u0: x / this.size,
+            v0: 1 - (y + this.tileSize) / this.size,
+            u1: (x + this.tileSize) / this.size,
+            v1: 1 - y / this.size
+        };
+    }
+
+    /**
+     * Layout for the terrain shader: grid columns, cell size, border and tile size
+     * in texture coordinates (see ResourceManager.applyAtlasTiling)
+     * @returns {Array} - [columns, cell, padding, tile]
+     */
+    getLayout() {
+        return [
+            this.columns,
+            this.cellSize / this.size,
+            this.padding / this.size,
+            this.tileSize / this.size
+        ];
+    }
+
+    /**
+     * Draw one tile and its border into a mipmap level
+     * @param {HTMLCanvasElement} canvas - Level to draw into
+     * @param {number} tile - Tile index
+     * @param {Object} image - Image to draw, or null for the placeholder
+     * @param {number} level - Mipmap level
+     * @param {number} frame - Frame of an animation strip
+     * @private
+     */
+    drawTile(canvas, tile, image, level, frame = 0) {
+        const context = canvas.getContext('2d');
+        const size = this.tileSize >> level;
+        const padding = this.padding >> level;
+        const x = ((tile % this.columns) * this.cellSize >> level) + padding;
+        const y = (Math.floor(tile / this.columns) * this.cellSize >> level) + padding;
+
+        // A new frame must not blend with the previous one where it is transparent
+        context.clearRect(x - padding, y - padding, size + padding * 2, size + padding * 2);
+
+        if (image) {
+            // Level 0 keeps its pixels, smaller levels average them
+            const frameSize = Math.min(image.width, image.height);
+            context.imageSmoothingEnabled = level > 0;
+            context.drawImage(image, 0, frame * frameSize, image.width, frameSize, x, y, size, size);
+        } else {
+            // Magenta and black checks stand out where a texture is missing
+            const half = Math.max(1, size / 2);
+            context.fillStyle = '#000000';
+            context.fillRect(x, y, size, size);
+            context.fillStyle = '#ff00ff';
+            context.fillRect(x, y, half, half);
+            context.fillRect(x + size - half, y + size - half, half, half);
+        }
+
+        // Stretch the edge rows and columns over the border, then the corners
+        context.imageSmoothingEnabled = false;
+        context.drawImage(canvas, x, y, size, 1, x, y - padding, size, padding);
+        context.drawImage(canvas, x, y + size - 1, size, 1, x, y + size, size, padding);
+        context.drawImage(canvas, x, y - padding, 1, size + padding * 2, x - padding, y - padding, padding, size + padding * 2);
+        context.drawImage(canvas, x + size - 1, y - padding, 1, size + padding * 2, x + size, y - padding, padding, size + padding * 2);
+    }
+
+    /**
+     * Draw a mipmap level too small for per-tile borders by scaling down the level above
+     * @private
+     */
+    downscale(canvas, source) {
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        context.imageSmoothingEnabled = true;
+        context.drawImage(source, 0, 0, canvas.width, canvas.height);
+    }
+
+    /**
+     * Create a square canvas
+     * @private
+     */
+    createCanvas(size) {
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        return canvas;
+    }
+
+    /**
+     * Free the atlas texture
+     */
+    dispose() {
+        if (this.texture) {
+            this.texture.dispose();
+            this.texture = null;
+        }
+        this.levels = [];
+        this.animations = [];
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * ZipReader - Reads the files of a .zip archive in the browser
+ * Supports stored and deflated entries (what zip tools produce by default);
+ * deflated data is inflated with the browser's DecompressionStream.
+ * Encrypted and ZIP64 archives are not supported.
+ */
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+export class ZipReader {
+    /**
+     * @param {ArrayBuffer} buffer - Contents of the archive
+     */
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.view = new DataView(buffer);
+        this.entries = this.readDirectory();
+    }
+
+    /**
+     * Read every file of an archive
+     * @param {Blob} blob - The archive (e.g. a File from an input or a drop)
+     * @returns {Promise<Map>} - Path => Blob, without directory entries
+     */
+    static async readAll(blob) {
+        const reader = new ZipReader(await blob.arrayBuffer());
+        const files = new Map();
+
+        for (const entry of reader.entries) {
+            if (entry.path.endsWith('/')) continue;
+            files.set(entry.path, await reader.extract(entry));
+        }
+
+        return files;
+    }
+
+    /**
+     * Read the central directory at the end of the archive
+     * @returns {Array} - Entries {path, method, compressedSize, size, offset}
+     * @private
+     */
+    readDirectory() {
+        const end = this.findEndOfDirectory();
+        const count = this.view.getUint16(end + 10, true);
+        let offset = this.view.getUint32(end + 16, true);
+
+        if (count === 0xffff || offset === 0xffffffff) {
+            throw new Error('ZIP64 archives are not supported');
+        }
+
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(offset, true) !== DIRECTORY_ENTRY) {
+                throw new Error('Corrupt zip directory');
+            }
+
+            const flags = this.view.getUint16(offset + 8, true);
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+
+            entries.push({
+                path: decoder.decode(new Uint8Array(this.buffer, offset + 46, nameLength)),
+                encrypted: (flags & 1) !== 0,
+                method: this.view.getUint16(offset + 10, true),
+                compressedSize: this.view.getUint32(offset + 20, true),
+                size: this.view.getUint32(offset + 24, true),
+                offset: this.view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Find the end of central directory record, which may be followed by a comment
+     * @returns {number} - Offset of the record
+     * @private
+     */
+    findEndOfDirectory() {
+        const last = this.buffer.byteLength - 22;
+        const first = Math.max(0, last - 0xffff);
+
+        for (let offset = last; offset >= first; offset--) {
+            if (this.view.getUint32(offset, true) === END_OF_DIRECTORY) {
+                return offset;
+            }
+        }
+
+        throw new Error('Not a zip archive');
+    }
+
+    /**
+     * Get the contents of an entry
+     * @param {Object} entry - Entry from the directory
+     * @returns {Promise<Blob>} - The file
+     */
+    async extract(entry) {
+        if (entry.encrypted) {
+            throw new Error(`${entry.path}: encrypted entries are not supported`);
+        }
+
+        // Name and extra field lengths in the local header can differ from the directory's
+        const header = entry.offset;
+        if (this.view.getUint32(header, true) !== LOCAL_HEADER) {
+            throw new Error(`${entry.path}: corrupt local header`);
+        }
+        const start = header + 30 + this.view.getUint16(header + 26, true) + this.view.getUint16(header + 28, true);
+        const data = new Blob([new Uint8Array(this.buffer, start, entry.compressedSize)]);
+
+        if (entry.method === METHOD_STORED) {
+            return data;
+        }
+
+        if (entry.method === METHOD_DEFLATE) {
+            const stream = data.stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Response(stream).blob();
+        }
+
+        throw new Error(`${entry.path}: unsupported compression method ${entry.method}`);
+    }
+}
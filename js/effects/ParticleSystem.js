@@ -235,6 +235,25 @@ export class ParticleSystem {
         });
     }
     
+    /**
+     * Create a small flame rising from a torch
+     * @param {THREE.Vector3} position - Position of the flame
+     * @returns {Object} - The created particle system
+     */
+    createFlameParticles(position) {
+        const id = `flame_${Date.now()}_${Math.floor(Math.random() * 1000)}`;
+        
+        return this.createEmitter(id, position, {
+            count: 3,
+            size: 0.05,
+            lifetime: 0.6,
+            gravity: -0.6, // Rise with the heat
+            speed: 0.05,
+            color: 0xffaa33,
+            blending: THREE.AdditiveBlending
+        });
+    }
+    
     /**
      * Update all particle systems
      * @param {number} deltaTime - Time since last update in seconds
@@ -0,0 +1,101 @@
+/**
+ * FallingBlock - A block with physics: 'falling' that lost its support
+ * Falls straight down under World.gravity and turns back into a block where it
+ * lands. If it cannot settle there (e.g. it lands on leaves), it drops as an item.
+ */
+import { ItemEntity } from './ItemEntity.js';
+
+export class FallingBlock {
+    /**
+     * @param {World} world - World the block falls in
+     * @param {string} blockType - Block type key
+     * @param {number} x - World X of the block it came from
+     * @param {number} y - World Y of the block it came from
+     * @param {number} z - World Z of the block it came from
+     */
+    constructor(world, blockType, x, y, z) {
+        this.world = world;
+        this.blockType = blockType;
+
+        // Bottom center of the block, so the column stays x + 0.5, z + 0.5
+        this.position = new THREE.Vector3(x + 0.5, y, z + 0.5);
+        this.velocity = new THREE.Vector3(0, 0, 0);
+        this.maxFallSpeed = 40;
+        this.alive = true;
+
+        const type = world.resourceManager.getBlockType(blockType);
+        const geometry = world.resourceManager.createBlockGeometry(type);
+        geometry.translate(0, 0.5, 0);
+        this.mesh = new THREE.Mesh(geometry, world.resourceManager.getBlockMaterial(type));
+        this.mesh.castShadow = true;
+        this.syncMesh();
+        world.scene.add(this.mesh);
+    }
+
+    /**
+     * Fall, and settle on landing
+     * @param {number} deltaTime - Time since last update in seconds
+     * @returns {boolean} - Whether the entity is still alive
+     */
+    update(deltaTime) {
+        const x = Math.floor(this.position.x);
+        const z = Math.floor(this.position.z);
+
+        // Wait for the ground to be generated
+        if (!this.world.isChunkLoadedAt(x, z)) return true;
+
+        this.velocity.y = Math.max(this.velocity.y - this.world.gravity * deltaTime, -this.maxFallSpeed);
+        const nextY = this.position.y + this.velocity.y * deltaTime;
+
+        // Check every block top passed on the way down
+        for (let cell = Math.ceil(this.position.y) - 1; cell + 1 > nextY && cell >= 0; cell--) {
+            if (!this.world.isPassable(x, cell, z)) {
+                this.land(x, cell + 1, z);
+                return false;
+            }
+        }
+
+        // Fell out of the world
+        if (nextY < 0) {
+            this.alive = false;
+            return false;
+        }
+
+        this.position.y = nextY;
+        this.syncMesh();
+        return true;
+    }
+    
+    /**
+     * Move the mesh to the block's position and light it like the blocks around it
+     * @private
+     */
+    syncMesh() {
+        this.mesh.position.copy(this.position);
+        this.world.shadeEntity(this.mesh.geometry, this.position.x, this.position.y + 0.5, this.position.z);
+    }
+
+    /**
+     * Turn back into a block, or into an item if the spot cannot hold it
+     * @private
+     */
+    land(x, y, z) {
+        this.alive = false;
+
+        if (this.world.canSettleAt(x, y, z)) {
+            this.world.setBlock(x, y, z, this.blockType);
+            return;
+        }
+
+        this.world.addEntity(new ItemEntity(this.world, this.blockType, 1,
+            new THREE.Vector3(x + 0.5, y + 0.25, z + 0.5)));
+    }
+
+    /**
+     * Remove the entity's mesh from the scene
+     */
+    dispose() {
+        this.world.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+    }
+}
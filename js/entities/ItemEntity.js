@@ -0,0 +1,109 @@
+/**
+ * ItemEntity - A dropped item lying in the world, waiting to be picked up
+ * Rendered as a small spinning block. Falls and collides like the player and
+ * despawns after a while.
+ */
+export class ItemEntity {
+    /**
+     * @param {World} world - World the item lies in
+     * @param {string} type - Item (block type) key
+     * @param {number} count - Stack size
+     * @param {THREE.Vector3} position - Spawn position (bottom center)
+     */
+    constructor(world, type, count, position) {
+        this.world = world;
+        this.type = type;
+        this.count = count;
+
+        this.position = position.clone();
+        this.velocity = new THREE.Vector3((Math.random() - 0.5) * 2, 3, (Math.random() - 0.5) * 2);
+        this.size = 0.25;
+        this.onGround = false;
+        this.age = 0;
+        this.pickupDelay = 0.5; // Seconds before the item can be picked up
+        this.lifetime = 300;    // Seconds before the item despawns
+        this.alive = true;
+
+        const blockType = world.resourceManager.getBlockType(type);
+        const geometry = world.resourceManager.createBlockGeometry(blockType, this.size);
+        this.mesh = new THREE.Mesh(geometry, world.resourceManager.getBlockMaterial(blockType));
+        this.mesh.castShadow = true;
+        this.syncMesh();
+        world.scene.add(this.mesh);
+    }
+
+    /**
+     * Move the item and spin it
+     * @param {number} deltaTime - Time since last update in seconds
+     * @returns {boolean} - Whether the entity is still alive
+     */
+    update(deltaTime) {
+        this.age += deltaTime;
+        if (!this.alive || this.age >= this.lifetime) {
+            this.alive = false;
+            return false;
+        }
+
+        if (!this.world.isChunkLoadedAt(this.position.x, this.position.z)) return true;
+
+        this.velocity.y = Math.max(this.velocity.y - this.world.gravity * deltaTime, -20);
+
+        // Ground friction
+        if (this.onGround) {
+            const friction = Math.pow(0.6, deltaTime * 20);
+            this.velocity.x *= friction;
+            this.velocity.z *= friction;
+        }
+
+        const collision = this.world.resolveBlockCollision(
+            this.position,
+            this.velocity.clone().multiplyScalar(deltaTime),
+            this.size / 2,
+            { height: this.size, stepHeight: 0, onGround: this.onGround }
+        );
+
+        this.position.add(collision.velocity);
+        if (collision.onGround || collision.onCeiling) this.velocity.y = 0;
+        if (collision.collidedX) this.velocity.x = 0;
+        if (collision.collidedZ) this.velocity.z = 0;
+        this.onGround = collision.onGround;
+
+        if (this.position.y < -10) {
+            this.alive = false;
+            return false;
+        }
+
+        this.syncMesh();
+        return true;
+    }
+
+    /**
+     * Whether the item can be picked up yet
+     * @returns {boolean}
+     */
+    canPickUp() {
+        return this.alive && this.age >= this.pickupDelay;
+    }
+
+    /**
+     * Place the mesh at the item's position, bobbing and spinning
+     * @private
+     */
+    syncMesh() {
+        this.mesh.position.set(
+            this.position.x,
+            this.position.y + this.size / 2 + Math.sin(this.age * 3) * 0.05,
+            this.position.z
+        );
+        this.mesh.rotation.y = this.age * 2;
+        this.world.shadeEntity(this.mesh.geometry, this.position.x, this.position.y, this.position.z);
+    }
+
+    /**
+     * Remove the entity's mesh from the scene
+     */
+    dispose() {
+        this.world.scene.remove(this.mesh);
+        this.mesh.geometry.dispose();
+    }
+}
@@ -12,31 +12,48 @@ export class Player {
         this.position = new THREE.Vector3(0, 0, 0);
         this.velocity = new THREE.Vector3(0, 0, 0);
         this.rotation = new THREE.Euler(0, 0, 0, 'YXZ');
-        this.playerVelocity = new THREE.Vector3(0, 0, 0); // For physics calculations
         
         // Physics properties
         this.gravity = 20;        // Gravity force
         this.jumpStrength = 10;   // Initial jump velocity
         this.moveSpeed = 5;       // Base movement speed
         this.sprintSpeed = 8;     // Sprint movement speed
+        this.sneakSpeed = 2;      // Sneaking movement speed
+        this.maxFallSpeed = 20;   // Terminal falling velocity
+        this.stepHeight = 0.5;    // Highest ledge the player walks up without jumping
         this.friction = 0.85;     // Ground friction
         this.airFriction = 0.95;  // Air friction
         
+        // Swimming properties
+        this.swimSpeedFactor = 0.5; // Movement speed multiplier in fluids
+        this.swimSpeed = 4;         // Rising speed while holding jump in a fluid
+        this.fluidGravity = 4;      // Net downward pull in a fluid (gravity minus buoyancy)
+        this.sinkSpeed = 2;         // Fastest sinking speed in a fluid
+        this.fluidDrag = 0.85;      // Vertical velocity kept per 1/60 s in a fluid
+        this.maxAir = 10;           // Seconds the player can hold their breath
+        this.drowningDamage = 2;    // Damage per second once out of air
+        
         // Movement state
         this.onGround = false;    // Whether player is on the ground
         this.jumping = false;     // Whether player is jumping
         this.sprinting = false;   // Whether player is sprinting
         this.sneaking = false;    // Whether player is sneaking (crouching)
         this.flying = false;      // Whether player is flying (creative mode)
+        this.inFluid = false;     // Whether the player's body is in a fluid
+        this.headInFluid = false; // Whether the player's eyes are under the surface
+        this.againstWall = false; // Whether horizontal movement was blocked last update
+        this.spawnPending = true; // Whether to place the player on the surface once terrain loads
         
         // Player dimensions
         this.height = 1.8;        // Player height
         this.width = 0.6;         // Player width
         this.eyeHeight = 1.62;    // Player eye height
         this.sneakHeight = 1.5;   // Player sneaking height
+        this.sneakEyeHeight = 1.27; // Player eye height while sneaking
         
         // Interaction properties
         this.blockReach = 5;      // How far player can interact with blocks
+        this.pickupRadius = 1.5;  // How close dropped items must be to be picked up
         this.targetBlock = null;  // Currently targeted block
         this.targetDistance = 5;  // How far the player can reach
         
@@ -46,6 +63,8 @@ export class Player {
         this.hunger = 20;         // Current hunger
         this.maxHunger = 20;      // Maximum hunger
         this.experience = 0;      // Experience points
+        this.air = this.maxAir;   // Remaining breath in seconds
+        this.drowningTime = 0;    // Time since the last drowning damage
         
         // Input state
         this.inputState = {
@@ -60,7 +79,8 @@ export class Player {
             use: false
         };
         
-        // Inventory
+        // Inventory: slots hold {type, count} stacks or null
+        this.maxStackSize = 64;
         this.inventory = {
             hotbar: Array(9).fill(null),
             main: Array(27).fill(null),
@@ -77,11 +97,19 @@ export class Player {
      * Initialize the player
      */
     init() {
-        // Set initial position high in the world
+        // Start above the world origin; the player is moved onto the surface
+        // as soon as the chunk below has been generated
         this.position.set(0, 100, 0);
-        
-        // Set up input handlers
-        this.setupInputHandlers();
+        this.velocity.set(0, 0, 0);
+        this.spawnPending = true;
+        this.air = this.maxAir;
+        this.syncCamera();
+        
+        // Set up input handlers (only once, init may be called again to respawn)
+        if (!this.inputHandlersBound) {
+            this.setupInputHandlers();
+            this.inputHandlersBound = true;
+        }
         
         console.log('Player initialized');
     }
@@ -250,156 +278,203 @@ export class Player {
      * Update player physics and movement
      * @param {number} deltaTime - Time since last update in seconds
      */
-    update(delta, gameTime) {
-        // Make sure we have the keys object
-        if (!this.keys) {
-            this.keys = this.inputState || {}; // Use inputState or empty object if keys are not defined
+    update(deltaTime) {
+        // Freeze physics until there is terrain to collide with
+        if (!this.world.isChunkLoadedAt(this.position.x, this.position.z)) {
+            this.syncCamera();
+            return;
         }
         
-        // Make sure playerDirection is initialized
-        if (!this.playerDirection) {
-            this.playerDirection = new THREE.Vector3(0, 0, 0);
+        if (this.spawnPending) {
+            this.spawnOnSurface();
         }
         
-        // Calculate velocity based on input
-        this.playerDirection.z = Number(this.keys.forward) - Number(this.keys.backward);
-        this.playerDirection.x = Number(this.keys.right) - Number(this.keys.left);
-        this.playerDirection.normalize();
+        this.updateFluidState();
+        this.updateBreath(deltaTime);
+        this.updateVelocity(deltaTime);
+        
+        // Move through the world, stopping at blocks
+        const collision = this.world.resolveBlockCollision(
+            this.position,
+            this.velocity.clone().multiplyScalar(deltaTime),
+            this.width / 2,
+            {
+                height: this.getCurrentHeight(),
+                stepHeight: this.flying ? 0 : this.stepHeight,
+                onGround: this.onGround
+            }
+        );
         
-        // Current position
-        const playerPosition = this.controls.getObject().position;
+        this.position.add(collision.velocity);
         
-        // Check if standing on ground
-        const groundCheck = this.world.isBlockBelow(playerPosition);
+        // Contacts stop movement along the blocked axis
+        if (collision.onGround || collision.onCeiling) this.velocity.y = 0;
+        if (collision.collidedX) this.velocity.x = 0;
+        if (collision.collidedZ) this.velocity.z = 0;
         
-        // Reset ground status if we're moving upward with significant velocity
-        if (this.playerVelocity.y > 1) {
-            this.playerOnGround = false;
-        }
-        // Update ground status if ray detects ground
-        else if (groundCheck.isOnGround) {
-            this.playerOnGround = true;
-        } 
-        // If we're moving down and no ground is detected, we're falling
-        else if (this.playerVelocity.y <= 0) {
-            this.playerOnGround = false;
+        this.onGround = collision.onGround;
+        this.againstWall = collision.collidedX || collision.collidedZ;
+        if (this.onGround) {
+            this.jumping = false;
         }
         
-        // Apply gravity only when not on ground
-        if (!this.playerOnGround) {
-            this.playerVelocity.y -= this.gravity * delta;
-            
-            // Terminal velocity cap for falling
-            if (this.playerVelocity.y < -20) {
-                this.playerVelocity.y = -20;
-            }
+        // Fell out of the world: respawn on the surface
+        if (this.position.y < -10) {
+            this.spawnPending = true;
         }
         
-        // Handle jumping - only if on ground
-        if (this.keys.jump && this.playerOnGround) {
-            this.playerVelocity.y = this.jumpStrength;
-            this.playerOnGround = false;
+        this.syncCamera();
+        
+        // Pick up dropped items within reach
+        this.world.collectItems(this.position, this.pickupRadius, (type, count) => this.addItem(type, count));
+        
+        // Update the player's targeted block
+        this.updateTargetBlock();
+    }
+    
+    /**
+     * Apply input, gravity and friction to the velocity
+     * @param {number} deltaTime - Time since last update in seconds
+     * @private
+     */
+    updateVelocity(deltaTime) {
+        // Horizontal input relative to where the camera is looking
+        const forward = new THREE.Vector3();
+        this.camera.getWorldDirection(forward);
+        forward.y = 0;
+        forward.normalize();
+        const right = new THREE.Vector3(-forward.z, 0, forward.x);
+        
+        const direction = new THREE.Vector3()
+            .addScaledVector(forward, Number(this.inputState.forward) - Number(this.inputState.backward))
+            .addScaledVector(right, Number(this.inputState.right) - Number(this.inputState.left));
+        if (direction.lengthSq() > 0) {
+            direction.normalize();
         }
         
-        // Set move speed based on crawling
-        const currentMoveSpeed = this.isCrawling ? 2 : 5;
+        let speed = this.moveSpeed;
+        if (this.sneaking && !this.flying) speed = this.sneakSpeed;
+        else if (this.sprinting) speed = this.sprintSpeed;
         
-        // Movement velocity
-        const moveVelocity = new THREE.Vector3(
-            this.playerDirection.x * currentMoveSpeed * delta,
-            this.playerVelocity.y * delta,
-            this.playerDirection.z * currentMoveSpeed * delta
-        );
+        const swimming = this.inFluid && !this.flying;
+        if (swimming) speed *= this.swimSpeedFactor;
         
-        // Apply collision resolution - this updates the velocity if needed
-        const resolvedVelocity = this.world.resolveBlockCollision(playerPosition, moveVelocity, this.playerRadius);
+        // Full control on the ground and in fluids, gradual steering in the air
+        const control = this.onGround || this.flying || swimming
+            ? 1
+            : 1 - Math.pow(this.airFriction, deltaTime * 60);
+        this.velocity.x += (direction.x * speed - this.velocity.x) * control;
+        this.velocity.z += (direction.z * speed - this.velocity.z) * control;
         
-        // Reduce horizontal velocity on jumping to prevent huge jumps horizontally
-        if (!this.playerOnGround && Math.abs(this.playerVelocity.y) > 0.1) {
-            resolvedVelocity.x *= 0.8;
-            resolvedVelocity.z *= 0.8;
+        if (this.flying) {
+            this.velocity.y = (Number(this.inputState.jump) - Number(this.inputState.sneak)) * speed;
+            return;
         }
         
-        // Apply movement with collision resolution
-        if (resolvedVelocity.x !== 0) this.controls.moveRight(resolvedVelocity.x);
-        if (resolvedVelocity.z !== 0) this.controls.moveForward(resolvedVelocity.z);
-        if (resolvedVelocity.y !== 0) playerPosition.y += resolvedVelocity.y;
-        
-        // Ensure we don't go below ground level if on ground
-        if (this.playerOnGround) {
-            // Apply height adjustment for crawling
-            const currentHeight = this.isCrawling ? this.crouchHeight : this.normalHeight;
-            
-            // Extra verification that player is at correct height when on ground
-            if (groundCheck.isOnGround) {
-                const blockTop = groundCheck.block.position.y + 0.5; // Top of the block
-                const desiredY = blockTop + currentHeight;
-                
-                // Smooth adjustment if needed
-                const heightDiff = desiredY - playerPosition.y;
-                if (Math.abs(heightDiff) > 0.01) {
-                    playerPosition.y += heightDiff * 0.3; // Slightly faster adjustment
-                }
-            }
-        } else {
-            // Extra check if player is getting stuck in a block
-            const insideBlock = this.world.checkFullCollision(playerPosition, this.playerRadius * 0.8);
-            if (insideBlock.length > 0) {
-                // Player is stuck inside a block, push them upward
-                playerPosition.y += 0.1;
-                this.playerVelocity.y = Math.max(this.playerVelocity.y, 0.5);
+        if (swimming) {
+            // Buoyancy nearly cancels gravity, drag damps vertical motion, jump swims up
+            this.velocity.y *= Math.pow(this.fluidDrag, deltaTime * 60);
+            if (this.inputState.jump && this.againstWall) {
+                // Climb out onto the bank
+                this.velocity.y = Math.max(this.velocity.y, this.jumpStrength * 0.6);
+            } else if (this.inputState.jump) {
+                this.velocity.y = Math.min(this.velocity.y + this.gravity * deltaTime, this.swimSpeed);
+            } else {
+                this.velocity.y = Math.max(this.velocity.y - this.fluidGravity * deltaTime, -this.sinkSpeed);
             }
+            return;
         }
         
-        // Check if we are not on ground but not falling either
-        if (!this.playerOnGround && Math.abs(this.playerVelocity.y) < 0.1) {
-            // If we're not falling and not on ground, we might be stuck
-            // Check if there's a block below us
-            if (!groundCheck.isOnGround) {
-                // Force gravity to apply
-                this.playerVelocity.y = -0.1;
-            }
+        // Holding jump keeps jumping whenever the player lands
+        if (this.inputState.jump) {
+            this.tryJump();
         }
         
-        // Extra safety to prevent falling through the world - only use as last resort
-        if (playerPosition.y < -10) {
-            // Teleport to a safe position above ground
-            playerPosition.set(0, 2, 0);
-            this.playerVelocity.set(0, 0, 0);
+        this.velocity.y = Math.max(this.velocity.y - this.gravity * deltaTime, -this.maxFallSpeed);
+    }
+    
+    /**
+     * Check whether the player's body and eyes are in a fluid
+     * @private
+     */
+    updateFluidState() {
+        const { x, y, z } = this.position;
+        const eyeHeight = this.sneaking && !this.flying ? this.sneakEyeHeight : this.eyeHeight;
+        
+        // Swimming starts once the fluid reaches the waist
+        this.inFluid = this.world.isInFluid(x, y + 0.4, z);
+        this.headInFluid = this.world.isInFluid(x, y + eyeHeight, z);
+    }
+    
+    /**
+     * Use up breath under water and take drowning damage once it runs out
+     * @param {number} deltaTime - Time since last update in seconds
+     * @private
+     */
+    updateBreath(deltaTime) {
+        if (!this.headInFluid || this.flying) {
+            // Breath comes back quickly at the surface
+            this.air = Math.min(this.maxAir, this.air + deltaTime * 5);
+            this.drowningTime = 0;
+            return;
         }
         
-        // Update player model position to follow camera
-        this.playerGroup.position.x = this.camera.position.x;
-        this.playerGroup.position.z = this.camera.position.z;
-        this.playerGroup.position.y = this.camera.position.y - (this.isThirdPerson ? 
-            (this.isCrawling ? this.crouchHeight * 0.7 : this.normalHeight * 0.7) : 
-            (this.isCrawling ? this.crouchHeight : this.normalHeight));
-        
-        // Make player model face the same direction as camera
-        this.playerGroup.rotation.y = this.controls.getObject().rotation.y;
-        
-        // Animate player model
-        if (this.playerDirection.z !== 0 || this.playerDirection.x !== 0) {
-            // Walking animation
-            const walkSpeed = 8;
-            const walkAmplitude = 0.2;
-            
-            const legSwing = Math.sin(gameTime * walkSpeed * delta) * walkAmplitude;
-            this.rightLeg.rotation.x = legSwing;
-            this.leftLeg.rotation.x = -legSwing;
-            
-            this.rightArm.rotation.x = -legSwing;
-            this.leftArm.rotation.x = legSwing;
-        } else {
-            // Reset to standing position
-            this.rightLeg.rotation.x = 0;
-            this.leftLeg.rotation.x = 0;
-            this.rightArm.rotation.x = 0;
-            this.leftArm.rotation.x = 0;
+        this.air = Math.max(0, this.air - deltaTime);
+        if (this.air > 0) return;
+        
+        this.drowningTime += deltaTime;
+        if (this.drowningTime >= 1) {
+            this.drowningTime -= 1;
+            this.takeDamage(this.drowningDamage);
         }
+    }
+    
+    /**
+     * Reduce health, respawning when it runs out
+     * @param {number} amount - Damage in health points
+     */
+    takeDamage(amount) {
+        this.health = Math.max(0, this.health - amount);
         
-        // Update the player's targeted block
-        this.updateTargetBlock();
+        if (this.health === 0) {
+            this.health = this.maxHealth;
+            this.init();
+        }
+    }
+    
+    /**
+     * Place the player on top of the highest block at their column
+     * @private
+     */
+    spawnOnSurface() {
+        const x = Math.floor(this.position.x);
+        const z = Math.floor(this.position.z);
+        
+        this.position.set(x + 0.5, this.world.getHighestSolidBlock(x, z) + 1, z + 0.5);
+        this.velocity.set(0, 0, 0);
+        this.spawnPending = false;
+    }
+    
+    /**
+     * Current collision height (lower while sneaking)
+     * @returns {number} - Height in blocks
+     * @private
+     */
+    getCurrentHeight() {
+        return this.sneaking && !this.flying ? this.sneakHeight : this.height;
+    }
+    
+    /**
+     * Move the camera to the player's eyes
+     * @private
+     */
+    syncCamera() {
+        const eyeHeight = this.sneaking && !this.flying ? this.sneakEyeHeight : this.eyeHeight;
+        this.controls.getObject().position.set(
+            this.position.x,
+            this.position.y + eyeHeight,
+            this.position.z
+        );
     }
 
     /**
@@ -420,22 +495,32 @@ export class Player {
     }
 
     /**
-     * Place a block next to the targeted block
+     * Place the selected hotbar block next to the targeted block
+     * With an empty hand a stone block is placed, as before the inventory existed.
      */
     placeBlock() {
         // Check if we have a world and a target block
         if (!this.world || !this.targetBlock) return;
         
         const position = this.targetBlock.adjacentPosition;
+        const stack = this.inventory.hotbar[this.inventory.selectedSlot];
+        
+        // Slabs and stairs are turned by where the block was clicked and where the player looks
+        const direction = new THREE.Vector3(0, 0, -1).applyQuaternion(this.camera.quaternion);
         
-        // Currently just place a stone block
-        // In a full implementation, would use the selected block from inventory
-        this.world.placeBlock(
-            'stone',
+        const placed = this.world.placeBlock(
+            stack ? stack.type : 'stone',
             Math.floor(position.x),
             Math.floor(position.y),
-            Math.floor(position.z)
+            Math.floor(position.z),
+            this.targetBlock.normal,
+            { point: this.targetBlock.point, direction }
         );
+        
+        // Placed blocks come out of the stack
+        if (placed && stack && --stack.count === 0) {
+            this.inventory.hotbar[this.inventory.selectedSlot] = null;
+        }
     }
 
     /**
@@ -452,4 +537,72 @@ export class Player {
         // Use the world's raycast method to find the targeted block
         this.targetBlock = this.world.getTargetBlock(cameraPosition, cameraDirection, this.targetDistance);
     }
+    
+    /**
+     * Add items to the inventory, filling matching stacks first, then empty slots
+     * @param {string} type - Item (block type) key
+     * @param {number} count - Number of items
+     * @returns {number} - Number of items that did not fit
+     */
+    addItem(type, count) {
+        const slots = [this.inventory.hotbar, this.inventory.main];
+        
+        for (const list of slots) {
+            for (const stack of list) {
+                if (count === 0) return 0;
+                if (stack && stack.type === type && stack.count < this.maxStackSize) {
+                    const added = Math.min(count, this.maxStackSize - stack.count);
+                    stack.count += added;
+                    count -= added;
+                }
+            }
+        }
+        
+        for (const list of slots) {
+            for (let i = 0; i < list.length && count > 0; i++) {
+                if (!list[i]) {
+                    const added = Math.min(count, this.maxStackSize);
+                    list[i] = { type, count: added };
+                    count -= added;
+                }
+            }
+        }
+        
+        return count;
+    }
+    
+    /**
+     * Save the player state
+     * @returns {Object} - Player data for saving
+     */
+    save() {
+        return {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            health: this.health,
+            hunger: this.hunger,
+            experience: this.experience,
+            selectedSlot: this.inventory.selectedSlot
+        };
+    }
+    
+    /**
+     * Load the player state from saved data
+     * @param {Object} playerData - Saved player data
+     */
+    load(playerData) {
+        if (playerData.position) {
+            const { x, y, z } = playerData.position;
+            this.position.set(x, y, z);
+            this.spawnPending = false;
+            this.syncCamera();
+        }
+        
+        this.health = playerData.health !== undefined ? playerData.health : this.maxHealth;
+        this.hunger = playerData.hunger !== undefined ? playerData.hunger : this.maxHunger;
+        this.experience = playerData.experience || 0;
+        this.inventory.selectedSlot = playerData.selectedSlot || 0;
+        
+        // Stop any movement carried over from before loading
+        this.velocity.set(0, 0, 0);
+    }
 } 
\ No newline at end of file
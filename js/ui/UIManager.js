@@ -14,6 +14,7 @@ export class UIManager {
         this.elements = {
             loading: document.getElementById('loading-screen'),
             mainMenu: document.getElementById('main-menu'),
+            createWorld: document.getElementById('create-world'),
             pauseMenu: document.getElementById('pause-menu'),
             hud: document.getElementById('hud'),
             inventory: document.getElementById('inventory'),
@@ -454,6 +455,82 @@ export class UIManager {
         }, displayTime);
     }
     
+    /**
+     * Replace UI text with strings from resource packs
+     * Elements marked with data-string="key" show strings[key], or their
+     * original text when the key is missing.
+     * @param {Object} strings - String key => text
+     */
+    applyStrings(strings) {
+        document.querySelectorAll('[data-string]').forEach(element => {
+            // Keep the original text so it comes back when a pack is disabled
+            if (element.dataset.defaultString === undefined) {
+                element.dataset.defaultString = element.textContent;
+            }
+            
+            const text = strings[element.dataset.string];
+            element.textContent = typeof text === 'string' ? text : element.dataset.defaultString;
+        });
+    }
+    
+    /**
+     * Show the stored resource packs in the options menu
+     * Buttons fire resourcePackToggle (id, enabled), resourcePackMove (id, direction)
+     * and resourcePackRemove (id).
+     * @param {Array} packs - Packs from ResourcePackManager.getPacks
+     */
+    updateResourcePacks(packs) {
+        const list = document.getElementById('pack-list');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        if (packs.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'pack-empty';
+            empty.textContent = 'No resource packs. Drop a .zip here or pick a folder.';
+            list.appendChild(empty);
+            return;
+        }
+        
+        const activeCount = packs.filter(pack => pack.active).length;
+        packs.forEach((pack, index) => {
+            const row = document.createElement('div');
+            row.className = pack.active ? 'pack-row active' : 'pack-row';
+            
+            const info = document.createElement('div');
+            info.className = 'pack-info';
+            const name = document.createElement('span');
+            name.className = 'pack-name';
+            name.textContent = pack.name;
+            const description = document.createElement('span');
+            description.className = 'pack-description';
+            description.textContent = pack.description;
+            info.append(name, description);
+            
+            const addButton = (label, title, disabled, onClick) => {
+                const button = document.createElement('button');
+                button.className = 'key-bind-button pack-button';
+                button.textContent = label;
+                button.title = title;
+                button.disabled = disabled;
+                button.addEventListener('click', onClick);
+                row.appendChild(button);
+            };
+            
+            row.appendChild(info);
+            addButton(pack.active ? 'On' : 'Off', 'Enable or disable', false,
+                () => this.fireEvent('resourcePackToggle', pack.id, !pack.active));
+            addButton('▲', 'Higher priority', !pack.active || index === 0,
+                () => this.fireEvent('resourcePackMove', pack.id, -1));
+            addButton('▼', 'Lower priority', !pack.active || index === activeCount - 1,
+                () => this.fireEvent('resourcePackMove', pack.id, 1));
+            addButton('✕', 'Remove', false,
+                () => this.fireEvent('resourcePackRemove', pack.id));
+            
+            list.appendChild(row);
+        });
+    }
+    
     /**
      * Update player health display
      * @param {number} health - Current health value
@@ -0,0 +1,47 @@
+/**
+ * DatabaseUtils - Promise helpers for the IndexedDB databases of the game
+ * Each database holds a single object store.
+ */
+export class DatabaseUtils {
+    /**
+     * Open (and on first use create) a database with one object store
+     * @param {string} name - Database name
+     * @param {string} storeName - Name of its object store
+     * @param {string} keyPath - Record field the store is keyed by
+     * @returns {Promise<IDBDatabase>} - The database
+     */
+    static open(name, storeName, keyPath) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        const open = indexedDB.open(name, 1);
+        open.onupgradeneeded = () => {
+            open.result.createObjectStore(storeName, { keyPath });
+        };
+        return DatabaseUtils.request(open);
+    }
+
+    /**
+     * Get an object store in a new transaction
+     * @param {IDBDatabase} database - Open database
+     * @param {string} storeName - Name of the store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @returns {IDBObjectStore} - The store
+     */
+    static getStore(database, storeName, mode) {
+        return database.transaction(storeName, mode).objectStore(storeName);
+    }
+
+    /**
+     * Wait for an IndexedDB request
+     * @param {IDBRequest} request - The request
+     * @returns {Promise} - Its result
+     */
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
@@ -258,7 +258,28 @@ export class MathUtils {
             return current / m;
         };
     }
-    
+
+    /**
+     * Deterministic hash of integer coordinates, for seeded per-position decisions
+     * @param {number} seed - World seed
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Z coordinate (optional)
+     * @returns {number} - Pseudo-random number between 0 and 1
+     */
+    static hashCoords(seed, x, y, z = 0) {
+        let h = (seed ^ 0x9e3779b9) | 0;
+        h = Math.imul(h ^ (x | 0), 0x27d4eb2d);
+        h ^= h >>> 16;
+        h = Math.imul(h ^ (y | 0), 0x165667b1);
+        h ^= h >>> 16;
+        h = Math.imul(h ^ (z | 0), 0x85ebca6b);
+        h ^= h >>> 15;
+        h = Math.imul(h, 0xc2b2ae35);
+        h ^= h >>> 13;
+        return (h >>> 0) / 4294967296;
+    }
+
     /**
      * Convert RGB color components to hex
      * @param {number} r - Red (0-255)
@@ -0,0 +1,252 @@
+/**
+ * SimplexNoise - Seeded 2D/3D simplex noise with fractal (octave) sampling
+ * The same seed always produces the same permutation table, so terrain built
+ * from this noise can be regenerated exactly from a saved seed.
+ */
+import { MathUtils } from './MathUtils.js';
+
+// Skewing factors for 2D and 3D simplex grids
+const F2 = 0.5 * (Math.sqrt(3) - 1);
+const G2 = (3 - Math.sqrt(3)) / 6;
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+// Gradient directions (edges of a cube, reused for 2D by ignoring z)
+const GRADIENTS = new Float32Array([
+    1, 1, 0,  -1, 1, 0,  1, -1, 0,  -1, -1, 0,
+    1, 0, 1,  -1, 0, 1,  1, 0, -1,  -1, 0, -1,
+    0, 1, 1,  0, -1, 1,  0, 1, -1,  0, -1, -1
+]);
+
+export class SimplexNoise {
+    /**
+     * @param {number} seed - Seed for the permutation table
+     */
+    constructor(seed = 0) {
+        this.perm = new Uint8Array(512);
+        this.permMod12 = new Uint8Array(512);
+        this.setSeed(seed);
+    }
+
+    /**
+     * Rebuild the permutation table from a seed
+     * @param {number} seed - New seed value
+     */
+    setSeed(seed) {
+        this.seed = seed;
+
+        // Shuffle 0..255 with a deterministic generator (Fisher-Yates)
+        const random = MathUtils.createRandomGenerator(seed >>> 0);
+        const source = new Uint8Array(256);
+        for (let i = 0; i < 256; i++) {
+            source[i] = i;
+        }
+
+        for (let i = 255; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const tmp = source[i];
+            source[i] = source[j];
+            source[j] = tmp;
+        }
+
+        for (let i = 0; i < 512; i++) {
+            this.perm[i] = source[i & 255];
+            this.permMod12[i] = this.perm[i] % 12;
+        }
+    }
+
+    /**
+     * Sample 2D simplex noise
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {number} - Noise value in [-1, 1]
+     */
+    noise2D(x, y) {
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        // Skew the input space to find the simplex cell
+        const s = (x + y) * F2;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const t = (i + j) * G2;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+
+        // Which of the two triangles are we in?
+        const i1 = x0 > y0 ? 1 : 0;
+        const j1 = x0 > y0 ? 0 : 1;
+
+        const x1 = x0 - i1 + G2;
+        const y1 = y0 - j1 + G2;
+        const x2 = x0 - 1 + 2 * G2;
+        const y2 = y0 - 1 + 2 * G2;
+
+        const ii = i & 255;
+        const jj = j & 255;
+
+        let n0 = 0, n1 = 0, n2 = 0;
+
+        let t0 = 0.5 - x0 * x0 - y0 * y0;
+        if (t0 >= 0) {
+            const g = permMod12[ii + perm[jj]] * 3;
+            t0 *= t0;
+            n0 = t0 * t0 * (GRADIENTS[g] * x0 + GRADIENTS[g + 1] * y0);
+        }
+
+        let t1 = 0.5 - x1 * x1 - y1 * y1;
+        if (t1 >= 0) {
+            const g = permMod12[ii + i1 + perm[jj + j1]] * 3;
+            t1 *= t1;
+            n1 = t1 * t1 * (GRADIENTS[g] * x1 + GRADIENTS[g + 1] * y1);
+        }
+
+        let t2 = 0.5 - x2 * x2 - y2 * y2;
+        if (t2 >= 0) {
+            const g = permMod12[ii + 1 + perm[jj + 1]] * 3;
+            t2 *= t2;
+            n2 = t2 * t2 * (GRADIENTS[g] * x2 + GRADIENTS[g + 1] * y2);
+        }
+
+        // Scale to roughly [-1, 1]
+        return 70 * (n0 + n1 + n2);
+    }
+
+    /**
+     * Sample 3D simplex noise
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Z coordinate
+     * @returns {number} - Noise value in [-1, 1]
+     */
+    noise3D(x, y, z) {
+        const perm = this.perm;
+        const permMod12 = this.permMod12;
+
+        const s = (x + y + z) * F3;
+        const i = Math.floor(x + s);
+        const j = Math.floor(y + s);
+        const k = Math.floor(z + s);
+        const t = (i + j + k) * G3;
+        const x0 = x - (i - t);
+        const y0 = y - (j - t);
+        const z0 = z - (k - t);
+
+        // Determine which of the six tetrahedra we are in
+        let i1, j1, k1, i2, j2, k2;
+        if (x0 >= y0) {
+            if (y0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+            else if (x0 >= z0) { i1 = 1; j1 = 0; k1 = 0; i2 = 1; j2 = 0; k2 = 1; }
+            else { i1 = 0; j1 = 0; k1 = 1; i2 = 1; j2 = 0; k2 = 1; }
+        } else {
+            if (y0 < z0) { i1 = 0; j1 = 0; k1 = 1; i2 = 0; j2 = 1; k2 = 1; }
+            else if (x0 < z0) { i1 = 0; j1 = 1; k1 = 0; i2 = 0; j2 = 1; k2 = 1; }
+            else { i1 = 0; j1 = 1; k1 = 0; i2 = 1; j2 = 1; k2 = 0; }
+        }
+
+        const x1 = x0 - i1 + G3;
+        const y1 = y0 - j1 + G3;
+        const z1 = z0 - k1 + G3;
+        const x2 = x0 - i2 + 2 * G3;
+        const y2 = y0 - j2 + 2 * G3;
+        const z2 = z0 - k2 + 2 * G3;
+        const x3 = x0 - 1 + 3 * G3;
+        const y3 = y0 - 1 + 3 * G3;
+        const z3 = z0 - 1 + 3 * G3;
+
+        const ii = i & 255;
+        const jj = j & 255;
+        const kk = k & 255;
+
+        let n0 = 0, n1 = 0, n2 = 0, n3 = 0;
+
+        let t0 = 0.6 - x0 * x0 - y0 * y0 - z0 * z0;
+        if (t0 >= 0) {
+            const g = permMod12[ii + perm[jj + perm[kk]]] * 3;
+            t0 *= t0;
+            n0 = t0 * t0 * (GRADIENTS[g] * x0 + GRADIENTS[g + 1] * y0 + GRADIENTS[g + 2] * z0);
+        }
+
+        let t1 = 0.6 - x1 * x1 - y1 * y1 - z1 * z1;
+        if (t1 >= 0) {
+            const g = permMod12[ii + i1 + perm[jj + j1 + perm[kk + k1]]] * 3;
+            t1 *= t1;
+            n1 = t1 * t1 * (GRADIENTS[g] * x1 + GRADIENTS[g + 1] * y1 + GRADIENTS[g + 2] * z1);
+        }
+
+        let t2 = 0.6 - x2 * x2 - y2 * y2 - z2 * z2;
+        if (t2 >= 0) {
+            const g = permMod12[ii + i2 + perm[jj + j2 + perm[kk + k2]]] * 3;
+            t2 *= t2;
+            n2 = t2 * t2 * (GRADIENTS[g] * x2 + GRADIENTS[g + 1] * y2 + GRADIENTS[g + 2] * z2);
+        }
+
+        let t3 = 0.6 - x3 * x3 - y3 * y3 - z3 * z3;
+        if (t3 >= 0) {
+            const g = permMod12[ii + 1 + perm[jj + 1 + perm[kk + 1]]] * 3;
+            t3 *= t3;
+            n3 = t3 * t3 * (GRADIENTS[g] * x3 + GRADIENTS[g + 1] * y3 + GRADIENTS[g + 2] * z3);
+        }
+
+        // Scale to roughly [-1, 1]
+        return 32 * (n0 + n1 + n2 + n3);
+    }
+
+    /**
+     * Sample layered 2D noise (fractal Brownian motion)
+     * @param {number} x - X coordinate (world space)
+     * @param {number} y - Y coordinate (world space)
+     * @param {Object} params - Noise parameters (scale, octaves, persistence, lacunarity, offset)
+     * @returns {number} - Noise value in [-1, 1]
+     */
+    fractal2D(x, y, params) {
+        const offset = params.offset || [0, 0];
+        let frequency = params.scale;
+        let amplitude = 1;
+        let total = 0;
+        let maxAmplitude = 0;
+
+        for (let octave = 0; octave < params.octaves; octave++) {
+            total += this.noise2D(
+                (x + offset[0]) * frequency,
+                (y + offset[1]) * frequency
+            ) * amplitude;
+
+            maxAmplitude += amplitude;
+            amplitude *= params.persistence;
+            frequency *= params.lacunarity;
+        }
+
+        return total / maxAmplitude;
+    }
+
+    /**
+     * Sample layered 3D noise (fractal Brownian motion)
+     * @param {number} x - X coordinate (world space)
+     * @param {number} y - Y coordinate (world space)
+     * @param {number} z - Z coordinate (world space)
+     * @param {Object} params - Noise parameters (scale, octaves, persistence, lacunarity, offset)
+     * @returns {number} - Noise value in [-1, 1]
+     */
+    fractal3D(x, y, z, params) {
+        const offset = params.offset || [0, 0, 0];
+        let frequency = params.scale;
+        let amplitude = 1;
+        let total = 0;
+        let maxAmplitude = 0;
+
+        for (let octave = 0; octave < params.octaves; octave++) {
+            total += this.noise3D(
+                (x + offset[0]) * frequency,
+                (y + (offset[1] || 0)) * frequency,
+                (z + (offset[2] || 0)) * frequency
+            ) * amplitude;
+
+            maxAmplitude += amplitude;
+            amplitude *= params.persistence;
+            frequency *= params.lacunarity;
+        }
+
+        return total / maxAmplitude;
+    }
+}
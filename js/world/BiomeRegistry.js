@@ -0,0 +1,215 @@
+/**
+ * BiomeRegistry - Definitions of all biomes and their terrain properties
+ * Plain data plus height curve functions, with no THREE dependency, so the
+ * registry can be used by TerrainGenerator inside chunk workers.
+ *
+ * Land biomes are chosen by the climate point (temperature, humidity) closest
+ * to the sampled climate; oceans, beaches and mountains are chosen by the
+ * continentalness noise range they cover.
+ */
+export class BiomeRegistry {
+    constructor() {
+        this.biomes = new Map(); // Biomes by key
+        this.biomeList = [];     // Biomes by numeric index, for compact weight arrays
+
+        this.defineBiomes();
+    }
+
+    /**
+     * Register a biome
+     * @param {string} key - Unique biome key
+     * @param {Object} biome - Biome definition
+     */
+    register(key, biome) {
+        if (this.biomes.has(key)) {
+            console.warn(`Biome ${key} is already registered`);
+            return;
+        }
+
+        biome.key = key;
+        biome.index = this.biomeList.length;
+        this.biomes.set(key, biome);
+        this.biomeList.push(biome);
+    }
+
+    /**
+     * Get a biome by key
+     * @param {string} key - Biome key
+     * @returns {Object} - Biome definition (plains if unknown)
+     */
+    get(key) {
+        if (!this.biomes.has(key)) {
+            console.warn(`Biome ${key} not found`);
+            return this.biomes.get('plains');
+        }
+        return this.biomes.get(key);
+    }
+
+    /**
+     * Get a biome by numeric index
+     * @param {number} index - Biome index
+     * @returns {Object} - Biome definition
+     */
+    getByIndex(index) {
+        return this.biomeList[index];
+    }
+
+    /**
+     * Number of registered biomes
+     * @returns {number}
+     */
+    get count() {
+        return this.biomeList.length;
+    }
+
+    /**
+     * Define the built-in biomes
+     *
+     * Fields:
+     *   name            - Display name
+     *   temperature     - Climate point temperature (0 cold - 1 hot)
+     *   humidity        - Climate point humidity (0 dry - 1 wet)
+     *   continentalness - [min, max] continentalness range the biome can appear in
+     *   heightCurve     - Terrain noise (-1..1) => surface height
+     *   roughness       - Multiplier for small surface detail
+     *   surfaceBlock    - Top block
+     *   subsurfaceBlock - Blocks under the top block
+     *   subsurfaceDepth - Depth of the subsurface layer
+     *   snowLine        - Height from which the surface turns to snow (optional)
+     *   treeDensity     - Chance of a tree per surface column
+     *   trees           - Tree species (TerrainGenerator structures.trees) => relative weight
+     *   plantDensity    - Chance of tall grass or a flower per grass column (optional)
+     *   flowerChance    - Share of those plants that are flowers (optional)
+     *   precipitation   - 'rain', 'snow' or 'none'
+     *   weight          - Share of the climate range it claims (optional, default 1;
+     *                     set by world presets, 0 leaves the biome out)
+     * @private
+     */
+    defineBiomes() {
+        this.register('ocean', {
+            name: 'Ocean',
+            temperature: 0.5,
+            humidity: 0.5,
+            continentalness: [-1, -0.3],
+            heightCurve: n => 48 + n * 6,
+            roughness: 0.3,
+            surfaceBlock: 'sand',
+            subsurfaceBlock: 'sand',
+            subsurfaceDepth: 3,
+            treeDensity: 0,
+            precipitation: 'rain'
+        });
+
+        this.register('beach', {
+            name: 'Beach',
+            temperature: 0.6,
+            humidity: 0.5,
+            continentalness: [-0.3, -0.22],
+            heightCurve: n => 63 + n * 2,
+            roughness: 0.1,
+            surfaceBlock: 'sand',
+            subsurfaceBlock: 'sand',
+            subsurfaceDepth: 4,
+            treeDensity: 0,
+            precipitation: 'rain'
+        });
+
+        this.register('plains', {
+            name: 'Plains',
+            temperature: 0.55,
+            humidity: 0.35,
+            continentalness: [-0.22, 0.4],
+            heightCurve: n => 68 + n * 8,
+            roughness: 0.4,
+            surfaceBlock: 'grass',
+            subsurfaceBlock: 'dirt',
+            subsurfaceDepth: 4,
+            treeDensity: 0.002,
+            trees: { oak: 9, birch: 1 },
+            plantDensity: 0.25,
+            flowerChance: 0.1,
+            precipitation: 'rain'
+        });
+
+        this.register('forest', {
+            name: 'Forest',
+            temperature: 0.55,
+            humidity: 0.75,
+            continentalness: [-0.22, 0.4],
+            heightCurve: n => 70 + n * 12,
+            roughness: 0.6,
+            surfaceBlock: 'grass',
+            subsurfaceBlock: 'dirt',
+            subsurfaceDepth: 4,
+            treeDensity: 0.03,
+            trees: { oak: 3, birch: 2 },
+            plantDensity: 0.12,
+            flowerChance: 0.05,
+            precipitation: 'rain'
+        });
+
+        this.register('desert', {
+            name: 'Desert',
+            temperature: 0.95,
+            humidity: 0.1,
+            continentalness: [-0.22, 0.4],
+            heightCurve: n => 67 + n * 8,
+            roughness: 0.5,
+            surfaceBlock: 'sand',
+            subsurfaceBlock: 'sand',
+            subsurfaceDepth: 5,
+            treeDensity: 0.004,
+            trees: { cactus: 1 },
+            precipitation: 'none'
+        });
+
+        this.register('jungle', {
+            name: 'Jungle',
+            temperature: 0.9,
+            humidity: 0.9,
+            continentalness: [-0.22, 0.4],
+            heightCurve: n => 69 + n * 10,
+            roughness: 0.6,
+            surfaceBlock: 'grass',
+            subsurfaceBlock: 'dirt',
+            subsurfaceDepth: 4,
+            treeDensity: 0.06,
+            trees: { jungle: 3, oak: 1 },
+            plantDensity: 0.4,
+            flowerChance: 0.05,
+            precipitation: 'rain'
+        });
+
+        this.register('snowy_tundra', {
+            name: 'Snowy Tundra',
+            temperature: 0.05,
+            humidity: 0.45,
+            continentalness: [-0.22, 0.4],
+            heightCurve: n => 69 + n * 10,
+            roughness: 0.4,
+            surfaceBlock: 'snow',
+            subsurfaceBlock: 'dirt',
+            subsurfaceDepth: 4,
+            treeDensity: 0.004,
+            trees: { spruce: 1 },
+            precipitation: 'snow'
+        });
+
+        this.register('mountains', {
+            name: 'Mountains',
+            temperature: 0.3,
+            humidity: 0.5,
+            continentalness: [0.4, 1],
+            // Steep peaks: height grows faster than the noise
+            heightCurve: n => 78 + Math.pow((n + 1) / 2, 1.5) * 80,
+            roughness: 1,
+            surfaceBlock: 'stone',
+            subsurfaceBlock: 'stone',
+            subsurfaceDepth: 1,
+            snowLine: 120,
+            treeDensity: 0.003,
+            trees: { spruce: 1 },
+            precipitation: 'snow'
+        });
+    }
+}
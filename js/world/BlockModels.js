@@ -0,0 +1,255 @@
+/**
+ * BlockModels - Shapes of blocks that are not full cubes
+ * Shared by ChunkMesher (geometry) and World (collision, targeting, attachment
+ * rules, effects). Like the mesher it uses no THREE objects, so it also runs in
+ * the chunk workers. Model boxes are given in 1/16 of a block.
+ *
+ * A block type picks its shape with the `model` property. Shapes can depend on
+ * the block state (e.g. which half a slab fills) and, for connecting models, on
+ * which of the four horizontal neighbors they join (see getConnections).
+ */
+
+/**
+ * Direction from an attached block (e.g. a torch) to the block holding it,
+ * indexed by the attached block's state
+ */
+export const ATTACHMENTS = [
+    [0, -1, 0], // 0: standing on the block below
+    [1, 0, 0],  // 1: on the wall to +x
+    [-1, 0, 0], // 2: on the wall to -x
+    [0, 0, 1],  // 3: on the wall to +z
+    [0, 0, -1]  // 4: on the wall to -z
+];
+
+/**
+ * Horizontal neighbors a connecting model (fence, pane) can join, as [x, z];
+ * bit i of a connection mask is set when the model joins neighbor i
+ */
+export const CONNECTIONS = [
+    [1, 0],  // bit 0: +x
+    [-1, 0], // bit 1: -x
+    [0, 1],  // bit 2: +z
+    [0, -1]  // bit 3: -z
+];
+
+// Block state bit of stairs and slabs that are turned upside down
+const UPPER_HALF = 4;
+
+/**
+ * Box reaching from near the center of the block to one of its sides
+ * @param {Array} direction - [x, z] of the side (see CONNECTIONS)
+ * @param {number} inner - Distance from the center where the box starts
+ * @param {number} halfWidth - Half the width of the box across the direction
+ * @param {number} minY - Bottom of the box
+ * @param {number} maxY - Top of the box
+ * @returns {Array} - Box in 1/16 units
+ */
+function armBox([dx, dz], inner, halfWidth, minY, maxY) {
+    const span = d => d > 0 ? [8 + inner, 16] : d < 0 ? [0, 8 - inner] : [8 - halfWidth, 8 + halfWidth];
+    const [minX, maxX] = span(dx);
+    const [minZ, maxZ] = span(dz);
+    return [minX, minY, minZ, maxX, maxY, maxZ];
+}
+
+/**
+ * Boxes of the arms of a connecting model towards the neighbors it joins
+ * @returns {Array} - One box per joined neighbor and bar
+ */
+function armBoxes(connections, inner, halfWidth, bars) {
+    const boxes = [];
+    CONNECTIONS.forEach((direction, bit) => {
+        if (!(connections & (1 << bit))) return;
+        for (const [minY, maxY] of bars) {
+            boxes.push(armBox(direction, inner, halfWidth, minY, maxY));
+        }
+    });
+    return boxes;
+}
+
+/*
+ * Model definitions:
+ *   boxes(state, connections) - Boxes the model is drawn with
+ *   collision(state, connections) - Boxes entities collide with (default: boxes)
+ *   selection - Boxes the player targets (default: boxes)
+ *   cross - Drawn as two crossed quads instead of boxes (plants)
+ *   connects - Joins neighbors of the same model and full blocks
+ *   wallOffset - How far a wall-mounted model moves towards its wall (see getModelOffset)
+ *   attachments - Allowed ATTACHMENTS states for attached blocks (default: all)
+ */
+const MODELS = {
+    torch: {
+        boxes: () => [[7, 0, 7, 9, 10, 9]],
+        // Wall torches are moved towards their wall and up a little
+        wallOffset: { side: 5, up: 3 }
+    },
+    slab: {
+        boxes: state => state & UPPER_HALF ? [[0, 8, 0, 16, 16, 16]] : [[0, 0, 0, 16, 8, 16]]
+    },
+    stairs: {
+        // The low half across the whole block, the high half on the side the stairs face
+        boxes: state => {
+            const upper = state & UPPER_HALF;
+            return [
+                upper ? [0, 8, 0, 16, 16, 16] : [0, 0, 0, 16, 8, 16],
+                armBox(CONNECTIONS[state & 3], 0, 8, upper ? 0 : 8, upper ? 8 : 16)
+            ];
+        }
+    },
+    fence: {
+        boxes: (state, connections) => [
+            [6, 0, 6, 10, 16, 10],
+            ...armBoxes(connections, 2, 1, [[6, 9], [12, 15]])
+        ],
+        // One and a half blocks high, so fences can't be jumped over
+        collision: (state, connections) => [
+            [6, 0, 6, 10, 24, 10],
+            ...armBoxes(connections, 2, 2, [[0, 24]])
+        ],
+        connects: true
+    },
+    pane: {
+        boxes: (state, connections) => [
+            [7, 0, 7, 9, 16, 9],
+            ...armBoxes(connections, 1, 1, [[0, 16]])
+        ],
+        connects: true
+    },
+    cross: {
+        boxes: () => [],
+        selection: [[2, 0, 2, 14, 13, 14]],
+        cross: true,
+        // Plants grow on the ground only
+        attachments: [0]
+    }
+};
+
+/**
+ * Names of all models, for checking block definitions
+ */
+export const MODEL_NAMES = Object.keys(MODELS);
+
+const toBlockUnits = boxes => boxes.map(box => box.map(value => value / 16));
+
+/**
+ * Get the boxes a model is drawn with
+ * @param {string} model - Model name (block type `model` property)
+ * @param {number} state - Block state (optional)
+ * @param {number} connections - Connection mask (optional, see CONNECTIONS)
+ * @returns {Array} - Boxes [minX, minY, minZ, maxX, maxY, maxZ] in block units
+ */
+export function getModelBoxes(model, state = 0, connections = 0) {
+    const definition = MODELS[model];
+    if (!definition) return [];
+
+    return toBlockUnits(definition.boxes(state, connections));
+}
+
+/**
+ * Get the boxes entities collide with
+ * Only used for solid blocks; boxes may reach above their block (fences).
+ * @param {string} model - Model name
+ * @param {number} state - Block state
+ * @param {number} connections - Connection mask
+ * @returns {Array} - Boxes in block units, relative to the block
+ */
+export function getCollisionBoxes(model, state = 0, connections = 0) {
+    const definition = MODELS[model];
+    if (!definition) return [[0, 0, 0, 1, 1, 1]];
+
+    const boxes = definition.collision ? definition.collision(state, connections) : definition.boxes(state, connections);
+    return toBlockUnits(boxes);
+}
+
+/**
+ * Get the boxes the player can target, where the model is drawn
+ * @param {string} model - Model name
+ * @param {number} state - Block state
+ * @param {number} connections - Connection mask
+ * @returns {Array} - Boxes in block units, relative to the block
+ */
+export function getSelectionBoxes(model, state = 0, connections = 0) {
+    const definition = MODELS[model];
+    if (!definition) return [[0, 0, 0, 1, 1, 1]];
+
+    const boxes = toBlockUnits(definition.selection || definition.boxes(state, connections));
+    const [ox, oy, oz] = getModelOffset(model, state);
+    return boxes.map(([minX, minY, minZ, maxX, maxY, maxZ]) =>
+        [minX + ox, minY + oy, minZ + oz, maxX + ox, maxY + oy, maxZ + oz]);
+}
+
+/**
+ * Get where a model sits inside its block for a block state
+ * @param {string} model - Model name
+ * @param {number} state - Block state (attachment, see ATTACHMENTS)
+ * @returns {Array} - Offset [x, y, z] in block units
+ */
+export function getModelOffset(model, state) {
+    const definition = MODELS[model];
+    if (!definition || !definition.wallOffset || !state || !ATTACHMENTS[state]) return [0, 0, 0];
+
+    const [dx, , dz] = ATTACHMENTS[state];
+    const { side, up } = definition.wallOffset;
+    return [dx * side / 16, up / 16, dz * side / 16];
+}
+
+/**
+ * Check whether a model is drawn as crossed quads (plants)
+ * @param {string} model - Model name
+ * @returns {boolean} - Whether the model is a cross
+ */
+export function isCrossModel(model) {
+    return !!(MODELS[model] && MODELS[model].cross);
+}
+
+/**
+ * Get the ATTACHMENTS states an attached block with this model may use
+ * @param {string} model - Model name (may be null)
+ * @returns {Array} - Block states, in order of preference
+ */
+export function getAttachmentStates(model) {
+    const definition = MODELS[model];
+    return definition && definition.attachments ? definition.attachments : [...ATTACHMENTS.keys()];
+}
+
+/**
+ * Work out which neighbors a connecting model joins: neighbors with the same
+ * model and full, opaque blocks
+ * @param {string} model - Model name
+ * @param {Function} neighborInfo - (dx, dz) => render info of the neighbor
+ *     ({opaque, model}, see ResourceManager.getBlockRenderTable), or null
+ * @returns {number} - Connection mask (see CONNECTIONS), 0 for other models
+ */
+export function getConnections(model, neighborInfo) {
+    if (!MODELS[model] || !MODELS[model].connects) return 0;
+
+    let connections = 0;
+    CONNECTIONS.forEach(([dx, dz], bit) => {
+        const info = neighborInfo(dx, dz);
+        if (info && (info.opaque || info.model === model)) {
+            connections |= 1 << bit;
+        }
+    });
+    return connections;
+}
+
+/**
+ * Choose the block state of a model block being placed
+ * Slabs and stairs go in the upper half when placed against a ceiling or the
+ * upper half of a side; stairs rise away from the player.
+ * @param {string} model - Model name
+ * @param {Object} normal - Face of the clicked block {x, y, z}
+ * @param {number} hitHeight - Where on the clicked face it was hit, 0 (bottom) to 1 (top)
+ * @param {Object} direction - Look direction of the player {x, y, z}
+ * @returns {number} - Block state
+ */
+export function getPlacementState(model, normal, hitHeight, direction) {
+    if (model !== 'slab' && model !== 'stairs') return 0;
+
+    const upper = normal.y < 0 || (normal.y === 0 && hitHeight > 0.5) ? UPPER_HALF : 0;
+    if (model === 'slab') return upper;
+
+    const facing = Math.abs(direction.x) > Math.abs(direction.z)
+        ? (direction.x > 0 ? 0 : 1)
+        : (direction.z > 0 ? 2 : 3);
+    return upper | facing;
+}
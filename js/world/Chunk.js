@@ -0,0 +1,140 @@
+/**
+ * Chunk - A column of blocks stored as a compact typed array of block ids
+ * Block ids are the numeric `id` values of the block types (assets/blocks.json).
+ * Layout is y-major (index = x + z * sizeX + y * sizeX * sizeZ) so horizontal
+ * layers are contiguous in memory.
+ */
+export class Chunk {
+    /**
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Object} size - Chunk dimensions {x, y, z}
+     * @param {Uint8Array} blocks - Existing block data to adopt (optional)
+     * @param {Uint8Array} caveMask - Bitset of cells carved out by caves (optional)
+     * @param {Uint8Array} light - Light levels computed with the blocks (optional)
+     */
+    constructor(chunkX, chunkZ, size, blocks = null, caveMask = null, light = null) {
+        this.position = { x: chunkX, z: chunkZ };
+        this.key = `${chunkX},${chunkZ}`;
+        this.size = size;
+
+        // One byte per block: supports up to 256 block types
+        this.blocks = blocks || new Uint8Array(size.x * size.y * size.z);
+
+        // One bit per block, set where the generator carved a cave. Kept apart
+        // from the block ids so cave air stays distinguishable from open air.
+        this.caveMask = caveMask || new Uint8Array(Math.ceil(this.blocks.length / 8));
+
+        // One state byte per block, allocated once some block needs one: the flow
+        // level of fluids (see FluidSimulator), the mounting of torches, etc.
+        // Blocks without state read as 0.
+        this.states = null;
+
+        // Light per block (see LightEngine): skylight in the high nibble,
+        // block light in the low nibble
+        this.light = light || new Uint8Array(this.blocks.length);
+
+        // Rendering state
+        this.mesh = null;
+        this.loaded = true;
+    }
+
+    /**
+     * Get the array index of a local block position
+     * @param {number} x - Local X coordinate (0 to size.x - 1)
+     * @param {number} y - Y coordinate (0 to size.y - 1)
+     * @param {number} z - Local Z coordinate (0 to size.z - 1)
+     * @returns {number} - Index into the block array
+     */
+    getIndex(x, y, z) {
+        return x + z * this.size.x + y * this.size.x * this.size.z;
+    }
+
+    /**
+     * Check whether local coordinates are inside this chunk
+     * @returns {boolean} - Whether the position is inside the chunk
+     */
+    contains(x, y, z) {
+        return x >= 0 && x < this.size.x &&
+               y >= 0 && y < this.size.y &&
+               z >= 0 && z < this.size.z;
+    }
+
+    /**
+     * Get the block id at a local position
+     * @param {number} x - Local X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Local Z coordinate
+     * @returns {number} - Block id (0 for air or out of range)
+     */
+    getBlock(x, y, z) {
+        if (!this.contains(x, y, z)) return 0;
+        return this.blocks[this.getIndex(x, y, z)];
+    }
+
+    /**
+     * Set the block id at a local position
+     * @param {number} x - Local X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Local Z coordinate
+     * @param {number} id - Block id
+     */
+    setBlock(x, y, z, id) {
+        if (!this.contains(x, y, z)) return;
+        this.blocks[this.getIndex(x, y, z)] = id;
+    }
+
+    /**
+     * Get the block state at a local position
+     * @param {number} x - Local X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Local Z coordinate
+     * @returns {number} - State byte (0 for blocks without state)
+     */
+    getState(x, y, z) {
+        if (!this.states || !this.contains(x, y, z)) return 0;
+        return this.states[this.getIndex(x, y, z)];
+    }
+
+    /**
+     * Set the block state at a local position
+     * @param {number} x - Local X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Local Z coordinate
+     * @param {number} state - State byte
+     */
+    setState(x, y, z, state) {
+        if (!this.contains(x, y, z)) return;
+        if (!this.states) {
+            if (state === 0) return;
+            this.states = new Uint8Array(this.blocks.length);
+        }
+        this.states[this.getIndex(x, y, z)] = state;
+    }
+
+    /**
+     * Check whether a local position is air inside a generated cave
+     * Blocks placed into a cave hide the cave bit until they are removed again.
+     * @param {number} x - Local X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Local Z coordinate
+     * @returns {boolean} - Whether the position is cave air
+     */
+    isCaveAir(x, y, z) {
+        if (!this.contains(x, y, z)) return false;
+
+        const index = this.getIndex(x, y, z);
+        return this.blocks[index] === 0 && (this.caveMask[index >> 3] & (1 << (index & 7))) !== 0;
+    }
+
+    /**
+     * Release the chunk's block data
+     */
+    dispose() {
+        this.blocks = null;
+        this.caveMask = null;
+        this.light = null;
+        this.states = null;
+        this.loaded = false;
+    }
+}
@@ -0,0 +1,67 @@
+/**
+ * ChunkJobRunner - Executes chunk generation and meshing jobs
+ * Shared by ChunkWorker (inside a Web Worker) and ChunkWorkerPool (on the main
+ * thread when workers are unavailable), so both paths produce identical chunks.
+ */
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { ChunkMesher } from './ChunkMesher.js';
+import { computeChunkLight } from './LightEngine.js';
+
+export class ChunkJobRunner {
+    constructor() {
+        this.generator = null;
+        this.mesher = null;
+        this.blockInfo = null;
+        this.lightTable = null;
+    }
+
+    /**
+     * Configure the runner for a world
+     * @param {Object} config - {seed, chunkSize, blockIds, seaLevel, preset, heightmap, blockInfo, lightTable}
+     */
+    init(config) {
+        this.generator = new TerrainGenerator(config);
+        this.mesher = new ChunkMesher(config.chunkSize);
+        this.blockInfo = config.blockInfo;
+        this.lightTable = config.lightTable;
+    }
+
+    /**
+     * Run a single job
+     * @param {Object} message - Job message: {type: 'generate', chunkX, chunkZ}
+     *     or {type: 'mesh', volume, light, smoothLighting} with volumes packed by
+     *     ChunkMesher.packVolume and ChunkMesher.packLight
+     * @returns {Object} - {result, transfer} where transfer lists the result's buffers
+     */
+    run(message) {
+        if (!this.generator) {
+            throw new Error('Chunk job runner used before init');
+        }
+
+        switch (message.type) {
+            case 'generate': {
+                const { blocks, caveMask } = this.generator.generateChunk(message.chunkX, message.chunkZ);
+                const light = computeChunkLight(blocks, this.generator.chunkSize, this.lightTable);
+                return {
+                    result: { blocks, caveMask, light },
+                    transfer: [blocks.buffer, caveMask.buffer, light.buffer]
+                };
+            }
+
+            case 'mesh': {
+                this.mesher.setSmoothLighting(message.smoothLighting);
+                const geometryData = this.mesher.build(message.volume, this.blockInfo, message.light);
+                const transfer = [];
+                for (const data of geometryData.values()) {
+                    transfer.push(data.positions.buffer, data.normals.buffer, data.uvs.buffer,
+                        data.tiles.buffer, data.colors.buffer, data.indices.buffer);
+                    if (data.flows) transfer.push(data.flows.buffer);
+                }
+                return { result: { geometryData }, transfer };
+            }
+
+            default:
+                throw new Error(`Unknown chunk job type: ${message.type}`);
+        }
+    }
+}
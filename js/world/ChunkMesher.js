@@ -0,0 +1,753 @@
+/**
+ * ChunkMesher - Builds optimized chunk geometry with face culling and greedy meshing
+ * Works on plain typed arrays only (no THREE objects) and returns raw vertex data
+ * grouped by material, so the caller decides how to turn it into meshes.
+ */
+import { getFluidHeight } from './FluidSimulator.js';
+import { getLightBrightness, MAX_LIGHT } from './LightEngine.js';
+import { getModelBoxes, getModelOffset, getConnections, isCrossModel } from './BlockModels.js';
+
+// Face indices follow THREE.BoxGeometry material order
+export const FACE_DIRECTIONS = [
+    [1, 0, 0],  // 0: right  (+x)
+    [-1, 0, 0], // 1: left   (-x)
+    [0, 1, 0],  // 2: top    (+y)
+    [0, -1, 0], // 3: bottom (-y)
+    [0, 0, 1],  // 4: front  (+z)
+    [0, 0, -1]  // 5: back   (-z)
+];
+
+// Light above the top of the world: full skylight
+const OPEN_SKY = MAX_LIGHT << 4;
+
+// Shading of a vertex by ambient occlusion: 0 (tucked into a corner) to 3 (open)
+const AO_SHADE = [0.5, 0.67, 0.83, 1];
+
+/*
+ * Lighting of one face corner, packed into an integer so corners can be compared
+ * when merging faces: ambient occlusion (2 bits), the sums of the skylight and
+ * block light of the blocks averaged at the corner (6 bits each) and how many
+ * blocks were averaged (3 bits).
+ */
+const packCorner = (ao, skySum, blockSum, count) => ao | (skySum << 2) | (blockSum << 8) | (count << 14);
+const FLAT_CORNER_AO = 3;
+
+// Texture of a face: material index (4 bits) and atlas tile, so faces merge only
+// when both match
+const packTexture = (material, tile) => material | (tile << 4);
+
+// Speed of the texture scroll on flowing fluid, in blocks per second. Kept at
+// multiples of 1/4 so the material can wrap its clock (see ResourceManager.update)
+const FLUID_SURFACE_FLOW = 0.25;
+const FLUID_FALL_FLOW = 0.5;
+
+export class ChunkMesher {
+    /**
+     * @param {Object} chunkSize - Chunk dimensions {x, y, z}
+     */
+    constructor(chunkSize) {
+        this.sizeX = chunkSize.x;
+        this.sizeY = chunkSize.y;
+        this.sizeZ = chunkSize.z;
+
+        // Padded volume: one extra block on each horizontal side for neighbor culling
+        this.paddedX = this.sizeX + 2;
+        this.paddedZ = this.sizeZ + 2;
+        this.volume = null;
+        this.light = null;
+        this.opaque = null;
+
+        // Smooth lighting: light averaged over the blocks around each vertex, and
+        // ambient occlusion. Without it every face takes the light in front of it.
+        this.smoothLighting = true;
+
+        // Scratch mask reused for every slice, with the four corner lights of each face
+        const maskSize = Math.max(
+            this.sizeY * this.sizeZ,
+            this.sizeZ * this.sizeX,
+            this.sizeX * this.sizeY
+        );
+        this.mask = new Int32Array(maskSize);
+        this.corners = new Uint32Array(maskSize * 4);
+        this.quadCorners = new Uint32Array(4);
+    }
+
+    /**
+     * Switch between smooth (interpolated, with ambient occlusion) and flat face lighting
+     * @param {boolean} enabled - Whether smooth lighting is used
+     */
+    setSmoothLighting(enabled) {
+        this.smoothLighting = enabled;
+    }
+
+    /**
+     * Create an empty padded volume for packVolume/build
+     * @returns {Uint16Array} - Padded volume
+     */
+    createVolume() {
+        return new Uint16Array(this.paddedX * this.paddedZ * this.sizeY);
+    }
+
+    /**
+     * Create an empty padded light volume for packLight/build
+     * @returns {Uint8Array} - Padded light volume
+     */
+    createLightVolume() {
+        return new Uint8Array(this.paddedX * this.paddedZ * this.sizeY);
+    }
+
+    /**
+     * Copy a chunk and the border columns of its eight neighbors into a padded volume
+     * @param {Uint16Array} volume - Padded volume to fill
+     * @param {Array} neighborhood - Block arrays of the 3x3 chunks around the center,
+     *     indexed (dz + 1) * 3 + (dx + 1); missing chunks may be null (treated as air)
+     * @param {Array} states - Block state arrays in the same order (optional, entries
+     *     may be null); states are packed into the high byte of each cell
+     * @returns {Uint16Array} - The filled volume
+     */
+    packVolume(volume, neighborhood, states = null) {
+        volume.fill(0);
+
+        this.copyNeighborhood(neighborhood, (blocks, source, target, width) => {
+            if (width === 1) {
+                volume[target] = blocks[source];
+            } else {
+                volume.set(blocks.subarray(source, source + width), target);
+            }
+        });
+
+        // Overlay block states, only for chunks that have any
+        if (states) {
+            this.copyNeighborhood(states, (chunkStates, source, target, width) => {
+                for (let i = 0; i < width; i++) {
+                    volume[target + i] |= chunkStates[source + i] << 8;
+                }
+            });
+        }
+
+        return volume;
+    }
+
+    /**
+     * Copy the light of a chunk and the border columns of its neighbors into a padded light volume
+     * @param {Uint8Array} lightVolume - Padded light volume to fill
+     * @param {Array} lights - Chunk.light arrays in packVolume's neighborhood order
+     *     (entries may be null; missing neighbors are lit like open sky)
+     * @returns {Uint8Array} - The filled light volume
+     */
+    packLight(lightVolume, lights) {
+        lightVolume.fill(OPEN_SKY);
+
+        this.copyNeighborhood(lights, (light, source, target, width) => {
+            lightVolume.set(light.subarray(source, source + width), target);
+        });
+
+        return lightVolume;
+    }
+
+    /**
+     * Visit the rows of a 3x3 chunk neighborhood that land inside the padded volume
+     * Rows along x are contiguous in both layouts, so whole rows are handed over at once.
+     * @param {Array} arrays - Per-chunk arrays indexed (dz + 1) * 3 + (dx + 1), entries may be null
+     * @param {Function} copyRow - Called with (array, sourceIndex, targetIndex, width)
+     * @private
+     */
+    copyNeighborhood(arrays, copyRow) {
+        const sizeX = this.sizeX;
+        const sizeZ = this.sizeZ;
+        const layer = sizeX * sizeZ;
+        const paddedLayer = this.paddedX * this.paddedZ;
+
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const array = arrays[(dz + 1) * 3 + (dx + 1)];
+                if (!array) continue;
+
+                // Range of local source coordinates that land inside the padding
+                const fromX = dx < 0 ? sizeX - 1 : 0;
+                const toX = dx > 0 ? 1 : sizeX;
+                const fromZ = dz < 0 ? sizeZ - 1 : 0;
+                const toZ = dz > 0 ? 1 : sizeZ;
+                const width = toX - fromX;
+
+                // Destination of the first copied column in padded coordinates
+                const targetX = fromX + dx * sizeX + 1;
+
+                for (let y = 0; y < this.sizeY; y++) {
+                    for (let z = fromZ; z < toZ; z++) {
+                        const source = fromX + z * sizeX + y * layer;
+                        const target = targetX + (z + dz * sizeZ + 1) * this.paddedX + y * paddedLayer;
+                        copyRow(array, source, target, width);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Index into the padded volume
+     * @private
+     */
+    volumeIndex(x, y, z) {
+        return (x + 1) + (z + 1) * this.paddedX + y * this.paddedX * this.paddedZ;
+    }
+
+    /**
+     * Read a block id from the padded volume (air outside the vertical range)
+     * @private
+     */
+    blockAt(x, y, z) {
+        if (y < 0 || y >= this.sizeY) return 0;
+        return this.volume[this.volumeIndex(x, y, z)] & 0xff;
+    }
+
+    /**
+     * Read a block state (e.g. a fluid level) from the padded volume
+     * @private
+     */
+    stateAt(x, y, z) {
+        if (y < 0 || y >= this.sizeY) return 0;
+        return this.volume[this.volumeIndex(x, y, z)] >> 8;
+    }
+
+    /**
+     * Read a light byte from the padded light volume (open sky above the world,
+     * full light everywhere when building without light)
+     * @private
+     */
+    lightAt(x, y, z) {
+        if (!this.light) return OPEN_SKY | MAX_LIGHT;
+        if (y >= this.sizeY) return OPEN_SKY;
+        if (y < 0) return 0;
+        return this.light[this.volumeIndex(x, y, z)];
+    }
+
+    /**
+     * Build chunk geometry
+     * @param {Uint16Array} volume - Padded volume filled by packVolume
+     * @param {Array} blockInfo - Render info indexed by block id:
+     *     null for invisible blocks, otherwise {opaque, fluid, model, faces: [6 material
+     *     indices], tiles: [6 atlas tiles]}
+     * @param {Uint8Array} lightVolume - Padded light volume filled by packLight (optional,
+     *     everything is fully lit without it)
+     * @returns {Map} - Material index => {positions, normals, uvs, tiles, colors, indices,
+     *     flows}; flows (texture scroll per vertex, see emitQuad) is null when nothing flows
+     */
+    build(volume, blockInfo, lightVolume = null) {
+        this.volume = volume;
+        this.light = lightVolume;
+        this.opaque = blockInfo.map(info => !!(info && info.opaque));
+
+        const builders = new Map();
+        const dims = [this.sizeX, this.sizeY, this.sizeZ];
+        const mask = this.mask;
+        const corners = this.corners;
+        const pos = [0, 0, 0];
+
+        // Sweep each axis in both directions
+        for (let face = 0; face < 6; face++) {
+            const dir = FACE_DIRECTIONS[face];
+            const d = face >> 1;              // Axis the face points along
+            const sign = (face & 1) ? -1 : 1; // Direction along that axis
+            const u = (d + 1) % 3;
+            const v = (d + 2) % 3;
+
+            for (let slice = 0; slice < dims[d]; slice++) {
+                // Build the visibility mask for this slice
+                let n = 0;
+                pos[d] = slice;
+
+                for (let j = 0; j < dims[v]; j++) {
+                    pos[v] = j;
+                    for (let i = 0; i < dims[u]; i++) {
+                        pos[u] = i;
+                        mask[n] = this.faceTexture(pos, dir, face, blockInfo);
+                        if (mask[n] !== 0) {
+                            this.faceCorners(pos, dir, u, v, n * 4);
+                        }
+                        n++;
+                    }
+                }
+
+                // Greedily merge equal mask cells into rectangles
+                n = 0;
+                for (let j = 0; j < dims[v]; j++) {
+                    for (let i = 0; i < dims[u];) {
+                        const value = mask[n];
+
+                        if (value === 0) {
+                            i++;
+                            n++;
+                            continue;
+                        }
+
+                        // Only evenly lit faces merge; shading that varies across a
+                        // face would be stretched over the whole merged quad
+                        const evenlyLit = corners[n * 4] === corners[n * 4 + 1] &&
+                            corners[n * 4] === corners[n * 4 + 2] &&
+                            corners[n * 4] === corners[n * 4 + 3];
+
+                        // Grow width along u
+                        let width = 1;
+                        while (evenlyLit && i + width < dims[u] && this.sameFace(n, n + width)) {
+                            width++;
+                        }
+
+                        // Grow height along v while the whole row matches
+                        let height = 1;
+                        grow: while (evenlyLit && j + height < dims[v]) {
+                            const row = n + height * dims[u];
+                            for (let k = 0; k < width; k++) {
+                                if (!this.sameFace(n, row + k)) break grow;
+                            }
+                            height++;
+                        }
+
+                        // Emit the merged quad
+                        const origin = [0, 0, 0];
+                        origin[d] = slice + (sign > 0 ? 1 : 0);
+                        origin[u] = i;
+                        origin[v] = j;
+
+                        this.emitQuad(builders, value - 1, face, origin, u, v, width, height,
+                            corners.subarray(n * 4, n * 4 + 4));
+
+                        // Clear the merged area
+                        for (let h = 0; h < height; h++) {
+                            const row = n + h * dims[u];
+                            for (let k = 0; k < width; k++) {
+                                mask[row + k] = 0;
+                            }
+                        }
+
+                        i += width;
+                        n += width;
+                    }
+                }
+            }
+        }
+
+        // Fluids and shaped blocks are built block by block
+        this.buildSpecialBlocks(builders, blockInfo);
+
+        // Convert builders to typed arrays
+        const result = new Map();
+        for (const [material, builder] of builders.entries()) {
+            result.set(material, {
+                positions: new Float32Array(builder.positions),
+                normals: new Float32Array(builder.normals),
+                uvs: new Float32Array(builder.uvs),
+                tiles: new Float32Array(builder.tiles),
+                flows: builder.flows ? new Float32Array(builder.flows) : null,
+                colors: new Float32Array(builder.colors),
+                indices: new Uint32Array(builder.indices)
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * Determine whether a block face is visible and which texture it uses
+     * @returns {number} - Packed texture + 1, or 0 when the face is hidden
+     * @private
+     */
+    faceTexture(pos, dir, face, blockInfo) {
+        const block = this.blockAt(pos[0], pos[1], pos[2]);
+        const info = blockInfo[block];
+
+        if (!info || info.fluid || info.model) return 0;
+
+        const neighbor = this.blockAt(pos[0] + dir[0], pos[1] + dir[1], pos[2] + dir[2]);
+        const neighborInfo = blockInfo[neighbor];
+
+        // Hidden behind an opaque block
+        if (neighborInfo && neighborInfo.opaque) return 0;
+
+        // Skip faces between two blocks of the same transparent type (e.g. water)
+        if (neighbor === block) return 0;
+
+        return packTexture(info.faces[face], info.tiles[face]) + 1;
+    }
+
+    /**
+     * Whether two mask cells hold faces that can be merged into one quad
+     * @private
+     */
+    sameFace(a, b) {
+        const corners = this.corners;
+        return this.mask[a] === this.mask[b] &&
+            corners[a * 4] === corners[b * 4] &&
+            corners[a * 4 + 1] === corners[b * 4 + 1] &&
+            corners[a * 4 + 2] === corners[b * 4 + 2] &&
+            corners[a * 4 + 3] === corners[b * 4 + 3];
+    }
+
+    /**
+     * Work out the lighting of the four corners of a visible face (see packCorner)
+     * Faces are lit by the blocks in front of them. With smooth lighting each corner
+     * averages the block in front with the three around the corner that touch it,
+     * and is darkened by the solid ones among them (ambient occlusion).
+     * Corners are in emitQuad order: (u0, v0), (u1, v0), (u1, v1), (u0, v1).
+     * @param {Array} pos - Block position
+     * @param {Array} dir - Face direction
+     * @param {number} u - First axis along the face
+     * @param {number} v - Second axis along the face
+     * @param {number} offset - Index of the first corner in this.corners
+     * @private
+     */
+    faceCorners(pos, dir, u, v, offset) {
+        const fx = pos[0] + dir[0];
+        const fy = pos[1] + dir[1];
+        const fz = pos[2] + dir[2];
+        const front = this.lightAt(fx, fy, fz);
+
+        if (!this.smoothLighting) {
+            this.corners.fill(packCorner(FLAT_CORNER_AO, front >> 4, front & 0xf, 1), offset, offset + 4);
+            return;
+        }
+
+        const side = [0, 0, 0];
+        for (let corner = 0; corner < 4; corner++) {
+            const su = corner === 1 || corner === 2 ? 1 : -1;
+            const sv = corner >= 2 ? 1 : -1;
+
+            // The two blocks beside the corner and the one diagonally across
+            side[0] = fx; side[1] = fy; side[2] = fz;
+            side[u] += su;
+            const ax = side[0], ay = side[1], az = side[2];
+            side[u] -= su;
+            side[v] += sv;
+            const bx = side[0], by = side[1], bz = side[2];
+            side[u] += su;
+
+            const sideA = this.opaqueAt(ax, ay, az);
+            const sideB = this.opaqueAt(bx, by, bz);
+            const diagonal = this.opaqueAt(side[0], side[1], side[2]);
+
+            // A corner between two solid blocks is fully occluded whatever is across
+            const ao = sideA && sideB ? 0 : 3 - sideA - sideB - diagonal;
+
+            // Average the light of the open blocks; light does not leak past two solid sides
+            let skySum = front >> 4;
+            let blockSum = front & 0xf;
+            let count = 1;
+            const open = [];
+            if (!sideA) open.push(this.lightAt(ax, ay, az));
+            if (!sideB) open.push(this.lightAt(bx, by, bz));
+            if (!diagonal && !(sideA && sideB)) open.push(this.lightAt(side[0], side[1], side[2]));
+            for (const light of open) {
+                skySum += light >> 4;
+                blockSum += light & 0xf;
+                count++;
+            }
+
+            this.corners[offset + corner] = packCorner(ao, skySum, blockSum, count);
+        }
+    }
+
+    /**
+     * Whether the block at a padded volume position hides light (1) or not (0)
+     * @private
+     */
+    opaqueAt(x, y, z) {
+        return this.opaque[this.blockAt(x, y, z)] ? 1 : 0;
+    }
+
+    /**
+     * Emit the blocks the greedy pass skips: fluids and blocks with a model
+     * @private
+     */
+    buildSpecialBlocks(builders, blockInfo) {
+        for (let y = 0; y < this.sizeY; y++) {
+            for (let z = 0; z < this.sizeZ; z++) {
+                for (let x = 0; x < this.sizeX; x++) {
+                    const block = this.blockAt(x, y, z);
+                    const info = blockInfo[block];
+                    if (!info) continue;
+
+                    if (info.fluid) {
+                        this.buildFluid(builders, blockInfo, info, block, x, y, z);
+                    } else if (info.model) {
+                        this.buildModel(builders, blockInfo, info, x, y, z);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Emit the visible faces of a fluid block, with its surface lowered to the flow level
+     * @private
+     */
+    buildFluid(builders, blockInfo, info, block, x, y, z) {
+        const height = this.fluidHeightAt(x, y, z, block);
+        const flow = this.fluidFlow(x, y, z, block, height);
+
+        // Texture scroll: the surface along the flow, the sides down while falling or flowing
+        const surfaceFlow = flow[0] || flow[1]
+            ? [flow[0] * FLUID_SURFACE_FLOW, -flow[1] * FLUID_SURFACE_FLOW]
+            : null;
+        const sideFlow = (surfaceFlow || this.blockAt(x, y + 1, z) === block) ? [0, -FLUID_FALL_FLOW] : null;
+
+        for (let face = 0; face < 6; face++) {
+            const dir = FACE_DIRECTIONS[face];
+            const neighbor = this.blockAt(x + dir[0], y + dir[1], z + dir[2]);
+            const neighborInfo = blockInfo[neighbor];
+
+            // A lowered surface stays visible under a block above it
+            if (neighborInfo && neighborInfo.opaque && !(face === 2 && height < 1)) continue;
+
+            // Part of a side that sticks out above lower fluid next to it
+            let bottom = 0;
+            if (neighbor === block) {
+                if (face === 2 || face === 3) continue;
+                bottom = this.fluidHeightAt(x + dir[0], y, z + dir[2], block);
+                if (bottom >= height) continue;
+            }
+
+            // A surface under a block is lit from inside the fluid
+            const light = neighborInfo && neighborInfo.opaque
+                ? this.lightAt(x, y, z)
+                : this.lightAt(x + dir[0], y + dir[1], z + dir[2]);
+
+            this.quadCorners.fill(packCorner(FLAT_CORNER_AO, light >> 4, light & 0xf, 1));
+            this.emitFluidFace(builders, packTexture(info.faces[face], info.tiles[face]), face, x, y, z, bottom, height,
+                this.quadCorners, face === 2 ? surfaceFlow : face === 3 ? null : sideFlow);
+        }
+    }
+
+    /**
+     * Direction a fluid block flows in: towards lower fluid of the same kind next to it
+     * @returns {Array} - [x, z], each -1, 0 or 1
+     * @private
+     */
+    fluidFlow(x, y, z, block, height) {
+        let flowX = 0;
+        let flowZ = 0;
+
+        for (const face of [0, 1, 4, 5]) {
+            const [dx, , dz] = FACE_DIRECTIONS[face];
+            if (this.blockAt(x + dx, y, z + dz) !== block) continue;
+
+            const drop = height - this.fluidHeightAt(x + dx, y, z + dz, block);
+            flowX += dx * drop;
+            flowZ += dz * drop;
+        }
+
+        return [Math.sign(flowX), Math.sign(flowZ)];
+    }
+
+    /**
+     * Emit the faces of the boxes of a block model, lit by the block's own light
+     * Faces on the side of the block are hidden behind opaque neighbors.
+     * Textures are mapped as if the model stood at its default place, so a moved
+     * model (a torch on a wall) keeps showing the same part of its texture.
+     * @private
+     */
+    buildModel(builders, blockInfo, info, x, y, z) {
+        const state = this.stateAt(x, y, z);
+        const light = this.lightAt(x, y, z);
+        this.quadCorners.fill(packCorner(FLAT_CORNER_AO, light >> 4, light & 0xf, 1));
+
+        if (isCrossModel(info.model)) {
+            this.emitCross(builders, packTexture(info.faces[0], info.tiles[0]), x, y, z, this.quadCorners);
+            return;
+        }
+
+        const offset = getModelOffset(info.model, state);
+        const connections = getConnections(info.model, (dx, dz) => blockInfo[this.blockAt(x + dx, y, z + dz)]);
+        const position = [x, y, z];
+
+        for (const box of getModelBoxes(info.model, state, connections)) {
+            for (let face = 0; face < 6; face++) {
+                const d = face >> 1;
+                const u = (d + 1) % 3;
+                const v = (d + 2) % 3;
+
+                const onSide = (face & 1) ? box[d] === 0 : box[d + 3] === 1;
+                if (onSide && !offset[d]) {
+                    const dir = FACE_DIRECTIONS[face];
+                    if (this.opaque[this.blockAt(x + dir[0], y + dir[1], z + dir[2])]) continue;
+                }
+
+                const origin = [x + box[0], y + box[1], z + box[2]];
+                if (!(face & 1)) origin[d] = position[d] + box[d + 3];
+
+                this.emitQuad(builders, packTexture(info.faces[face], info.tiles[face]), face, origin, u, v,
+                    box[u + 3] - box[u], box[v + 3] - box[v], this.quadCorners, offset);
+            }
+        }
+    }
+
+    /**
+     * Emit a plant: two quads crossing diagonally through the block, each showing
+     * the whole texture. They point up so they are shaded like the ground they grow on.
+     * @private
+     */
+    emitCross(builders, texture, x, y, z, light) {
+        const builder = this.getBuilder(builders, texture & 0xf, null);
+        const tile = texture >> 4;
+        const inset = (1 - Math.SQRT1_2) / 2; // Each quad is one block wide
+        const near = inset;
+        const far = 1 - inset;
+
+        for (const [x0, z0, x1, z1] of [[near, near, far, far], [near, far, far, near]]) {
+            const base = builder.positions.length / 3;
+            const corners = [[x0, 0, z0], [x1, 0, z1], [x1, 1, z1], [x0, 1, z0]];
+
+            for (let i = 0; i < 4; i++) {
+                const corner = corners[i];
+                builder.positions.push(x + corner[0], y + corner[1], z + corner[2]);
+                builder.normals.push(0, 1, 0);
+                builder.uvs.push(x + (i === 1 || i === 2 ? 1 : 0), y + corner[1]);
+                builder.tiles.push(tile);
+                if (builder.flows) builder.flows.push(0, 0);
+                this.pushLight(builder, light[i]);
+            }
+
+            // Drawn from both sides by the cutout material
+            builder.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        }
+    }
+
+    /**
+     * Surface height of the fluid block at a position
+     * @private
+     */
+    fluidHeightAt(x, y, z, block) {
+        return getFluidHeight(this.stateAt(x, y, z), this.blockAt(x, y + 1, z) === block);
+    }
+
+    /**
+     * Emit one face of a fluid block spanning bottom..top of the block height
+     * @param {Array} flow - Texture scroll of the face (optional, see emitQuad)
+     * @private
+     */
+    emitFluidFace(builders, texture, face, x, y, z, bottom, top, corners, flow = null) {
+        const d = face >> 1;
+        const u = (d + 1) % 3;
+        const v = (d + 2) % 3;
+
+        const origin = [x, y + bottom, z];
+        const extent = [1, top - bottom, 1];
+        if (face === 2) origin[1] = y + top;
+        else if (face === 3) origin[1] = y;
+        else if (!(face & 1)) origin[d] += 1;
+
+        this.emitQuad(builders, texture, face, origin, u, v,
+            d === 1 ? 1 : extent[u], d === 1 ? 1 : extent[v], corners, null, flow);
+    }
+
+    /**
+     * Append a quad to the builder for its material
+     * Vertex colors carry the lighting: red is skylight (scaled by daylight in the
+     * material shader), green is block light, blue is ambient occlusion. Each vertex
+     * also carries its atlas tile, which the material shader repeats the texture in.
+     * @param {number} texture - Packed material and tile (see packTexture)
+     * @param {Uint32Array} light - Packed lighting of the four corners (see faceCorners)
+     * @param {Array} offset - Shift of the vertex positions only, not the texture (optional)
+     * @param {Array} flow - Texture scroll [u, v] in blocks per second (optional); the
+     *     flows array of a builder is only created once one of its quads scrolls
+     * @private
+     */
+    emitQuad(builders, texture, face, origin, u, v, width, height, light, offset = null, flow = null) {
+        const builder = this.getBuilder(builders, texture & 0xf, flow);
+        const tile = texture >> 4;
+        const normal = FACE_DIRECTIONS[face];
+        const base = builder.positions.length / 3;
+
+        const du = [0, 0, 0];
+        const dv = [0, 0, 0];
+        du[u] = width;
+        dv[v] = height;
+
+        // Corners in counter-clockwise order as seen from the positive axis
+        const corners = [
+            origin,
+            [origin[0] + du[0], origin[1] + du[1], origin[2] + du[2]],
+            [origin[0] + du[0] + dv[0], origin[1] + du[1] + dv[1], origin[2] + du[2] + dv[2]],
+            [origin[0] + dv[0], origin[1] + dv[1], origin[2] + dv[2]]
+        ];
+
+        const brightness = [0, 0, 0, 0];
+        for (let i = 0; i < 4; i++) {
+            const corner = corners[i];
+            if (offset) {
+                builder.positions.push(corner[0] + offset[0], corner[1] + offset[1], corner[2] + offset[2]);
+            } else {
+                builder.positions.push(corner[0], corner[1], corner[2]);
+            }
+            builder.normals.push(normal[0], normal[1], normal[2]);
+
+            // Texture coordinates in block units so textures repeat across merged quads
+            const uv = this.faceUV(face, corner);
+            builder.uvs.push(uv[0], uv[1]);
+            builder.tiles.push(tile);
+            if (builder.flows) {
+                builder.flows.push(flow ? flow[0] : 0, flow ? flow[1] : 0);
+            }
+
+            brightness[i] = this.pushLight(builder, light[i]);
+        }
+
+        // Split along the diagonal between the brighter pair of corners, so a
+        // single dark corner shades one triangle instead of smearing over both
+        const flip = brightness[1] + brightness[3] > brightness[0] + brightness[2];
+        const [a, b, c, d] = flip ? [base + 1, base + 2, base + 3, base] : [base, base + 1, base + 2, base + 3];
+
+        // Flip winding for faces pointing towards the negative axis
+        if (face & 1) {
+            builder.indices.push(a, c, b, a, d, c);
+        } else {
+            builder.indices.push(a, b, c, a, c, d);
+        }
+    }
+
+    /**
+     * Get the builder for a material, creating it on first use
+     * @param {Array} flow - Texture scroll of the quad about to be added (optional);
+     *     the first scrolling quad adds the flows array, zero for earlier vertices
+     * @private
+     */
+    getBuilder(builders, material, flow) {
+        if (!builders.has(material)) {
+            builders.set(material, { positions: [], normals: [], uvs: [], tiles: [], flows: null, colors: [], indices: [] });
+        }
+
+        const builder = builders.get(material);
+        if (flow && !builder.flows) {
+            builder.flows = new Array(builder.positions.length / 3 * 2).fill(0);
+        }
+        return builder;
+    }
+
+    /**
+     * Append the vertex color for a packed corner light (see emitQuad)
+     * @returns {number} - Brightness of the vertex
+     * @private
+     */
+    pushLight(builder, packed) {
+        const count = packed >> 14;
+        const sky = getLightBrightness(((packed >> 2) & 0x3f) / count);
+        const glow = getLightBrightness(((packed >> 8) & 0x3f) / count);
+        const ao = AO_SHADE[packed & 3];
+        builder.colors.push(sky, glow, ao);
+        return Math.max(sky, glow) * ao;
+    }
+
+    /**
+     * Texture coordinates for a vertex, keeping side textures upright
+     * @private
+     */
+    faceUV(face, corner) {
+        switch (face) {
+            case 0: return [-corner[2], corner[1]]; // +x
+            case 1: return [corner[2], corner[1]];  // -x
+            case 2: return [corner[0], -corner[2]]; // +y
+            case 3: return [corner[0], corner[2]];  // -y
+            case 4: return [corner[0], corner[1]];  // +z
+            default: return [-corner[0], corner[1]]; // -z
+        }
+    }
+}
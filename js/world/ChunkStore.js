@@ -0,0 +1,441 @@
+/**
+ * ChunkStore - Keeps modified chunks in IndexedDB
+ * Generated terrain comes back from the seed, so only chunks with block edits
+ * are stored, whole, as compact binary: blocks, cave mask and (if any) block
+ * states, deflated. Chunks are grouped into regions of REGION_SIZE x
+ * REGION_SIZE chunks with one record per region, so a region is read once for
+ * all of its chunks. Records are keyed by world id, so a world that was never
+ * saved can't overwrite the chunks of the saved one.
+ * Chunks written while playing go to records of the session, read before those
+ * of the world, and only become part of the world when the game is saved
+ * (commit): leaving without saving drops them with the rest of the progress.
+ * Block ids of runtime and resource pack blocks depend on the order they were
+ * added in, so every record lists the block names of its chunks' ids, and
+ * chunks read back are mapped to the ids of this session.
+ */
+import { DatabaseUtils } from '../utils/DatabaseUtils.js';
+
+const DATABASE_NAME = 'minecraft_clone_worlds';
+const STORE_NAME = 'regions';
+
+const REGION_SIZE = 16;
+
+// Stored chunk layout: a header of FORMAT_VERSION and flags, then the data
+const FORMAT_VERSION = 1;
+const HAS_STATES = 1;   // Block states follow the cave mask
+const COMPRESSED = 2;   // Everything after the header is deflated
+const HEADER_SIZE = 2;
+
+export class ChunkStore {
+    /**
+     * @param {Object} chunkSize - Chunk dimensions {x, y, z}
+     * @param {ResourceManager} resourceManager - Block registry the ids belong to
+     */
+    constructor(chunkSize, resourceManager) {
+        this.chunkSize = chunkSize;
+        this.resourceManager = resourceManager;
+        this.database = null;
+        this.worldId = null;
+        this.sessionId = null;      // Id of the records written since the world was chosen
+        this.regions = new Map();   // Region key => Promise of Map of chunk key => {stored, names}
+        this.unwritten = new Map(); // Chunk key => packed chunk whose write hasn't finished
+        this.writes = new Set();    // Promises of the unfinished writes
+        this.missingBlocks = new Set(); // Stored block names not in the registry, warned about once
+    }
+
+    /**
+     * Open (and on first use create) the chunk database
+     * Without IndexedDB (e.g. some private windows) the store stays closed.
+     * @returns {Promise<boolean>} - Whether the store can be used
+     */
+    async open() {
+        try {
+            this.database = await DatabaseUtils.open(DATABASE_NAME, STORE_NAME, 'key');
+        } catch (error) {
+            console.warn('Chunks will be kept in the save instead of IndexedDB:', error);
+            this.database = null;
+        }
+        return this.isOpen();
+    }
+
+    /**
+     * Check whether chunks can be stored
+     * @returns {boolean} - Whether the database is open
+     */
+    isOpen() {
+        return this.database !== null;
+    }
+
+    /**
+     * Choose the world whose chunks are read and written
+     * @param {string} worldId - World id (see World.save)
+     */
+    setWorld(worldId) {
+        if (worldId === this.worldId) return;
+
+        this.worldId = worldId;
+        this.sessionId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        this.regions.clear();
+        this.unwritten.clear();
+    }
+
+    /**
+     * Read a stored chunk
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @returns {Promise<Object>} - {blocks, caveMask, states (or null)}, or null when
+     *     the chunk isn't stored (it is generated instead)
+     */
+    async readChunk(chunkX, chunkZ) {
+        const key = `${chunkX},${chunkZ}`;
+
+        // A chunk still being written is served from memory
+        if (this.unwritten.has(key)) {
+            return this.unpack(this.unwritten.get(key));
+        }
+
+        // Chunks written this session are newer than the saved ones
+        const [session, saved] = await Promise.all([
+            this.getRegion(this.getRegionKey(this.sessionId, chunkX, chunkZ)),
+            this.getRegion(this.getRegionKey(this.worldId, chunkX, chunkZ))
+        ]);
+        const entry = session.get(key) || saved.get(key);
+        if (!entry) return null;
+
+        try {
+            return this.unpack(await this.decode(entry.stored), entry.names);
+        } catch (error) {
+            console.error(`Stored chunk ${key} is unreadable and will be generated again:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a chunk in the session (see commit)
+     * Its data is copied right away, so the chunk may change or be unloaded
+     * while the write goes on.
+     * @param {Chunk} chunk - Chunk to store
+     * @returns {Promise} - Resolves when the chunk is written
+     */
+    writeChunk(chunk) {
+        const write = this.putChunk(chunk);
+        const done = () => this.writes.delete(write);
+
+        this.writes.add(write);
+        write.then(done, done);
+        return write;
+    }
+
+    /**
+     * Make the chunks written this session part of the saved world
+     * Waits for the unfinished writes, then merges every session record into
+     * the world's record of the same region.
+     * @returns {Promise} - Resolves when the chunks are saved
+     */
+    async commit() {
+        const { worldId, sessionId } = this;
+        await Promise.allSettled(this.writes);
+        if (worldId !== this.worldId) return;
+
+        const prefix = `${sessionId}:`;
+        const keys = await DatabaseUtils.request(this.getStore('readonly').getAllKeys());
+
+        await Promise.all(keys.filter(key => key.startsWith(prefix)).map(async sessionKey => {
+            const worldKey = `${worldId}:${sessionKey.slice(prefix.length)}`;
+            const [session, saved] = await Promise.all([this.getRegion(sessionKey), this.getRegion(worldKey)]);
+
+            for (const [key, entry] of session) {
+                saved.set(key, entry);
+            }
+            await DatabaseUtils.request(this.getStore('readwrite').put(this.toRecord(worldKey, saved)));
+        }));
+    }
+
+    /**
+     * Write a chunk to its session record
+     * @returns {Promise} - Resolves when the chunk is written
+     * @private
+     */
+    async putChunk(chunk) {
+        const { x: chunkX, z: chunkZ } = chunk.position;
+        const key = chunk.key;
+        const worldId = this.worldId;
+        const regionKey = this.getRegionKey(this.sessionId, chunkX, chunkZ);
+        const packed = this.pack(chunk);
+        this.unwritten.set(key, packed);
+
+        // A write is dropped once a newer copy of the chunk is being written,
+        // or another world was chosen (which forgets the unwritten chunks)
+        const superseded = () => worldId !== this.worldId || this.unwritten.get(key) !== packed;
+
+        const stored = await this.encode(packed);
+        if (superseded()) return;
+
+        // The record holds the region's other chunks too; concurrent writes
+        // share the cached region, so the last one writes all of them
+        const region = await this.getRegion(regionKey);
+        if (superseded()) return;
+
+        region.set(key, { stored, names: this.getBlockNames() });
+        await DatabaseUtils.request(this.getStore('readwrite').put(this.toRecord(regionKey, region)));
+
+        // A failed write leaves the chunk in memory, so it lasts for the session at least
+        if (this.unwritten.get(key) === packed) {
+            this.unwritten.delete(key);
+        }
+    }
+
+    /**
+     * Forget the cached regions none of whose chunks are in use or being written
+     * They are read again when one of their chunks is needed.
+     * @param {Iterable<string>} chunkKeys - Keys "x,z" of the chunks in use
+     */
+    releaseRegions(chunkKeys) {
+        const kept = new Set();
+        for (const key of [...chunkKeys, ...this.unwritten.keys()]) {
+            const [chunkX, chunkZ] = key.split(',').map(Number);
+            kept.add(this.getRegionKey(this.worldId, chunkX, chunkZ));
+            kept.add(this.getRegionKey(this.sessionId, chunkX, chunkZ));
+        }
+
+        for (const key of this.regions.keys()) {
+            if (!kept.has(key)) {
+                this.regions.delete(key);
+            }
+        }
+    }
+
+    /**
+     * Delete the chunks of every world but one, and of every session but the current one
+     * @param {string} worldId - World to keep (null deletes all)
+     * @returns {Promise} - Resolves when the others are deleted
+     */
+    async keepOnly(worldId) {
+        const kept = [worldId, this.sessionId].filter(id => id !== null).map(id => `${id}:`);
+        const keys = await DatabaseUtils.request(this.getStore('readonly').getAllKeys());
+        const store = this.getStore('readwrite');
+
+        await Promise.all(keys
+            .filter(key => !kept.some(prefix => key.startsWith(prefix)))
+            .map(key => DatabaseUtils.request(store.delete(key))));
+    }
+
+    /**
+     * Get the stored chunks of a region record, read on first use
+     * @param {string} key - Region key (see getRegionKey)
+     * @returns {Promise<Map>} - Chunk key => {stored: chunk as stored, names: block
+     *     names by id (null for records from before name tables)}
+     * @private
+     */
+    getRegion(key) {
+        if (!this.regions.has(key)) {
+            const region = DatabaseUtils.request(this.getStore('readonly').get(key))
+                .then(record => this.fromRecord(record));
+            this.regions.set(key, region);
+
+            // A failed read is tried again the next time
+            region.catch(() => {
+                if (this.regions.get(key) === region) {
+                    this.regions.delete(key);
+                }
+            });
+        }
+        return this.regions.get(key);
+    }
+
+    /**
+     * Build the record of a region
+     * Chunks share the name tables they have in common (usually all of them).
+     * @param {string} key - Region key
+     * @param {Map} region - Chunk key => {stored, names}
+     * @returns {Object} - {key, names: [block names by id], chunks: {chunk key => {data, table}}}
+     * @private
+     */
+    toRecord(key, region) {
+        const record = { key, names: [], chunks: {} };
+        const tables = new Map(); // Joined names => index in record.names
+
+        for (const [chunkKey, { stored, names }] of region) {
+            // Chunks from before name tables are taken to use the ids of this session
+            const table = names || this.getBlockNames();
+            const joined = table.join();
+            if (!tables.has(joined)) {
+                tables.set(joined, record.names.length);
+                record.names.push(table);
+            }
+            record.chunks[chunkKey] = { data: stored, table: tables.get(joined) };
+        }
+
+        return record;
+    }
+
+    /**
+     * Undo toRecord
+     * @param {Object} record - Region record, or undefined when there is none
+     * @returns {Map} - Chunk key => {stored, names}
+     * @private
+     */
+    fromRecord(record) {
+        const region = new Map();
+        if (!record) return region;
+
+        for (const [chunkKey, chunk] of Object.entries(record.chunks)) {
+            // Records from before name tables held the stored chunks only
+            region.set(chunkKey, chunk instanceof Uint8Array
+                ? { stored: chunk, names: null }
+                : { stored: chunk.data, names: record.names[chunk.table] });
+        }
+
+        return region;
+    }
+
+    /**
+     * Block names by id of this session, for the chunks being written
+     * @returns {Array<string>} - Name of every id (null for free ones)
+     * @private
+     */
+    getBlockNames() {
+        return Array.from(this.resourceManager.blockTypesById, type => type ? type.key : null);
+    }
+
+    /**
+     * Key of the record of the region a chunk belongs to: "id:regionX,regionZ"
+     * @param {string} id - World or session id
+     * @private
+     */
+    getRegionKey(id, chunkX, chunkZ) {
+        return `${id}:${Math.floor(chunkX / REGION_SIZE)},${Math.floor(chunkZ / REGION_SIZE)}`;
+    }
+
+    /**
+     * Copy a chunk's data into one uncompressed buffer (see the layout above)
+     * @param {Chunk} chunk - Chunk to pack
+     * @returns {Uint8Array} - Packed chunk
+     * @private
+     */
+    pack(chunk) {
+        const { blocks, caveMask, states } = chunk;
+        const packed = new Uint8Array(HEADER_SIZE + blocks.length + caveMask.length + (states ? states.length : 0));
+
+        packed[0] = FORMAT_VERSION;
+        packed[1] = states ? HAS_STATES : 0;
+        packed.set(blocks, HEADER_SIZE);
+        packed.set(caveMask, HEADER_SIZE + blocks.length);
+        if (states) {
+            packed.set(states, HEADER_SIZE + blocks.length + caveMask.length);
+        }
+
+        return packed;
+    }
+
+    /**
+     * Split a packed chunk into new arrays
+     * @param {Uint8Array} packed - Packed chunk
+     * @param {Array<string>} names - Block names by id of the packed chunk, mapped
+     *     to the ids of this session (null keeps the ids as they are)
+     * @returns {Object} - {blocks, caveMask, states}
+     * @throws {Error} - When the data doesn't fit this chunk size
+     * @private
+     */
+    unpack(packed, names = null) {
+        const volume = this.chunkSize.x * this.chunkSize.y * this.chunkSize.z;
+        const maskSize = Math.ceil(volume / 8);
+        const hasStates = (packed[1] & HAS_STATES) !== 0;
+
+        if (packed[0] !== FORMAT_VERSION ||
+            packed.length !== HEADER_SIZE + volume + maskSize + (hasStates ? volume : 0)) {
+            throw new Error('Stored chunk has an unknown format');
+        }
+
+        const blocksEnd = HEADER_SIZE + volume;
+        const blocks = packed.slice(HEADER_SIZE, blocksEnd);
+        if (names) {
+            const ids = this.getBlockIdMap(names);
+            for (let i = 0; i < blocks.length; i++) {
+                blocks[i] = ids[blocks[i]];
+            }
+        }
+
+        return {
+            blocks,
+            caveMask: packed.slice(blocksEnd, blocksEnd + maskSize),
+            states: hasStates ? packed.slice(blocksEnd + maskSize) : null
+        };
+    }
+
+    /**
+     * Map the block ids of a name table to the ids of this session
+     * Blocks that no longer exist (e.g. of a resource pack that was turned off) become air.
+     * @param {Array<string>} names - Block names by stored id
+     * @returns {Uint8Array} - Id of this session by stored id
+     * @private
+     */
+    getBlockIdMap(names) {
+        const ids = new Uint8Array(256);
+
+        names.forEach((name, id) => {
+            if (name === null) return;
+
+            const type = this.resourceManager.blockTypes.get(name);
+            if (type) {
+                ids[id] = type.id;
+            } else if (!this.missingBlocks.has(name)) {
+                this.missingBlocks.add(name);
+                console.warn(`Stored block ${name} no longer exists and is replaced by air`);
+            }
+        });
+
+        return ids;
+    }
+
+    /**
+     * Deflate a packed chunk, when the browser can
+     * @param {Uint8Array} packed - Packed chunk
+     * @returns {Promise<Uint8Array>} - Chunk as stored
+     * @private
+     */
+    async encode(packed) {
+        if (typeof CompressionStream === 'undefined') return packed;
+
+        const body = await this.transform(packed.subarray(HEADER_SIZE), new CompressionStream('deflate-raw'));
+        const stored = new Uint8Array(HEADER_SIZE + body.length);
+        stored[0] = packed[0];
+        stored[1] = packed[1] | COMPRESSED;
+        stored.set(body, HEADER_SIZE);
+        return stored;
+    }
+
+    /**
+     * Undo encode
+     * @param {Uint8Array} stored - Chunk as stored
+     * @returns {Promise<Uint8Array>} - Packed chunk
+     * @private
+     */
+    async decode(stored) {
+        if (!(stored[1] & COMPRESSED)) return stored;
+
+        const body = await this.transform(stored.subarray(HEADER_SIZE), new DecompressionStream('deflate-raw'));
+        const packed = new Uint8Array(HEADER_SIZE + body.length);
+        packed[0] = stored[0];
+        packed[1] = stored[1] & ~COMPRESSED;
+        packed.set(body, HEADER_SIZE);
+        return packed;
+    }
+
+    /**
+     * Run bytes through a compression stream
+     * @private
+     */
+    async transform(bytes, stream) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * Get the region store in a new transaction
+     * @private
+     */
+    getStore(mode) {
+        return DatabaseUtils.getStore(this.database, STORE_NAME, mode);
+    }
+}
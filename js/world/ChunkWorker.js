@@ -0,0 +1,24 @@
+/**
+ * ChunkWorker - Web Worker entry point for chunk generation and meshing
+ * Receives an 'init' message with the world config, then job messages from
+ * ChunkWorkerPool. Results are posted back with their buffers transferred.
+ */
+import { ChunkJobRunner } from './ChunkJobs.js';
+
+const runner = new ChunkJobRunner();
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    if (message.type === 'init') {
+        runner.init(message.config);
+        return;
+    }
+
+    try {
+        const { result, transfer } = runner.run(message);
+        self.postMessage({ id: message.id, result }, transfer);
+    } catch (error) {
+        self.postMessage({ id: message.id, error: error.message });
+    }
+};
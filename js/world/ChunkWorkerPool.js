@@ -0,0 +1,290 @@
+/**
+ * ChunkWorkerPool - Runs chunk jobs on a pool of Web Workers
+ * Jobs wait in a priority queue (lowest priority value first) and are only
+ * serialized when a worker becomes free, so queued jobs cost no memory and can
+ * be cancelled or reprioritized cheaply. Finished jobs are collected for the
+ * caller to integrate at its own pace. Without worker support the same jobs
+ * run on the main thread through runInline().
+ */
+import { ChunkJobRunner } from './ChunkJobs.js';
+
+export class ChunkWorkerPool {
+    /**
+     * @param {number} workerCount - Number of workers (defaults to the spare CPU cores)
+     */
+    constructor(workerCount = ChunkWorkerPool.getDefaultWorkerCount()) {
+        this.workers = [];      // {worker, job} slots
+        this.queue = [];        // Jobs waiting for a worker
+        this.completed = [];    // Finished jobs waiting to be integrated
+        this.nextJobId = 1;
+        this.config = null;
+
+        // Main thread fallback
+        this.runner = null;
+
+        this.createWorkers(workerCount);
+    }
+
+    /**
+     * Leave one core for the main thread, and cap the pool size
+     * @returns {number} - Default worker count
+     */
+    static getDefaultWorkerCount() {
+        const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+        return Math.max(1, Math.min(4, cores - 1));
+    }
+
+    /**
+     * Spawn the workers, falling back to the main thread if that fails
+     * @param {number} count - Number of workers
+     * @private
+     */
+    createWorkers(count) {
+        if (typeof Worker === 'undefined') {
+            this.useMainThread();
+            return;
+        }
+
+        try {
+            for (let i = 0; i < count; i++) {
+                const worker = new Worker(new URL('./ChunkWorker.js', import.meta.url), { type: 'module' });
+                const slot = { worker, job: null };
+
+                worker.onmessage = (event) => this.handleMessage(slot, event.data);
+                worker.onerror = (event) => this.handleWorkerError(event);
+
+                this.workers.push(slot);
+            }
+        } catch (error) {
+            console.warn('Chunk workers unavailable, generating on the main thread:', error);
+            this.useMainThread();
+        }
+    }
+
+    /**
+     * Stop all workers and run jobs on the main thread from now on
+     * @private
+     */
+    useMainThread() {
+        // Jobs that were running in a worker go back into the queue
+        for (const slot of this.workers) {
+            if (slot.job && !slot.job.cancelled) {
+                this.queue.push(slot.job);
+            }
+            slot.worker.terminate();
+        }
+        this.workers = [];
+
+        this.runner = new ChunkJobRunner();
+        if (this.config) {
+            this.runner.init(this.config);
+        }
+    }
+
+    /**
+     * Whether jobs run in Web Workers
+     * @returns {boolean}
+     */
+    usesWorkers() {
+        return this.workers.length > 0;
+    }
+
+    /**
+     * Configure every worker for a world. Cancels all outstanding jobs.
+     * @param {Object} config - {seed, chunkSize, blockIds, blockInfo}
+     */
+    init(config) {
+        this.cancelAll();
+        this.config = config;
+
+        for (const slot of this.workers) {
+            slot.worker.postMessage({ type: 'init', config });
+        }
+
+        if (this.runner) {
+            this.runner.init(config);
+        }
+    }
+
+    /**
+     * Queue a job
+     * @param {Object} job - Job description: {type, priority, prepare, ...caller fields}
+     *     prepare() is called right before the job runs and returns
+     *     {message, transfer} with the job's input data
+     * @returns {Object} - The queued job (pass it to cancel())
+     */
+    request(job) {
+        job.id = this.nextJobId++;
+        job.cancelled = false;
+        job.result = null;
+        job.error = null;
+
+        this.queue.push(job);
+        this.dispatch();
+
+        return job;
+    }
+
+    /**
+     * Cancel a queued, running or finished job; its result will be discarded
+     * @param {Object} job - Job returned by request()
+     */
+    cancel(job) {
+        job.cancelled = true;
+
+        const index = this.queue.indexOf(job);
+        if (index !== -1) {
+            this.queue.splice(index, 1);
+        }
+    }
+
+    /**
+     * Cancel every outstanding job and drop unintegrated results
+     */
+    cancelAll() {
+        for (const job of this.queue) {
+            job.cancelled = true;
+        }
+        for (const slot of this.workers) {
+            if (slot.job) {
+                slot.job.cancelled = true;
+            }
+        }
+
+        this.queue = [];
+        this.completed = [];
+    }
+
+    /**
+     * Recompute the priority of all queued jobs (e.g. after the player moved)
+     * @param {Function} getPriority - job => priority (lower runs first)
+     */
+    reprioritize(getPriority) {
+        for (const job of this.queue) {
+            job.priority = getPriority(job);
+        }
+    }
+
+    /**
+     * Remove the most urgent job from the queue
+     * @returns {Object|null} - Next job or null when the queue is empty
+     * @private
+     */
+    takeNextJob() {
+        if (this.queue.length === 0) return null;
+
+        let best = 0;
+        for (let i = 1; i < this.queue.length; i++) {
+            if (this.queue[i].priority < this.queue[best].priority) {
+                best = i;
+            }
+        }
+
+        return this.queue.splice(best, 1)[0];
+    }
+
+    /**
+     * Hand queued jobs to idle workers
+     * @private
+     */
+    dispatch() {
+        for (const slot of this.workers) {
+            if (slot.job) continue;
+
+            const job = this.takeNextJob();
+            if (!job) return;
+
+            const { message, transfer } = job.prepare();
+            slot.job = job;
+            slot.worker.postMessage({ ...message, type: job.type, id: job.id }, transfer || []);
+        }
+    }
+
+    /**
+     * Handle a result posted by a worker
+     * @private
+     */
+    handleMessage(slot, data) {
+        const job = slot.job;
+        slot.job = null;
+
+        if (job && job.id === data.id && !job.cancelled) {
+            if (data.error) {
+                console.error(`Chunk ${job.type} job failed:`, data.error);
+                job.error = data.error;
+            } else {
+                job.result = data.result;
+            }
+            this.completed.push(job);
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * A worker failed to load or crashed; continue on the main thread
+     * @private
+     */
+    handleWorkerError(event) {
+        console.error('Chunk worker error, generating on the main thread:', event.message || event);
+        if (event.preventDefault) {
+            event.preventDefault();
+        }
+
+        if (this.usesWorkers()) {
+            this.useMainThread();
+        }
+    }
+
+    /**
+     * Run queued jobs on the main thread until the deadline passes
+     * Does nothing while workers are in use. At least one job runs per call so
+     * generation keeps making progress on slow machines.
+     * @param {number} deadline - performance.now() timestamp to stop at
+     */
+    runInline(deadline) {
+        if (!this.runner) return;
+
+        let job;
+        while ((job = this.takeNextJob())) {
+            try {
+                const { message } = job.prepare();
+                job.result = this.runner.run({ ...message, type: job.type }).result;
+            } catch (error) {
+                console.error(`Chunk ${job.type} job failed:`, error);
+                job.error = error;
+            }
+            this.completed.push(job);
+
+            if (performance.now() >= deadline) break;
+        }
+    }
+
+    /**
+     * Take the next finished job, in completion order
+     * @returns {Object|null} - Job with its result (or its error, when it failed),
+     *     or null if none are waiting
+     */
+    nextCompleted() {
+        while (this.completed.length > 0) {
+            const job = this.completed.shift();
+            if (!job.cancelled) {
+                return job;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Terminate all workers
+     */
+    dispose() {
+        this.cancelAll();
+
+        for (const slot of this.workers) {
+            slot.worker.terminate();
+        }
+        this.workers = [];
+        this.runner = null;
+    }
+}
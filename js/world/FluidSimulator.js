@@ -0,0 +1,280 @@
+/**
+ * FluidSimulator - Cellular flow for blocks with physics: 'fluid'
+ * Fluid blocks carry a level in their block state: sources are level 0, flowing
+ * fluid counts up from 1 at the source to MAX_FLOW_LEVEL at the far edge, and
+ * fluid pouring down from above is FALLING_LEVEL. Only blocks that were
+ * scheduled are looked at, so still water costs nothing. World's block updates
+ * schedule fluid next to placed and removed blocks.
+ */
+
+export const SOURCE_LEVEL = 0;
+export const MAX_FLOW_LEVEL = 7;
+export const FALLING_LEVEL = 8;
+
+const HORIZONTAL = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+/**
+ * Height of a fluid surface within its block
+ * Shared with ChunkMesher so the rendered surface matches swimming physics.
+ * @param {number} level - Fluid level
+ * @param {boolean} covered - Whether the same fluid is directly above
+ * @returns {number} - Surface height (0 to 1)
+ */
+export function getFluidHeight(level, covered) {
+    if (covered) return 1;
+    if (level === SOURCE_LEVEL || level === FALLING_LEVEL) return 8 / 9;
+    return (8 - level) / 9;
+}
+
+export class FluidSimulator {
+    /**
+     * @param {World} world - World whose fluids to simulate
+     */
+    constructor(world) {
+        this.world = world;
+
+        this.tickRate = 20;            // Simulation ticks per second
+        this.flowDelay = 5;            // Ticks between a fluid update and the next step of the flow
+        this.maxUpdatesPerTick = 512;  // Keeps huge floods from stalling a frame
+
+        this.tick = 0;
+        this.tickTime = 0;
+        this.scheduled = new Map();    // "x,y,z" => {x, y, z, tick}
+
+        // Updates that need a chunk which isn't loaded, run once it is
+        this.waiting = new Map();      // Chunk key "x,z" => Map of "x,y,z" => {x, y, z}
+    }
+
+    /**
+     * Advance the simulation
+     * @param {number} deltaTime - Time since last update in seconds
+     */
+    update(deltaTime) {
+        this.tickTime += deltaTime;
+
+        // Catch up at most a few ticks after a long frame
+        let ticks = 0;
+        while (this.tickTime >= 1 / this.tickRate && ticks < 4) {
+            this.tickTime -= 1 / this.tickRate;
+            this.tick++;
+            ticks++;
+            this.runTick();
+        }
+        if (ticks === 4) {
+            this.tickTime = 0;
+        }
+    }
+
+    /**
+     * Run the updates that are due this tick
+     * @private
+     */
+    runTick() {
+        const due = [];
+        for (const [key, entry] of this.scheduled) {
+            if (entry.tick > this.tick) continue;
+
+            due.push(entry);
+            this.scheduled.delete(key);
+            if (due.length >= this.maxUpdatesPerTick) break;
+        }
+
+        for (const { x, y, z } of due) {
+            if (this.world.isChunkLoadedAt(x, z)) {
+                this.updateBlock(x, y, z);
+            } else {
+                this.waitForChunk(x, z, x, y, z);
+            }
+        }
+    }
+
+    /**
+     * Schedule the updates that were waiting for a chunk to load
+     * @param {string} chunkKey - Key "x,z" of the chunk that was loaded
+     */
+    resumeChunk(chunkKey) {
+        const updates = this.waiting.get(chunkKey);
+        if (!updates) return;
+
+        this.waiting.delete(chunkKey);
+        for (const { x, y, z } of updates.values()) {
+            this.scheduleUpdate(x, y, z);
+        }
+    }
+
+    /**
+     * Hold a block update until the chunk containing a column is loaded
+     * @param {number} columnX - World X coordinate inside the awaited chunk
+     * @param {number} columnZ - World Z coordinate inside the awaited chunk
+     * @private
+     */
+    waitForChunk(columnX, columnZ, x, y, z) {
+        const size = this.world.chunkSize;
+        const chunkKey = `${Math.floor(columnX / size.x)},${Math.floor(columnZ / size.z)}`;
+
+        if (!this.waiting.has(chunkKey)) {
+            this.waiting.set(chunkKey, new Map());
+        }
+        this.waiting.get(chunkKey).set(`${x},${y},${z}`, { x, y, z });
+    }
+
+    /**
+     * Schedule a block to be updated after the flow delay
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     */
+    scheduleUpdate(x, y, z) {
+        const key = `${x},${y},${z}`;
+        if (!this.scheduled.has(key)) {
+            this.scheduled.set(key, { x, y, z, tick: this.tick + this.flowDelay });
+        }
+    }
+
+    /**
+     * Drop all scheduled updates
+     */
+    clear() {
+        this.scheduled.clear();
+        this.waiting.clear();
+        this.tick = 0;
+        this.tickTime = 0;
+    }
+
+    /**
+     * Schedule the six neighbors of a block
+     * @private
+     */
+    scheduleNeighbors(x, y, z) {
+        this.scheduleUpdate(x, y + 1, z);
+        this.scheduleUpdate(x, y - 1, z);
+        for (const [dx, dz] of HORIZONTAL) {
+            this.scheduleUpdate(x + dx, y, z + dz);
+        }
+    }
+
+    /**
+     * Whether a block id is a fluid
+     * @private
+     */
+    isFluid(id) {
+        return id !== 0 && this.world.resourceManager.getBlockTypeById(id).physics === 'fluid';
+    }
+
+    /**
+     * Whether fluid can flow into a block
+     * @private
+     */
+    canFlowInto(x, y, z) {
+        return y >= 0 && y < this.world.chunkSize.y && this.world.getBlockIdAt(x, y, z) === 0;
+    }
+
+    /**
+     * Recalculate one fluid block and let it spread
+     * @private
+     */
+    updateBlock(x, y, z) {
+        const id = this.world.getBlockIdAt(x, y, z);
+        if (!this.isFluid(id)) return;
+
+        // Fluid next to an unloaded chunk waits for it instead of taking it for air
+        for (const [dx, dz] of HORIZONTAL) {
+            if (!this.world.isChunkLoadedAt(x + dx, z + dz)) {
+                this.waitForChunk(x + dx, z + dz, x, y, z);
+                return;
+            }
+        }
+
+        let level = this.world.getFluidLevel(x, y, z);
+
+        // Flowing fluid takes its level from what feeds it, and dries up without a feed
+        if (level !== SOURCE_LEVEL) {
+            const expected = this.getExpectedLevel(x, y, z, id);
+
+            if (expected !== level) {
+                if (expected === -1) {
+                    this.world.setFluidAt(x, y, z, 0, 0);
+                } else {
+                    this.world.setFluidAt(x, y, z, id, expected);
+                }
+                this.scheduleNeighbors(x, y, z);
+
+                if (expected === -1) return;
+                level = expected;
+            }
+        }
+
+        this.spread(x, y, z, id, level);
+    }
+
+    /**
+     * Level a flowing fluid block should have given its neighbors
+     * @returns {number} - Level, or -1 when nothing feeds it any more
+     * @private
+     */
+    getExpectedLevel(x, y, z, id) {
+        // Fed from above
+        if (this.world.getBlockIdAt(x, y + 1, z) === id) {
+            return FALLING_LEVEL;
+        }
+
+        let sources = 0;
+        let best = Infinity;
+
+        for (const [dx, dz] of HORIZONTAL) {
+            if (this.world.getBlockIdAt(x + dx, y, z + dz) !== id) continue;
+
+            const level = this.world.getFluidLevel(x + dx, y, z + dz);
+            if (level === SOURCE_LEVEL) sources++;
+
+            // Falling fluid spreads like a source where it lands
+            best = Math.min(best, (level === FALLING_LEVEL ? SOURCE_LEVEL : level) + 1);
+        }
+
+        // Infinite sources: fluid between two sources, resting on ground or on a source, renews itself
+        if (sources >= 2) {
+            const below = this.world.getBlockIdAt(x, y - 1, z);
+            if ((below === id && this.world.getFluidLevel(x, y - 1, z) === SOURCE_LEVEL) ||
+                this.world.isSolid(x, y - 1, z)) {
+                return SOURCE_LEVEL;
+            }
+        }
+
+        return best > MAX_FLOW_LEVEL ? -1 : best;
+    }
+
+    /**
+     * Flow down if possible, otherwise outward with the next level
+     * @private
+     */
+    spread(x, y, z, id, level) {
+        if (this.canFlowInto(x, y - 1, z)) {
+            this.world.setFluidAt(x, y - 1, z, id, FALLING_LEVEL);
+            this.scheduleUpdate(x, y - 1, z);
+            return;
+        }
+
+        // Resting on more of the same fluid: nothing to spread onto
+        if (this.world.getBlockIdAt(x, y - 1, z) === id) return;
+
+        const next = level === SOURCE_LEVEL || level === FALLING_LEVEL ? 1 : level + 1;
+        if (next > MAX_FLOW_LEVEL) return;
+
+        for (const [dx, dz] of HORIZONTAL) {
+            const nx = x + dx;
+            const nz = z + dz;
+
+            if (this.canFlowInto(nx, y, nz)) {
+                this.world.setFluidAt(nx, y, nz, id, next);
+                this.scheduleUpdate(nx, y, nz);
+            } else if (this.world.getBlockIdAt(nx, y, nz) === id) {
+                // Shallower flowing neighbors are topped up
+                const neighborLevel = this.world.getFluidLevel(nx, y, nz);
+                if (neighborLevel !== SOURCE_LEVEL && neighborLevel !== FALLING_LEVEL && neighborLevel > next) {
+                    this.world.setFluidAt(nx, y, nz, id, next);
+                    this.scheduleUpdate(nx, y, nz);
+                }
+            }
+        }
+    }
+}
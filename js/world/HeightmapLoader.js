@@ -0,0 +1,103 @@
+/**
+ * HeightmapLoader - Decodes the images of a heightmap preset into plain arrays
+ * Images are read through a canvas on the main thread; the result has no DOM
+ * objects, so it is handed to TerrainGenerator and the chunk workers as is.
+ */
+import { NO_SURFACE_RULE } from './WorldPresets.js';
+
+// Pixels less opaque than this have no surface rule
+const MIN_ALPHA = 128;
+
+export class HeightmapLoader {
+    /**
+     * Read the height image and the surface image of a preset
+     * @param {Object} settings - Heightmap settings of a resolved preset (see WorldPresets)
+     * @returns {Promise<Object>} - {width, height, heights: Uint8Array of brightness by
+     *     pixel (x + y * width), surface: {width, height, rules: Uint8Array of
+     *     surfaceColors indices, NO_SURFACE_RULE for none} or null}
+     */
+    static async load(settings) {
+        const image = await HeightmapLoader.readPixels(settings.image);
+        const heights = new Uint8Array(image.width * image.height);
+
+        for (let i = 0; i < heights.length; i++) {
+            const r = image.data[i * 4];
+            const g = image.data[i * 4 + 1];
+            const b = image.data[i * 4 + 2];
+            // Perceived brightness, so colored images still work
+            heights[i] = Math.round(0.299 * r + 0.587 * g + 0.114 * b);
+        }
+
+        const surface = settings.surface
+            ? HeightmapLoader.readSurfaceRules(await HeightmapLoader.readPixels(settings.surface), settings.surfaceColors)
+            : null;
+
+        return { width: image.width, height: image.height, heights, surface };
+    }
+
+    /**
+     * Map every pixel of a surface image to the rule with the closest color
+     * @param {ImageData} image - Surface image pixels
+     * @param {Object} surfaceColors - Rules by "#rrggbb" color
+     * @returns {Object} - {width, height, rules}
+     * @private
+     */
+    static readSurfaceRules(image, surfaceColors) {
+        const colors = Object.keys(surfaceColors).map(color => {
+            const hex = parseInt(color.slice(1), 16);
+            return [(hex >> 16) & 255, (hex >> 8) & 255, hex & 255];
+        });
+        const rules = new Uint8Array(image.width * image.height).fill(NO_SURFACE_RULE);
+        const found = new Map(); // Packed RGB => rule, images use few colors
+
+        for (let i = 0; i < rules.length; i++) {
+            const [r, g, b, a] = image.data.subarray(i * 4, i * 4 + 4);
+            if (a < MIN_ALPHA || colors.length === 0) continue;
+
+            const packed = (r << 16) | (g << 8) | b;
+            let rule = found.get(packed);
+            if (rule === undefined) {
+                let bestDistance = Infinity;
+                colors.forEach(([cr, cg, cb], index) => {
+                    const distance = (r - cr) ** 2 + (g - cg) ** 2 + (b - cb) ** 2;
+                    if (distance < bestDistance) {
+                        bestDistance = distance;
+                        rule = index;
+                    }
+                });
+                found.set(packed, rule);
+            }
+            rules[i] = rule;
+        }
+
+        return { width: image.width, height: image.height, rules };
+    }
+
+    /**
+     * Load an image and read its pixels
+     * @param {string} src - Data URL or URL of the image
+     * @returns {Promise<ImageData>} - Pixels of the image
+     * @private
+     */
+    static readPixels(src) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.crossOrigin = 'anonymous';
+
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = image.width;
+                canvas.height = image.height;
+
+                const context = canvas.getContext('2d');
+                context.drawImage(image, 0, 0);
+                resolve(context.getImageData(0, 0, image.width, image.height));
+            };
+            image.onerror = () => {
+                reject(new Error(`Image could not be loaded: ${src.startsWith('data:') ? 'embedded image' : src}`));
+            };
+
+            image.src = src;
+        });
+    }
+}
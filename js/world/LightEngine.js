@@ -0,0 +1,377 @@
+/**
+ * LightEngine - Skylight and block light (levels 0-15) spread by flood fill
+ * Each chunk keeps one byte per block in Chunk.light: skylight in the high
+ * nibble, block light in the low nibble. A chunk's own light is computed when
+ * it is generated (computeChunkLight, run inside the chunk workers); the engine
+ * then spreads light across chunk borders and keeps it up to date as blocks
+ * change, removing and re-spreading only the light that is affected.
+ *
+ * Light passes through blocks according to their opacity: opaque blocks stop
+ * it, other blocks dim it by at least one level per block. Full skylight
+ * travels straight down through clear blocks without dimming.
+ */
+
+export const MAX_LIGHT = 15;
+
+const SKY = 4;   // Bit shift of the skylight nibble
+const BLOCK = 0; // Bit shift of the block light nibble
+
+// Neighbor offsets; index 3 is straight down
+const DIRECTIONS = [[1, 0, 0], [-1, 0, 0], [0, 1, 0], [0, -1, 0], [0, 0, 1], [0, 0, -1]];
+const DOWN = 3;
+
+/**
+ * Brightness of a light level, with a curve so that low levels fall off quickly
+ * @param {number} level - Light level (0-15)
+ * @returns {number} - Brightness (0.05 to 1)
+ */
+export function getLightBrightness(level) {
+    const ratio = level / MAX_LIGHT;
+    return 0.05 + 0.95 * ratio / (3 - 2 * ratio);
+}
+
+/**
+ * Light of a single chunk, ignoring its neighbors
+ * @param {Uint8Array} blocks - Block ids in Chunk layout
+ * @param {Object} size - Chunk dimensions {x, y, z}
+ * @param {Object} lightTable - {opacity, emission} indexed by block id
+ * @returns {Uint8Array} - Light in Chunk.light layout
+ */
+export function computeChunkLight(blocks, size, lightTable) {
+    const { opacity, emission } = lightTable;
+    const layer = size.x * size.z;
+    const light = new Uint8Array(blocks.length);
+
+    // Skylight falls down each column until something stops it
+    for (let column = 0; column < layer; column++) {
+        let level = MAX_LIGHT;
+        for (let y = size.y - 1; y >= 0 && level > 0; y--) {
+            const index = column + y * layer;
+            level = Math.max(0, nextLevel(level, opacity[blocks[index]], SKY, DOWN));
+            light[index] = level << SKY;
+        }
+    }
+
+    // Spread skylight sideways where a neighbor is darker than it should be
+    const skyQueue = [];
+    for (let index = 0; index < blocks.length; index++) {
+        const level = light[index] >> SKY;
+        if (level <= 1) continue;
+
+        const x = index % size.x;
+        const z = Math.floor(index / size.x) % size.z;
+        if ((x > 0 && (light[index - 1] >> SKY) < level - 1) ||
+            (x < size.x - 1 && (light[index + 1] >> SKY) < level - 1) ||
+            (z > 0 && (light[index - size.x] >> SKY) < level - 1) ||
+            (z < size.z - 1 && (light[index + size.x] >> SKY) < level - 1)) {
+            skyQueue.push(index);
+        }
+    }
+    spreadInChunk(light, blocks, size, opacity, skyQueue, SKY);
+
+    // Light emitting blocks
+    const blockQueue = [];
+    for (let index = 0; index < blocks.length; index++) {
+        const level = emission[blocks[index]];
+        if (level > 0) {
+            light[index] |= level;
+            blockQueue.push(index);
+        }
+    }
+    spreadInChunk(light, blocks, size, opacity, blockQueue, BLOCK);
+
+    return light;
+}
+
+/**
+ * Flood fill one light channel inside a chunk
+ * @private
+ */
+function spreadInChunk(light, blocks, size, opacity, queue, shift) {
+    const layer = size.x * size.z;
+
+    for (let head = 0; head < queue.length; head++) {
+        const index = queue[head];
+        const level = (light[index] >> shift) & 0xf;
+        if (level <= 1) continue;
+
+        const x = index % size.x;
+        const z = Math.floor(index / size.x) % size.z;
+        const y = Math.floor(index / layer);
+
+        for (let d = 0; d < 6; d++) {
+            const [dx, dy, dz] = DIRECTIONS[d];
+            const nx = x + dx;
+            const ny = y + dy;
+            const nz = z + dz;
+            if (nx < 0 || nx >= size.x || ny < 0 || ny >= size.y || nz < 0 || nz >= size.z) continue;
+
+            const neighbor = index + dx + dz * size.x + dy * layer;
+            const next = nextLevel(level, opacity[blocks[neighbor]], shift, d);
+            if (next > ((light[neighbor] >> shift) & 0xf)) {
+                light[neighbor] = (light[neighbor] & ~(0xf << shift)) | (next << shift);
+                queue.push(neighbor);
+            }
+        }
+    }
+}
+
+/**
+ * Level light has after moving into a block
+ * @private
+ */
+function nextLevel(level, blockOpacity, shift, direction) {
+    if (blockOpacity >= MAX_LIGHT) return 0;
+    if (shift === SKY && direction === DOWN && level === MAX_LIGHT && blockOpacity === 0) {
+        return MAX_LIGHT;
+    }
+    return level - Math.max(1, blockOpacity);
+}
+
+export class LightEngine {
+    /**
+     * @param {World} world - World whose chunks to light
+     */
+    constructor(world) {
+        this.world = world;
+        this.lightTable = null;
+    }
+
+    /**
+     * Set the block opacity and emission table
+     * @param {Object} lightTable - {opacity, emission} from ResourceManager.getBlockLightTable
+     */
+    setLightTable(lightTable) {
+        this.lightTable = lightTable;
+    }
+
+    /**
+     * Get the raw light byte at a world position
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} - Skylight << 4 | block light (full skylight above the world)
+     */
+    getLight(x, y, z) {
+        if (y >= this.world.chunkSize.y) return MAX_LIGHT << SKY;
+        if (y < 0) return 0;
+
+        const chunk = this.world.getChunkAt(x, z);
+        if (!chunk || !chunk.light) return 0;
+
+        return chunk.light[this.localIndex(chunk, x, y, z)];
+    }
+
+    /**
+     * Spread light between a newly loaded chunk and its loaded neighbors
+     * @param {Chunk} chunk - The new chunk, with its own light already computed
+     * @returns {Set} - Keys of chunks whose light changed
+     */
+    stitchChunk(chunk) {
+        const changed = new Set();
+        const size = this.world.chunkSize;
+        const layer = size.x * size.z;
+        const baseX = chunk.position.x * size.x;
+        const baseZ = chunk.position.z * size.z;
+
+        // Border cells on both sides of each shared edge, where light is uneven
+        const edges = [
+            { outside: [-1, 0], along: [0, 1], start: [0, 0] },
+            { outside: [1, 0], along: [0, 1], start: [size.x - 1, 0] },
+            { outside: [0, -1], along: [1, 0], start: [0, 0] },
+            { outside: [0, 1], along: [1, 0], start: [0, size.z - 1] }
+        ];
+
+        for (const shift of [SKY, BLOCK]) {
+            const queue = [];
+
+            for (const { outside, along, start } of edges) {
+                const neighbor = this.world.chunks.get(`${chunk.position.x + outside[0]},${chunk.position.z + outside[1]}`);
+                if (!neighbor || !neighbor.light) continue;
+
+                const length = along[0] ? size.x : size.z;
+                for (let i = 0; i < length; i++) {
+                    const x = start[0] + along[0] * i;
+                    const z = start[1] + along[1] * i;
+
+                    // Same cell position seen from the neighbor, on its far side
+                    const acrossX = (x + outside[0] + size.x) % size.x;
+                    const acrossZ = (z + outside[1] + size.z) % size.z;
+
+                    for (let y = 0; y < size.y; y++) {
+                        const inside = (chunk.light[x + z * size.x + y * layer] >> shift) & 0xf;
+                        const across = (neighbor.light[acrossX + acrossZ * size.x + y * layer] >> shift) & 0xf;
+
+                        if (inside > across + 1) {
+                            queue.push(baseX + x, y, baseZ + z);
+                        } else if (across > inside + 1) {
+                            queue.push(baseX + x + outside[0], y, baseZ + z + outside[1]);
+                        }
+                    }
+                }
+            }
+
+            this.spread(queue, shift, changed);
+        }
+
+        return changed;
+    }
+
+    /**
+     * Update light after the block at a position changed
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {Set} - Keys of chunks whose light changed
+     */
+    onBlockChanged(x, y, z) {
+        const changed = new Set();
+        const chunk = this.world.getChunkAt(x, z);
+        if (!chunk || !chunk.light || !this.lightTable) return changed;
+
+        const index = this.localIndex(chunk, x, y, z);
+        const id = chunk.blocks[index];
+
+        for (const shift of [SKY, BLOCK]) {
+            // Take away the light that passed through or came from this block...
+            const queue = [];
+            this.unspread(x, y, z, shift, queue, changed);
+
+            // ...then let it back in from everything around, and from the block itself
+            if (shift === BLOCK && this.lightTable.emission[id] > 0) {
+                this.setLevel(chunk, index, BLOCK, this.lightTable.emission[id], changed, x, z);
+                queue.push(x, y, z);
+            }
+            if (shift === SKY && y === this.world.chunkSize.y - 1) {
+                this.setLevel(chunk, index, SKY, Math.max(0, MAX_LIGHT - this.lightTable.opacity[id]), changed, x, z);
+                queue.push(x, y, z);
+            }
+            for (const [dx, dy, dz] of DIRECTIONS) {
+                queue.push(x + dx, y + dy, z + dz);
+            }
+
+            this.spread(queue, shift, changed);
+        }
+
+        return changed;
+    }
+
+    /**
+     * Flood fill one channel from queued world positions
+     * @param {Array} queue - Flat list of x, y, z
+     * @private
+     */
+    spread(queue, shift, changed) {
+        const { opacity } = this.lightTable;
+        const height = this.world.chunkSize.y;
+
+        for (let head = 0; head < queue.length; head += 3) {
+            const x = queue[head];
+            const y = queue[head + 1];
+            const z = queue[head + 2];
+
+            const level = (this.getLight(x, y, z) >> shift) & 0xf;
+            if (level <= 1) continue;
+
+            for (let d = 0; d < 6; d++) {
+                const [dx, dy, dz] = DIRECTIONS[d];
+                const nx = x + dx;
+                const ny = y + dy;
+                const nz = z + dz;
+                if (ny < 0 || ny >= height) continue;
+
+                const chunk = this.world.getChunkAt(nx, nz);
+                if (!chunk || !chunk.light) continue;
+
+                const index = this.localIndex(chunk, nx, ny, nz);
+                const next = nextLevel(level, opacity[chunk.blocks[index]], shift, d);
+
+                if (next > ((chunk.light[index] >> shift) & 0xf)) {
+                    this.setLevel(chunk, index, shift, next, changed, nx, nz);
+                    queue.push(nx, ny, nz);
+                }
+            }
+        }
+    }
+
+    /**
+     * Remove one channel's light that depends on a position
+     * Neighbors lit more brightly than the removed light have their own source;
+     * they are queued to fill the darkened area back in.
+     * @param {Array} refill - Receives positions to spread from afterwards
+     * @private
+     */
+    unspread(x, y, z, shift, refill, changed) {
+        const { emission } = this.lightTable;
+        const height = this.world.chunkSize.y;
+        const chunk = this.world.getChunkAt(x, z);
+        const index = this.localIndex(chunk, x, y, z);
+
+        const removal = [x, y, z, (chunk.light[index] >> shift) & 0xf];
+        this.setLevel(chunk, index, shift, 0, changed, x, z);
+
+        for (let head = 0; head < removal.length; head += 4) {
+            const cx = removal[head];
+            const cy = removal[head + 1];
+            const cz = removal[head + 2];
+            const level = removal[head + 3];
+
+            for (let d = 0; d < 6; d++) {
+                const [dx, dy, dz] = DIRECTIONS[d];
+                const nx = cx + dx;
+                const ny = cy + dy;
+                const nz = cz + dz;
+                if (ny < 0 || ny >= height) continue;
+
+                const neighborChunk = this.world.getChunkAt(nx, nz);
+                if (!neighborChunk || !neighborChunk.light) continue;
+
+                const neighborIndex = this.localIndex(neighborChunk, nx, ny, nz);
+                const neighborLevel = (neighborChunk.light[neighborIndex] >> shift) & 0xf;
+                if (neighborLevel === 0) continue;
+
+                const dependent = neighborLevel < level ||
+                    (shift === SKY && d === DOWN && level === MAX_LIGHT && neighborLevel === MAX_LIGHT);
+
+                if (dependent) {
+                    this.setLevel(neighborChunk, neighborIndex, shift, 0, changed, nx, nz);
+                    removal.push(nx, ny, nz, neighborLevel);
+
+                    // Light sources caught in the dark area shine again
+                    const glow = shift === BLOCK ? emission[neighborChunk.blocks[neighborIndex]] : 0;
+                    if (glow > 0) {
+                        this.setLevel(neighborChunk, neighborIndex, shift, glow, changed, nx, nz);
+                        refill.push(nx, ny, nz);
+                    }
+                } else {
+                    refill.push(nx, ny, nz);
+                }
+            }
+        }
+    }
+
+    /**
+     * Write one channel of a block's light and note the chunks that need remeshing
+     * @private
+     */
+    setLevel(chunk, index, shift, level, changed, x, z) {
+        const light = chunk.light[index];
+        if (((light >> shift) & 0xf) === level) return;
+
+        chunk.light[index] = (light & ~(0xf << shift)) | (level << shift);
+
+        // Faces of neighboring chunks that touch this block show its light too
+        for (const key of this.world.getChunkKeysAt(x, z)) {
+            changed.add(key);
+        }
+    }
+
+    /**
+     * Index of a world position inside a chunk's arrays
+     * @private
+     */
+    localIndex(chunk, x, y, z) {
+        const size = this.world.chunkSize;
+        return (x - chunk.position.x * size.x) + (z - chunk.position.z * size.z) * size.x + y * size.x * size.z;
+    }
+}
@@ -38,6 +38,8 @@ export class Sky {
         // Weather state
         this.currentWeather = 'clear';
         this.weatherIntensity = 0;
+        this.biomePrecipitation = 'rain'; // What falls in the player's biome: 'rain', 'snow' or 'none'
+        this.underground = false; // Whether the player is in a cave, out of the weather
         
         // Initialize sky and celestial objects
         this.init();
@@ -574,19 +576,7 @@ export class Sky {
         this.weatherIntensity = Math.max(0, Math.min(1, intensity));
         
         // Update visibility of weather effects
-        if (this.rain) {
-            this.rain.visible = type === 'rain';
-            if (this.rain.visible && this.rain.material) {
-                this.rain.material.opacity = 0.6 * this.weatherIntensity;
-            }
-        }
-        
-        if (this.snow) {
-            this.snow.visible = type === 'snow';
-            if (this.snow.visible && this.snow.material) {
-                this.snow.material.opacity = 0.8 * this.weatherIntensity;
-            }
-        }
+        this.updatePrecipitation();
         
         // Adjust fog density based on weather
         if (this.scene.fog) {
@@ -623,6 +613,53 @@ export class Sky {
         }
     }
     
+    /**
+     * Set the biome the player is in, which decides whether precipitation
+     * falls as rain or snow (or not at all, in dry biomes)
+     * @param {Object} biome - Biome definition from World.getBiomeAt
+     */
+    setBiome(biome) {
+        const precipitation = biome ? biome.precipitation : 'rain';
+        if (precipitation === this.biomePrecipitation) return;
+        
+        this.biomePrecipitation = precipitation;
+        this.updatePrecipitation();
+    }
+    
+    /**
+     * Set whether the player is underground in a cave, where no rain or snow falls
+     * @param {boolean} underground - Whether the player is in a cave (see World.isInCave)
+     */
+    setUnderground(underground) {
+        if (underground === this.underground) return;
+        
+        this.underground = underground;
+        this.updatePrecipitation();
+    }
+    
+    /**
+     * Show rain or snow for the current weather and biome
+     * 'rain' and 'snow' weather both mean precipitation; the biome picks its form.
+     * @private
+     */
+    updatePrecipitation() {
+        const type = this.currentWeather === 'clear' || this.underground ? 'none' : this.biomePrecipitation;
+        
+        if (this.rain) {
+            this.rain.visible = type === 'rain';
+            if (this.rain.visible && this.rain.material) {
+                this.rain.material.opacity = 0.6 * this.weatherIntensity;
+            }
+        }
+        
+        if (this.snow) {
+            this.snow.visible = type === 'snow';
+            if (this.snow.visible && this.snow.material) {
+                this.snow.material.opacity = 0.8 * this.weatherIntensity;
+            }
+        }
+    }
+    
     /**
      * Set the time of day
      * @param {number} time - Time in ticks (0-24000)
@@ -702,6 +739,17 @@ export class Sky {
         };
     }
     
+    /**
+     * Get how bright skylight currently is, for the light baked into terrain
+     * Follows the sun's height with a smooth dawn and dusk; nights keep some moonlight.
+     * @returns {number} - Daylight factor (0.2 at night to 1 at day)
+     */
+    getDaylight() {
+        const sunHeight = Math.sin((this.time / 24000) * Math.PI * 2);
+        const t = Math.min(1, Math.max(0, (sunHeight + 0.2) / 0.5));
+        return 0.2 + 0.8 * t * t * (3 - 2 * t);
+    }
+    
     /**
      * Clean up and dispose resources
      */
@@ -0,0 +1,756 @@
+/**
+ * StructureGenerator - Villages, ruins, dungeons and other built structures
+ * Like TerrainGenerator it has no THREE dependency, so it runs inside the chunk
+ * workers, and it only writes the part of a structure inside the chunk being
+ * generated.
+ *
+ * The world is divided into square cells per structure type, each of which may
+ * hold one structure that fits entirely inside it. The layout of a structure
+ * (its plan) is worked out from the seed and the terrain alone, so every chunk
+ * it covers arrives at the same plan whatever order chunks are generated in.
+ *
+ * Structures are assembled jigsaw style from pieces: block templates with
+ * connectors on their sides. Starting from one piece, each open connector draws
+ * a piece from its pool and attaches it by one of the new piece's connectors,
+ * turned to face back. Pieces that would overlap others, reach outside the
+ * structure or stand on unsuitable ground are dropped.
+ */
+import { MathUtils } from '../utils/MathUtils.js';
+
+// Horizontal directions as [x, z], in the order a quarter turn steps through them
+const FACINGS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+const FACING_NAMES = ['+x', '+z', '-x', '-z'];
+
+// Palette characters every piece understands; ' ' leaves the cell untouched
+const DEFAULT_PALETTE = {
+    '.': 'air',
+    'C': 'cobblestone',
+    'M': 'mossy_cobblestone',
+    'P': 'planks',
+    'W': 'wood',
+    'G': 'glass_pane',
+    'F': 'wood_fence',
+    'L': 'glowstone',
+    'S': 'stone_slab',
+    'T': 'torch',
+    '#': 'gravel',
+    '~': 'water',
+    'g': 'grass',
+    'd': 'dandelion',
+    'p': 'poppy'
+};
+
+/**
+ * Turn a position inside a piece by quarter turns
+ * A quarter turn takes +x to +z (see FACINGS).
+ * @param {number} x - X inside the unturned piece
+ * @param {number} z - Z inside the unturned piece
+ * @param {number} width - Size of the unturned piece along x
+ * @param {number} depth - Size of the unturned piece along z
+ * @param {number} rotation - Quarter turns (0-3)
+ * @returns {Array} - [x, z] inside the turned piece
+ */
+function rotatePoint(x, z, width, depth, rotation) {
+    for (let i = 0; i < rotation; i++) {
+        [x, z, width, depth] = [depth - 1 - z, x, depth, width];
+    }
+    return [x, z];
+}
+
+export class StructureGenerator {
+    /**
+     * @param {TerrainGenerator} terrain - Generator the structures are placed for;
+     *     supplies the seed, block ids and column heights
+     */
+    constructor(terrain) {
+        this.terrain = terrain;
+
+        this.pieces = new Map();     // Piece templates by key
+        this.pools = new Map();      // Piece pools by key
+        this.structures = new Map(); // Structure types by key
+        this.structureList = [];     // Structure types in placement order
+
+        // Plans already worked out, by structure type and cell
+        this.planCache = new Map();
+
+        this.definePieces();
+        this.definePools();
+        this.defineStructures();
+    }
+
+    /**
+     * Register a piece template
+     * @param {string} key - Unique piece key
+     * @param {Object} piece - Piece definition:
+     *   layers      - Bottom to top; each layer is a list of rows (z), each row a
+     *                 string of palette characters (x)
+     *   palette     - Extra or replaced characters (see DEFAULT_PALETTE). An entry
+     *                 is a block type name or {block | choices, chance, solid}:
+     *                 choices picks one of several blocks per cell, chance keeps
+     *                 only part of the cells (decay) and solid only replaces
+     *                 solid blocks, so caves running through stay open
+     *   connectors  - [{x, z, facing, pool}] on the bottom layer; facing is the
+     *                 side it opens to ('+x', '+z', '-x', '-z')
+     *   terrain     - 'rigid' (flat, at the height of its center) or 'follow'
+     *                 (each column laid on the surface, for paths)
+     *   ground      - Layers below the surface (default 0: the bottom layer
+     *                 replaces the surface block)
+     *   foundation  - Block filled in below the bottom layer down to the ground
+     *   maxSlope    - Largest height difference under the piece (default 2, 4 when following)
+     */
+    registerPiece(key, piece) {
+        if (this.pieces.has(key)) {
+            console.warn(`Structure piece ${key} is already registered`);
+            return;
+        }
+
+        const rows = piece.layers[0];
+        if (piece.layers.some(layer => layer.length !== rows.length || layer.some(row => row.length !== rows[0].length))) {
+            console.warn(`Structure piece ${key} has uneven layers`);
+            return;
+        }
+
+        const palette = {};
+        for (const [char, entry] of Object.entries({ ...DEFAULT_PALETTE, ...piece.palette })) {
+            palette[char] = typeof entry === 'string' ? { block: entry } : entry;
+        }
+
+        const connectors = (piece.connectors || []).map(connector => ({
+            ...connector,
+            facing: FACING_NAMES.indexOf(connector.facing)
+        }));
+        if (connectors.some(connector => connector.facing === -1)) {
+            console.warn(`Structure piece ${key} has a connector without a valid facing`);
+            return;
+        }
+
+        const terrain = piece.terrain || 'rigid';
+        this.pieces.set(key, {
+            ...piece,
+            key,
+            palette,
+            connectors,
+            terrain,
+            ground: piece.ground || 0,
+            maxSlope: piece.maxSlope !== undefined ? piece.maxSlope : (terrain === 'follow' ? 4 : 2),
+            sizeX: rows[0].length,
+            sizeY: piece.layers.length,
+            sizeZ: rows.length
+        });
+    }
+
+    /**
+     * Register a pool of pieces that connectors draw from
+     * @param {string} key - Unique pool key
+     * @param {Object} pool - {pieces: [[piece key, weight]], fallback: pool key used
+     *     once a structure has grown to its full depth}
+     */
+    registerPool(key, pool) {
+        if (this.pools.has(key)) {
+            console.warn(`Structure pool ${key} is already registered`);
+            return;
+        }
+        this.pools.set(key, { fallback: null, ...pool, key });
+    }
+
+    /**
+     * Register a structure type
+     * @param {string} key - Unique structure key
+     * @param {Object} structure - Structure definition:
+     *   spacing   - Size of the square cells, each holding at most one structure
+     *   chance    - Chance that a cell holds one
+     *   biomes    - Biome keys the start piece may stand in (null: any)
+     *   start     - Pool the first piece is drawn from
+     *   maxDepth  - Connector steps from the start; later steps use the fallback pools
+     *   maxPieces - Largest number of pieces
+     *   maxRadius - How far pieces may reach from the start
+     *   depth     - [min, max] y of underground structures (none: on the surface)
+     */
+    register(key, structure) {
+        if (this.structures.has(key)) {
+            console.warn(`Structure ${key} is already registered`);
+            return;
+        }
+
+        structure.key = key;
+        structure.index = this.structureList.length;
+        structure.maxDepth = structure.maxDepth || 0;
+        structure.maxPieces = structure.maxPieces || 1;
+        this.structures.set(key, structure);
+        this.structureList.push(structure);
+    }
+
+    /**
+     * Forget all plans, after the seed or sea level changed
+     */
+    clearCache() {
+        this.planCache.clear();
+    }
+
+    /**
+     * Define the built-in pieces
+     * @private
+     */
+    definePieces() {
+        // Village: a well on a square, gravel streets, houses, gardens and lamps
+        this.registerPiece('village/well', {
+            layers: [
+                ['CCCCC', 'CCCCC', 'CC~CC', 'CCCCC', 'CCCCC'],
+                ['.....', '.CCC.', '.C.C.', '.CCC.', '.....'],
+                ['.....', '.F.F.', '.....', '.F.F.', '.....'],
+                ['.....', '.F.F.', '.....', '.F.F.', '.....'],
+                ['.....', '.SSS.', '.SLS.', '.SSS.', '.....']
+            ],
+            connectors: [
+                { x: 2, z: 0, facing: '-z', pool: 'village/streets' },
+                { x: 4, z: 2, facing: '+x', pool: 'village/streets' },
+                { x: 2, z: 4, facing: '+z', pool: 'village/streets' },
+                { x: 0, z: 2, facing: '-x', pool: 'village/streets' }
+            ],
+            foundation: 'cobblestone'
+        });
+
+        this.registerPiece('village/street', {
+            layers: [
+                ['###', '###', '###', '###', '###', '###', '###', '###', '###']
+            ],
+            connectors: [
+                { x: 1, z: 0, facing: '-z', pool: 'village/streets' },
+                { x: 1, z: 8, facing: '+z', pool: 'village/streets' },
+                { x: 0, z: 2, facing: '-x', pool: 'village/houses' },
+                { x: 2, z: 2, facing: '+x', pool: 'village/houses' },
+                { x: 0, z: 6, facing: '-x', pool: 'village/houses' },
+                { x: 2, z: 6, facing: '+x', pool: 'village/houses' }
+            ],
+            terrain: 'follow'
+        });
+
+        this.registerPiece('village/lamp', {
+            layers: [['C'], ['F'], ['F'], ['L']],
+            connectors: [{ x: 0, z: 0, facing: '-z' }],
+            foundation: 'cobblestone'
+        });
+
+        this.registerPiece('village/house_small', {
+            layers: [
+                ['CCCCC', 'CPPPC', 'CPPPC', 'CPPPC', 'CCCCC'],
+                ['WCCCW', 'C...C', 'C...C', 'C...C', 'WC.CW'],
+                ['WCGCW', 'G...G', 'C...C', 'G...G', 'WC.CW'],
+                ['WPPPW', 'P...P', 'P...P', 'P...P', 'WPPPW'],
+                ['SSSSS', 'SSSSS', 'SSLSS', 'SSSSS', 'SSSSS']
+            ],
+            connectors: [{ x: 2, z: 4, facing: '+z' }],
+            foundation: 'cobblestone'
+        });
+
+        this.registerPiece('village/house_large', {
+            layers: [
+                ['CCCCCCC', 'CPPPPPC', 'CPPPPPC', 'CPPPPPC', 'CPPPPPC', 'CPPPPPC', 'CCCCCCC'],
+                ['WCCCCCW', 'C.....C', 'C.....C', 'C.....C', 'C.....C', 'C.....C', 'WCC.CCW'],
+                ['WCGCGCW', 'G.....G', 'C.....C', 'G.....G', 'C.....C', 'G.....G', 'WCC.CCW'],
+                ['WCCCCCW', 'C.....C', 'C.....C', 'C.....C', 'C.....C', 'C.....C', 'WCCCCCW'],
+                ['WPPPPPW', 'P.....P', 'P.....P', 'P.....P', 'P.....P', 'P.....P', 'WPPPPPW'],
+                ['SSSSSSS', 'SPPPPPS', 'SPPPPPS', 'SPPLPPS', 'SPPPPPS', 'SPPPPPS', 'SSSSSSS'],
+                ['.......', '.SSSSS.', '.SSSSS.', '.SSSSS.', '.SSSSS.', '.SSSSS.', '.......']
+            ],
+            connectors: [{ x: 3, z: 6, facing: '+z' }],
+            foundation: 'cobblestone'
+        });
+
+        this.registerPiece('village/garden', {
+            layers: [
+                ['ggggg', 'ggggg', 'ggggg', 'ggggg', 'ggggg'],
+                ['FFFFF', 'F.d.F', 'Fp.pF', 'F.d.F', 'FF.FF']
+            ],
+            connectors: [{ x: 2, z: 4, facing: '+z' }],
+            foundation: 'dirt'
+        });
+
+        // Ruins: what is left of old stone buildings
+        const rubble = ['cobblestone', 'cobblestone', 'mossy_cobblestone'];
+        const ruinPalette = {
+            'C': { choices: rubble },
+            'c': { choices: rubble, chance: 0.7 },
+            'x': { choices: rubble, chance: 0.35 },
+            'o': { choices: ['iron_ore', 'gold_ore'], chance: 0.5 }
+        };
+
+        this.registerPiece('ruins/house', {
+            layers: [
+                ['CCCCCCC', 'CCCCCCC', 'CCCCCCC', 'CCCoCCC', 'CCCCCCC', 'CCCCCCC', 'CCCCCCC'],
+                ['CcccccC', 'c.....c', 'c.....c', 'c.....c', 'c.....c', 'c.....c', 'Ccc.ccC'],
+                ['cxxxxxc', 'x.....x', 'x.....x', 'x.....x', 'x.....x', 'x.....x', 'cxx.xxc'],
+                ['x.....x', '.......', '.......', '.......', '.......', '.......', 'x.....x']
+            ],
+            palette: ruinPalette,
+            foundation: 'cobblestone'
+        });
+
+        this.registerPiece('ruins/tower', {
+            layers: [
+                ['CCCCC', 'CCCCC', 'CCoCC', 'CCCCC', 'CCCCC'],
+                ['CCCCC', 'C...C', 'C...C', 'C...C', 'CC.CC'],
+                ['CcccC', 'c...c', 'c...c', 'c...c', 'Cc.cC'],
+                ['cxcxc', 'x...x', 'c...c', 'x...x', 'cxcxc'],
+                ['x.x.x', '.....', 'x...x', '.....', 'x.x.x']
+            ],
+            palette: ruinPalette,
+            foundation: 'cobblestone'
+        });
+
+        // Dungeon: a room built into the rock, its walls broken where caves pass
+        this.registerPiece('dungeon/room', {
+            layers: [
+                ['mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm'],
+                ['mmmmmmmmm', 'mT.....Tm', 'm.......m', 'm.......m', 'm...o...m', 'm.......m', 'm.......m', 'mT.....Tm', 'mmmmmmmmm'],
+                ['mmmmmmmmm', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'mmmmmmmmm'],
+                ['mmmmmmmmm', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'mmmmmmmmm'],
+                ['mmmmmmmmm', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'm.......m', 'mmmmmmmmm'],
+                ['mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm', 'mmmmmmmmm']
+            ],
+            palette: {
+                'm': { choices: ['cobblestone', 'mossy_cobblestone'], solid: true },
+                'o': { choices: ['iron_ore', 'gold_ore', 'gold_ore', 'diamond_ore'] }
+            }
+        });
+    }
+
+    /**
+     * Define the built-in piece pools
+     * @private
+     */
+    definePools() {
+        this.registerPool('village/center', { pieces: [['village/well', 1]] });
+        this.registerPool('village/streets', { pieces: [['village/street', 1]], fallback: 'village/street_ends' });
+        this.registerPool('village/street_ends', { pieces: [['village/lamp', 1]] });
+        this.registerPool('village/houses', {
+            pieces: [['village/house_small', 4], ['village/house_large', 2], ['village/garden', 2]]
+        });
+
+        this.registerPool('ruins', { pieces: [['ruins/house', 2], ['ruins/tower', 1]] });
+        this.registerPool('dungeon', { pieces: [['dungeon/room', 1]] });
+    }
+
+    /**
+     * Define the built-in structure types
+     * Earlier types win: a surface structure is dropped where it would overlap
+     * one of an earlier type.
+     * @private
+     */
+    defineStructures() {
+        this.register('village', {
+            spacing: 256,
+            chance: 0.75,
+            biomes: ['plains', 'desert', 'snowy_tundra'],
+            start: 'village/center',
+            maxDepth: 3,
+            maxPieces: 40,
+            maxRadius: 56
+        });
+
+        this.register('ruins', {
+            spacing: 128,
+            chance: 0.35,
+            biomes: ['plains', 'forest', 'desert', 'jungle', 'snowy_tundra'],
+            start: 'ruins',
+            maxRadius: 8
+        });
+
+        this.register('dungeon', {
+            spacing: 64,
+            chance: 0.45,
+            biomes: null,
+            start: 'dungeon',
+            maxRadius: 8,
+            depth: [12, 40]
+        });
+    }
+
+    /**
+     * Write the parts of all structures inside a chunk
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Uint8Array} blocks - Chunk block data
+     * @param {Uint8Array} caveMask - Carved cells; dungeon rooms are marked as cave air
+     * @param {Array} heightMap - Surface height per column
+     */
+    placeStructures(chunkX, chunkZ, blocks, caveMask, heightMap) {
+        const size = this.terrain.chunkSize;
+        const minX = chunkX * size.x;
+        const minZ = chunkZ * size.z;
+        const maxX = minX + size.x - 1;
+        const maxZ = minZ + size.z - 1;
+
+        for (const structure of this.structureList) {
+            for (const plan of this.getPlansInArea(structure, minX, minZ, maxX, maxZ)) {
+                for (const placement of plan.pieces) {
+                    if (placement.maxX < minX || placement.minX > maxX ||
+                        placement.maxZ < minZ || placement.minZ > maxZ) continue;
+
+                    this.writePiece(placement, !!structure.depth, chunkX, chunkZ, blocks, caveMask, heightMap);
+                }
+            }
+        }
+    }
+
+    /**
+     * Check whether a surface structure stands on or near a column, so trees
+     * are kept out of it
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {number} margin - How far around the column to look
+     * @returns {boolean} - Whether a piece covers the area
+     */
+    isOccupied(worldX, worldZ, margin = 0) {
+        const minX = worldX - margin;
+        const minZ = worldZ - margin;
+        const maxX = worldX + margin;
+        const maxZ = worldZ + margin;
+
+        return this.structureList.some(structure => !structure.depth &&
+            this.getPlansInArea(structure, minX, minZ, maxX, maxZ).some(plan =>
+                plan.pieces.some(placement =>
+                    placement.minX <= maxX && placement.maxX >= minX &&
+                    placement.minZ <= maxZ && placement.maxZ >= minZ)));
+    }
+
+    /**
+     * Get the plans of a structure type reaching into an area
+     * @returns {Array} - Plans {structure, pieces, minX, minZ, maxX, maxZ}
+     * @private
+     */
+    getPlansInArea(structure, minX, minZ, maxX, maxZ) {
+        const plans = [];
+        for (let cellZ = Math.floor(minZ / structure.spacing); cellZ <= Math.floor(maxZ / structure.spacing); cellZ++) {
+            for (let cellX = Math.floor(minX / structure.spacing); cellX <= Math.floor(maxX / structure.spacing); cellX++) {
+                const plan = this.getPlan(structure, cellX, cellZ);
+                if (plan && plan.minX <= maxX && plan.maxX >= minX && plan.minZ <= maxZ && plan.maxZ >= minZ) {
+                    plans.push(plan);
+                }
+            }
+        }
+        return plans;
+    }
+
+    /**
+     * Get the plan of a structure cell
+     * @returns {Object|null} - Plan, or null if the cell holds no structure
+     * @private
+     */
+    getPlan(structure, cellX, cellZ) {
+        const key = `${structure.key}:${cellX},${cellZ}`;
+
+        if (!this.planCache.has(key)) {
+            // A chunk touches few cells; keep the cache from growing without bound
+            if (this.planCache.size > 256) {
+                this.planCache.clear();
+            }
+            this.planCache.set(key, this.createPlan(structure, cellX, cellZ));
+        }
+
+        return this.planCache.get(key);
+    }
+
+    /**
+     * Decide whether a cell holds a structure, and assemble its pieces
+     * @private
+     */
+    createPlan(structure, cellX, cellZ) {
+        const terrain = this.terrain;
+        const random = MathUtils.createRandomGenerator(
+            Math.floor(MathUtils.hashCoords(terrain.seed, cellX, 0x5700 + structure.index, cellZ) * 4294967296));
+
+        if (random() >= structure.chance) return null;
+
+        // Keep the structure inside its cell so cells never share blocks
+        const margin = structure.maxRadius + 1;
+        const originX = cellX * structure.spacing + margin + Math.floor(random() * (structure.spacing - margin * 2));
+        const originZ = cellZ * structure.spacing + margin + Math.floor(random() * (structure.spacing - margin * 2));
+
+        // Columns are sampled many times while fitting pieces
+        const columns = new Map();
+        const getColumn = (x, z) => {
+            const columnKey = `${x},${z}`;
+            if (!columns.has(columnKey)) {
+                columns.set(columnKey, terrain.getColumn(x, z));
+            }
+            return columns.get(columnKey);
+        };
+
+        if (structure.biomes && !structure.biomes.includes(getColumn(originX, originZ).biome.key)) return null;
+
+        const depthY = structure.depth
+            ? structure.depth[0] + Math.floor(random() * (structure.depth[1] - structure.depth[0] + 1))
+            : 0;
+
+        const plan = { structure, pieces: [], originX, originZ };
+        const fits = placement => this.fitPlacement(plan, placement, getColumn, depthY);
+
+        // Start piece, centered on the origin
+        const startPiece = this.drawPieces(this.pools.get(structure.start), random)[0];
+        const rotation = Math.floor(random() * 4);
+        const [sizeX, sizeZ] = rotation % 2 ? [startPiece.sizeZ, startPiece.sizeX] : [startPiece.sizeX, startPiece.sizeZ];
+        const start = this.createPlacement(startPiece, rotation,
+            originX - Math.floor(sizeX / 2), originZ - Math.floor(sizeZ / 2));
+        if (!fits(start)) return null;
+
+        // Grow breadth first, so streets spread evenly before the depth runs out
+        const open = [];
+        const addPiece = (placement, usedConnector, depth) => {
+            plan.pieces.push(placement);
+            placement.piece.connectors.forEach((connector, index) => {
+                if (index !== usedConnector && connector.pool) {
+                    open.push({ ...this.getConnector(placement, connector), depth });
+                }
+            });
+        };
+        addPiece(start, -1, 0);
+
+        while (open.length > 0 && plan.pieces.length < structure.maxPieces) {
+            const connector = open.shift();
+            let pool = this.pools.get(connector.pool);
+            const final = connector.depth >= structure.maxDepth;
+            if (final && pool && pool.fallback) {
+                pool = this.pools.get(pool.fallback);
+            }
+            if (!pool) continue;
+
+            // At full depth only pieces that open no further connectors
+            const candidates = this.drawPieces(pool, random).filter(piece => !final || piece.connectors.length <= 1);
+            for (const placement of this.getAttachments(connector, candidates, random)) {
+                if (fits(placement.placement)) {
+                    addPiece(placement.placement, placement.connector, connector.depth + 1);
+                    break;
+                }
+            }
+        }
+
+        // Surface structures of earlier types keep their ground
+        const bounds = {
+            minX: Math.min(...plan.pieces.map(placement => placement.minX)),
+            minZ: Math.min(...plan.pieces.map(placement => placement.minZ)),
+            maxX: Math.max(...plan.pieces.map(placement => placement.maxX)),
+            maxZ: Math.max(...plan.pieces.map(placement => placement.maxZ))
+        };
+        if (!structure.depth) {
+            for (const other of this.structureList.slice(0, structure.index)) {
+                if (other.depth) continue;
+                if (this.getPlansInArea(other, bounds.minX, bounds.minZ, bounds.maxX, bounds.maxZ).length > 0) return null;
+            }
+        }
+
+        return { ...plan, ...bounds };
+    }
+
+    /**
+     * Draw the pieces of a pool in a seeded order, heavier ones more likely first
+     * @param {Object} pool - Piece pool
+     * @param {Function} random - Seeded random generator
+     * @returns {Array} - Piece templates
+     * @private
+     */
+    drawPieces(pool, random) {
+        const remaining = pool.pieces.filter(([key]) => {
+            if (this.pieces.has(key)) return true;
+            console.warn(`Structure piece ${key} not found`);
+            return false;
+        });
+        const drawn = [];
+
+        while (remaining.length > 0) {
+            let roll = random() * remaining.reduce((sum, [, weight]) => sum + weight, 0);
+            let index = 0;
+            while (index < remaining.length - 1 && (roll -= remaining[index][1]) >= 0) {
+                index++;
+            }
+            drawn.push(this.pieces.get(remaining[index][0]));
+            remaining.splice(index, 1);
+        }
+
+        return drawn;
+    }
+
+    /**
+     * List the ways candidate pieces can attach to an open connector
+     * Each piece tries its connectors in a seeded order, turned to face the open one.
+     * @param {Object} open - Open connector {x, z, facing} in world coordinates
+     * @param {Array} candidates - Piece templates, in the order to try them
+     * @param {Function} random - Seeded random generator
+     * @returns {Array} - [{placement, connector: index of the joining connector}]
+     * @private
+     */
+    getAttachments(open, candidates, random) {
+        const [fx, fz] = FACINGS[open.facing];
+        const attachments = [];
+
+        for (const piece of candidates) {
+            const order = [...piece.connectors.keys()];
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+
+            for (const index of order) {
+                const connector = piece.connectors[index];
+                const rotation = (open.facing + 2 - connector.facing + 4) % 4;
+                const [x, z] = rotatePoint(connector.x, connector.z, piece.sizeX, piece.sizeZ, rotation);
+
+                // The joining connector sits in the cell the open one faces
+                attachments.push({
+                    placement: this.createPlacement(piece, rotation, open.x + fx - x, open.z + fz - z),
+                    connector: index
+                });
+            }
+        }
+
+        return attachments;
+    }
+
+    /**
+     * Place a piece template in the world
+     * @param {Object} piece - Piece template
+     * @param {number} rotation - Quarter turns
+     * @param {number} x - World X of the corner with the lowest coordinates
+     * @param {number} z - World Z of that corner
+     * @returns {Object} - Placement {piece, rotation, y, minX, minZ, maxX, maxZ}
+     * @private
+     */
+    createPlacement(piece, rotation, x, z) {
+        const [sizeX, sizeZ] = rotation % 2 ? [piece.sizeZ, piece.sizeX] : [piece.sizeX, piece.sizeZ];
+        return { piece, rotation, y: 0, minX: x, minZ: z, maxX: x + sizeX - 1, maxZ: z + sizeZ - 1 };
+    }
+
+    /**
+     * Get a connector of a placed piece in world coordinates
+     * @returns {Object} - {x, z, facing, pool}
+     * @private
+     */
+    getConnector(placement, connector) {
+        const { piece, rotation } = placement;
+        const [x, z] = rotatePoint(connector.x, connector.z, piece.sizeX, piece.sizeZ, rotation);
+        return {
+            x: placement.minX + x,
+            z: placement.minZ + z,
+            facing: (connector.facing + rotation) % 4,
+            pool: connector.pool
+        };
+    }
+
+    /**
+     * Check whether a placement fits into a plan and its ground, and work out
+     * its height: clear of the other pieces, within reach of the start, on land
+     * that is flat enough (or, underground, with enough rock above)
+     * @param {Object} plan - Plan being assembled
+     * @param {Object} placement - Placement to check; its y is set when it fits
+     * @param {Function} getColumn - (x, z) => {height, waterLevel}
+     * @param {number} depthY - Floor height of underground structures
+     * @returns {boolean} - Whether the piece can be placed
+     * @private
+     */
+    fitPlacement(plan, placement, getColumn, depthY) {
+        const { structure } = plan;
+        const { piece, minX, minZ, maxX, maxZ } = placement;
+
+        const radius = structure.maxRadius;
+        if (minX < plan.originX - radius || maxX > plan.originX + radius ||
+            minZ < plan.originZ - radius || maxZ > plan.originZ + radius) return false;
+
+        if (plan.pieces.some(other => other.minX <= maxX && other.maxX >= minX &&
+            other.minZ <= maxZ && other.maxZ >= minZ)) return false;
+
+        const centerX = Math.floor((minX + maxX) / 2);
+        const centerZ = Math.floor((minZ + maxZ) / 2);
+        const samples = [[minX, minZ], [maxX, minZ], [minX, maxZ], [maxX, maxZ], [centerX, centerZ]]
+            .map(([x, z]) => getColumn(x, z));
+
+        if (structure.depth) {
+            // Buried under at least a few blocks of rock
+            placement.y = depthY;
+            return samples.every(column => column.height >= depthY + piece.sizeY + 3);
+        }
+
+        if (samples.some(column => column.height < column.waterLevel)) return false;
+
+        const heights = samples.map(column => column.height);
+        if (Math.max(...heights) - Math.min(...heights) > piece.maxSlope) return false;
+
+        placement.y = samples[4].height - piece.ground;
+        return true;
+    }
+
+    /**
+     * Write the part of a placed piece inside a chunk
+     * @param {Object} placement - Placement (see createPlacement)
+     * @param {boolean} underground - Whether air it leaves counts as cave air
+     * @private
+     */
+    writePiece(placement, underground, chunkX, chunkZ, blocks, caveMask, heightMap) {
+        const { piece, rotation } = placement;
+        const size = this.terrain.chunkSize;
+        const layer = size.x * size.z;
+        const offsetX = placement.minX - chunkX * size.x;
+        const offsetZ = placement.minZ - chunkZ * size.z;
+        const water = this.terrain.getBlockId('water');
+        const foundation = piece.foundation ? this.terrain.getBlockId(piece.foundation) : 0;
+
+        for (let ly = 0; ly < piece.sizeY; ly++) {
+            for (let lz = 0; lz < piece.sizeZ; lz++) {
+                const row = piece.layers[ly][lz];
+                for (let lx = 0; lx < piece.sizeX; lx++) {
+                    const char = row[lx];
+                    if (char === ' ') continue;
+
+                    const [rx, rz] = rotatePoint(lx, lz, piece.sizeX, piece.sizeZ, rotation);
+                    const x = offsetX + rx;
+                    const z = offsetZ + rz;
+                    if (x < 0 || x >= size.x || z < 0 || z >= size.z) continue;
+
+                    const y = piece.terrain === 'follow'
+                        ? heightMap[x][z] + ly - piece.ground
+                        : placement.y + ly;
+                    if (y < 1 || y >= size.y) continue;
+
+                    const entry = piece.palette[char];
+                    if (!entry) {
+                        console.warn(`Structure piece ${piece.key} uses unknown character '${char}'`);
+                        continue;
+                    }
+
+                    const worldX = placement.minX + rx;
+                    const worldZ = placement.minZ + rz;
+                    this.writeBlock(blocks, caveMask, x + z * size.x + y * layer, entry, worldX, y, worldZ, underground, water);
+
+                    // Hold the piece up where the ground falls away beneath it
+                    if (ly === 0 && foundation && char !== '.') {
+                        for (let fy = y - 1; fy > Math.max(0, y - 9); fy--) {
+                            const index = x + z * size.x + fy * layer;
+                            if (blocks[index] !== 0 && blocks[index] !== water) break;
+                            blocks[index] = foundation;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Write one palette entry into a cell
+     * Chance and choice rolls are seeded by the world position.
+     * @private
+     */
+    writeBlock(blocks, caveMask, index, entry, worldX, y, worldZ, underground, water) {
+        const seed = this.terrain.seed;
+        if (entry.chance !== undefined && MathUtils.hashCoords(seed, worldX, 0x1000 + y, worldZ) >= entry.chance) return;
+        if (entry.solid && (blocks[index] === 0 || blocks[index] === water)) return;
+
+        const block = entry.choices
+            ? entry.choices[Math.floor(MathUtils.hashCoords(seed, worldX, 0x2000 + y, worldZ) * entry.choices.length)]
+            : entry.block;
+        const id = this.terrain.getBlockId(block);
+        blocks[index] = id;
+
+        if (id === 0 && underground) {
+            caveMask[index >> 3] |= 1 << (index & 7);
+        }
+    }
+}
@@ -0,0 +1,1279 @@
+/**
+ * TerrainGenerator - Produces the block data of a chunk from the world seed
+ * Has no dependency on THREE or the ResourceManager so it can run inside a
+ * Web Worker; block types are resolved through a plain name => id table.
+ */
+import { SimplexNoise } from '../utils/SimplexNoise.js';
+import { MathUtils } from '../utils/MathUtils.js';
+import { BiomeRegistry } from './BiomeRegistry.js';
+import { StructureGenerator } from './StructureGenerator.js';
+import { DEFAULT_NOISE, NO_SURFACE_RULE, resolvePreset } from './WorldPresets.js';
+
+// Biomes are sampled on a coarse grid and averaged over a window of grid
+// nodes, so terrain heights blend smoothly across biome borders
+const BIOME_GRID = 4;
+const BIOME_BLEND_RADIUS = 2;
+
+export class TerrainGenerator {
+    /**
+     * @param {Object} options - Generator options
+     * @param {number} options.seed - World seed
+     * @param {Object} options.chunkSize - Chunk dimensions {x, y, z}
+     * @param {Object} options.blockIds - Map of block type name => numeric id
+     * @param {number} options.seaLevel - Height up to which low terrain fills with water
+     *     (default: the preset's)
+     * @param {Object} options.preset - World preset (see WorldPresets.resolvePreset; default world if omitted)
+     * @param {Object} options.heightmap - Decoded images of a heightmap preset (see
+     *     HeightmapLoader.load); without them the preset's heightmap is ignored
+     */
+    constructor(options) {
+        this.chunkSize = options.chunkSize;
+        this.blockIds = options.blockIds;
+        this.preset = resolvePreset(options.preset, Object.keys(this.blockIds));
+        this.seaLevel = options.seaLevel !== undefined ? options.seaLevel : this.preset.seaLevel;
+
+        this.seed = options.seed;
+        this.noise = new SimplexNoise(this.seed);
+        this.noiseGenerators = this.initNoiseGenerators();
+        this.biomes = new BiomeRegistry();
+
+        // Biome changes of the preset; a single-biome world skips the climate noise
+        for (const [key, settings] of Object.entries(this.preset.biomes)) {
+            Object.assign(this.biomes.get(key), settings);
+        }
+        this.fixedBiome = this.preset.biome ? this.biomes.get(this.preset.biome) : null;
+
+        // Terrain height range
+        this.terrainHeightMin = this.preset.heightMin;
+        this.terrainHeightMax = this.preset.heightMax;
+
+        // Flat worlds: block type name by height
+        this.flatLayers = this.preset.layers
+            ? this.preset.layers.flatMap(({ block, height }) => new Array(height).fill(block))
+            : null;
+
+        // Heightmap worlds: heights and surface rules read from images
+        this.heightmap = this.preset.heightmap && options.heightmap ? options.heightmap : null;
+        this.surfaceRules = this.heightmap
+            ? Object.values(this.preset.heightmap.surfaceColors).map(rule => {
+                const { block = null, biome = null } = typeof rule === 'string' ? { block: rule } : rule;
+                return { block, biome: biome && this.biomes.get(biome) };
+            })
+            : [];
+
+        // Structure templates
+        this.structures = {
+            trees: {
+                oak: this.createTreeTemplate(),
+                birch: this.createBirchTemplate(),
+                spruce: this.createSpruceTemplate(),
+                jungle: this.createJungleTemplate(),
+                cactus: this.createCactusTemplate()
+            },
+            cave: this.createCaveTemplate(),
+            ores: this.createOreTemplates(),
+            lake: this.createLakeTemplate()
+        };
+
+        // Trees rooted this far outside a chunk can still reach into it
+        this.treeReach = Math.max(...Object.values(this.structures.trees).map(tree => tree.radius));
+        this.maxTreeDensity = Math.max(...this.biomes.biomeList.map(biome => biome.treeDensity));
+
+        // Bedrock fills y = 0 and thins out randomly up to this height
+        this.bedrockHeight = 4;
+
+        // Lakes already worked out per lake cell, by cell key
+        this.lakeCache = new Map();
+
+        // Villages, ruins and dungeons
+        this.structureGenerator = new StructureGenerator(this);
+    }
+
+    /**
+     * Set the world seed and reseed all noise generators
+     * @param {number} seed - New world seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.noise.setSeed(seed);
+        this.lakeCache.clear();
+        this.structureGenerator.clearCache();
+    }
+
+    /**
+     * Set the height up to which low terrain fills with water
+     * @param {number} seaLevel - Sea level
+     */
+    setSeaLevel(seaLevel) {
+        this.seaLevel = seaLevel;
+        this.lakeCache.clear();
+        this.structureGenerator.clearCache();
+    }
+
+    /**
+     * Initialize all noise generators for terrain
+     * @private
+     */
+    initNoiseGenerators() {
+        // Default settings with the preset's changes, copied so presets never alter the defaults
+        const generators = {};
+        for (const [name, settings] of Object.entries(DEFAULT_NOISE)) {
+            generators[name] = { ...settings, ...this.preset.noise[name] };
+        }
+        return generators;
+    }
+
+    /**
+     * Create the oak tree template
+     * Tree templates describe one tree species:
+     *   trunk    - [min, max] trunk height; each tree picks its own from its seed
+     *   radius   - How far leaves reach sideways from the trunk, and at most above it
+     *   getBlock - (x, y, z, trunkHeight) => block type at a position relative to
+     *              the bottom of the trunk, or 'air'
+     * @private
+     */
+    createTreeTemplate() {
+        return {
+            trunk: [4, 5],
+            radius: 2,
+            getBlock: (x, y, z, trunkHeight) => {
+                // Trunk
+                if (x === 0 && z === 0 && y < trunkHeight) {
+                    return 'wood';
+                }
+
+                // Round canopy around the top of the trunk
+                const distance = Math.sqrt(x * x + (y - trunkHeight) * (y - trunkHeight) + z * z);
+                return distance <= 2.5 && y >= trunkHeight - 2 ? 'leaves' : 'air';
+            }
+        };
+    }
+
+    /**
+     * Create the birch tree template: taller and slimmer than oak (see createTreeTemplate)
+     * @private
+     */
+    createBirchTemplate() {
+        return {
+            trunk: [5, 7],
+            radius: 2,
+            getBlock: (x, y, z, trunkHeight) => {
+                if (x === 0 && z === 0 && y < trunkHeight) {
+                    return 'birch_wood';
+                }
+
+                // Canopy stretched upwards, trimmed at the corners
+                const dy = (y - trunkHeight) / 1.5;
+                const distance = Math.sqrt(x * x + dy * dy + z * z);
+                return distance <= 2.2 && y >= trunkHeight - 3 && y <= trunkHeight + 2 ? 'leaves' : 'air';
+            }
+        };
+    }
+
+    /**
+     * Create the spruce tree template: a cone of layered needles (see createTreeTemplate)
+     * @private
+     */
+    createSpruceTemplate() {
+        return {
+            trunk: [6, 9],
+            radius: 3,
+            getBlock: (x, y, z, trunkHeight) => {
+                if (x === 0 && z === 0 && y < trunkHeight) {
+                    return 'spruce_wood';
+                }
+
+                // Rings that widen towards the bottom, every other one pulled in
+                const fromTop = trunkHeight - y;
+                if (y < 2 || fromTop < 0) return 'air';
+                const ring = fromTop === 0 ? 0 : Math.min(3, Math.ceil(fromTop / 2)) - (fromTop % 2 === 0 ? 1 : 0);
+                const ax = Math.abs(x);
+                const az = Math.abs(z);
+                return Math.max(ax, az) <= ring && ax + az <= ring + (ring > 1 ? 1 : 0) ? 'spruce_leaves' : 'air';
+            }
+        };
+    }
+
+    /**
+     * Create the jungle tree template: a tall trunk under a wide, flat canopy
+     * (see createTreeTemplate)
+     * @private
+     */
+    createJungleTemplate() {
+        return {
+            trunk: [8, 12],
+            radius: 3,
+            getBlock: (x, y, z, trunkHeight) => {
+                if (x === 0 && z === 0 && y < trunkHeight) {
+                    return 'jungle_wood';
+                }
+
+                const dy = y - trunkHeight;
+                const distance = (x * x + z * z) / 10 + (dy * dy) / 3;
+                return distance <= 1 && dy >= -1 ? 'jungle_leaves' : 'air';
+            }
+        };
+    }
+
+    /**
+     * Create the cactus template: a bare column (see createTreeTemplate)
+     * @private
+     */
+    createCactusTemplate() {
+        return {
+            trunk: [1, 3],
+            radius: 0,
+            getBlock: (x, y, z, trunkHeight) => (y < trunkHeight ? 'cactus' : 'air')
+        };
+    }
+
+    /**
+     * Create a cave structure template
+     * @private
+     */
+    createCaveTemplate() {
+        return {
+            // Using 3D noise for cave generation
+            // This will be used in the chunk generation process
+            threshold: 0.55, // Value at which a block becomes air in a cave
+            minY: 5,         // Nothing is carved below this height
+            surfaceMargin: 6, // Noise caves stay this far below the surface
+
+            // Worm tunnels wander from a start point in some chunks
+            worm: {
+                chance: 0.25,       // Chance that a chunk starts a tunnel
+                length: [60, 140],  // Steps (blocks) per tunnel
+                radius: [1.5, 3.5], // Tunnel radius at its widest
+                startY: [12, 64],   // Start height
+                verticalScale: 1    // Cross-section height relative to width
+            },
+
+            // Ravines are rarer, longer, flatter and much taller worms
+            ravine: {
+                chance: 0.02,
+                length: [80, 160],
+                radius: [1.5, 3],
+                startY: [24, 56],
+                verticalScale: 4
+            }
+        };
+    }
+
+    /**
+     * Look up the numeric id of a block type
+     * @param {string} name - Block type name
+     * @returns {number} - Block id (air if unknown)
+     */
+    getBlockId(name) {
+        const id = this.blockIds[name];
+        if (id === undefined) {
+            console.warn(`Block type ${name} not found`);
+            return 0;
+        }
+        return id;
+    }
+
+    /**
+     * Generate the block data of a single chunk
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @returns {Object} - {blocks: block ids in Chunk layout, caveMask: carved cells (see Chunk)}
+     */
+    generateChunk(chunkX, chunkZ) {
+        const size = this.chunkSize;
+        const blocks = new Uint8Array(size.x * size.y * size.z);
+        const caveMask = new Uint8Array(Math.ceil(blocks.length / 8));
+        const chunkWorldX = chunkX * size.x;
+        const chunkWorldZ = chunkZ * size.z;
+
+        // Biomes and heightmap for this chunk
+        const biomeMap = this.generateBiomeMap(chunkX, chunkZ);
+        const heightMap = this.generateHeightMap(chunkX, chunkZ, biomeMap);
+        const waterMap = this.generateWaterMap(chunkX, chunkZ, heightMap);
+
+        const features = this.preset.features;
+
+        // Create blocks based on height map
+        for (let x = 0; x < size.x; x++) {
+            for (let z = 0; z < size.z; z++) {
+                const worldX = chunkWorldX + x;
+                const worldZ = chunkWorldZ + z;
+
+                // Get height and biome at this position
+                const height = heightMap[x][z];
+                const biome = biomeMap.biomes[x + z * size.x];
+                const waterLevel = waterMap[x + z * size.x];
+
+                // Columns at or just above the water line become sandy shore
+                const shore = height <= waterLevel + 1;
+
+                // Floating islands hang over the void
+                const bottom = this.preset.islands && height >= 0 ? this.getIslandBottom(worldX, worldZ, height) : 0;
+
+                // Painted surface blocks replace the biome's
+                const rule = this.heightmap ? this.getSurfaceRule(worldX, worldZ) : null;
+                const surfaceBlock = rule && rule.block;
+
+                // Generate blocks up to the height
+                for (let y = bottom; y <= height; y++) {
+                    const blockType = this.flatLayers
+                        ? this.flatLayers[y]
+                        : y === height && surfaceBlock
+                            ? surfaceBlock
+                            : this.determineBlockType(worldX, y, worldZ, height, biome, shore);
+
+                    // Skip air blocks
+                    if (blockType === 'air') {
+                        continue;
+                    }
+
+                    // Store block data
+                    blocks[x + z * size.x + y * size.x * size.z] = this.getBlockId(blockType);
+                }
+            }
+        }
+
+        // Ore veins first, so caves expose them
+        if (features.ores) {
+            this.placeOres(chunkX, chunkZ, blocks);
+        }
+
+        // Hollow out caves, tunnels and ravines
+        if (features.caves) {
+            this.carveNoiseCaves(chunkX, chunkZ, blocks, caveMask, heightMap);
+            this.carveTunnels(chunkX, chunkZ, blocks, caveMask);
+        }
+
+        // Flood everything below the water line, including caves open to the sky
+        this.fillWater(blocks, heightMap, waterMap);
+
+        // Villages, ruins and dungeons, before trees so trees keep clear of them
+        if (features.structures) {
+            this.structureGenerator.placeStructures(chunkX, chunkZ, blocks, caveMask, heightMap);
+        }
+
+        // Trees, including the parts of trees rooted in neighboring chunks
+        if (features.trees) {
+            this.placeTrees(chunkX, chunkZ, blocks, heightMap, biomeMap, waterMap);
+        }
+
+        // Tall grass and flowers on the grass left open to the sky
+        if (features.plants) {
+            this.placePlants(chunkX, chunkZ, blocks, heightMap, biomeMap);
+        }
+
+        return { blocks, caveMask };
+    }
+
+    /**
+     * Create inland lake settings
+     * The world is divided into square cells, each of which may hold one lake
+     * that fits entirely inside it.
+     * @returns {Object} - Lake settings
+     * @private
+     */
+    createLakeTemplate() {
+        return {
+            cellSize: 64,        // Blocks per lake cell side
+            chance: 0.35,        // Chance that a cell has a lake
+            radius: [6, 14],     // Lake radius range
+            depth: [3, 6],       // Depth at the center
+            biomes: ['plains', 'forest', 'desert', 'snowy_tundra', 'jungle']
+        };
+    }
+
+    /**
+     * Create ore vein settings
+     * @returns {Array} - Ore settings, rarest last
+     * @private
+     */
+    createOreTemplates() {
+        return [
+            // block:        Block type that replaces stone
+            // minY, maxY:   Height range of vein centers
+            // veinSize:     Blocks per vein
+            // veinsPerChunk: Vein attempts per chunk
+            { block: 'coal_ore', minY: 5, maxY: 128, veinSize: 12, veinsPerChunk: 20 },
+            { block: 'iron_ore', minY: 5, maxY: 64, veinSize: 8, veinsPerChunk: 16 },
+            { block: 'gold_ore', minY: 5, maxY: 32, veinSize: 7, veinsPerChunk: 3 },
+            { block: 'diamond_ore', minY: 5, maxY: 16, veinSize: 5, veinsPerChunk: 1 }
+        ];
+    }
+
+    /**
+     * Place ore veins into the stone of a chunk
+     * Each chunk seeds its own generator, so a chunk always gets the same ores
+     * no matter in which order chunks are generated.
+     * @private
+     */
+    placeOres(chunkX, chunkZ, blocks) {
+        const size = this.chunkSize;
+        const layer = size.x * size.z;
+        const stone = this.getBlockId('stone');
+        const random = MathUtils.createRandomGenerator(
+            Math.floor(MathUtils.hashCoords(this.seed, chunkX, 0x0de, chunkZ) * 4294967296));
+
+        for (const ore of this.structures.ores) {
+            const id = this.getBlockId(ore.block);
+
+            for (let vein = 0; vein < ore.veinsPerChunk; vein++) {
+                let x = Math.floor(random() * size.x);
+                let y = ore.minY + Math.floor(random() * (ore.maxY - ore.minY + 1));
+                let z = Math.floor(random() * size.z);
+
+                // Random walk from the vein center, converting stone it passes through
+                for (let placed = 0; placed < ore.veinSize; placed++) {
+                    if (x >= 0 && x < size.x && y >= 0 && y < size.y && z >= 0 && z < size.z) {
+                        const index = x + z * size.x + y * layer;
+                        if (blocks[index] === stone) {
+                            blocks[index] = id;
+                        }
+                    }
+
+                    const step = Math.floor(random() * 6);
+                    if (step === 0) x++;
+                    else if (step === 1) x--;
+                    else if (step === 2) y++;
+                    else if (step === 3) y--;
+                    else if (step === 4) z++;
+                    else z--;
+                }
+            }
+        }
+    }
+
+    /**
+     * Work out the water level of each column and dig lake basins
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Array} heightMap - Heights from generateHeightMap, lowered where lakes are
+     * @returns {Int16Array} - Water level per column (index x + z * size.x)
+     * @private
+     */
+    generateWaterMap(chunkX, chunkZ, heightMap) {
+        const size = this.chunkSize;
+        const waterMap = new Int16Array(size.x * size.z).fill(this.seaLevel);
+
+        for (let x = 0; x < size.x; x++) {
+            for (let z = 0; z < size.z; z++) {
+                const column = this.applyLake(chunkX * size.x + x, chunkZ * size.z + z, heightMap[x][z]);
+                heightMap[x][z] = column.height;
+                waterMap[x + z * size.x] = column.waterLevel;
+            }
+        }
+
+        return waterMap;
+    }
+
+    /**
+     * Lower a column into the basin of the lake it lies in, if any
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {number} height - Terrain height of the column
+     * @returns {Object} - {height, waterLevel}
+     * @private
+     */
+    applyLake(worldX, worldZ, height) {
+        const lake = this.getLakeAt(worldX, worldZ);
+        const distance = lake ? Math.hypot(worldX + 0.5 - lake.x, worldZ + 0.5 - lake.z) / lake.radius : 1;
+        if (distance >= 1) {
+            return { height, waterLevel: this.seaLevel };
+        }
+
+        // Bowl shaped basin, shallow towards the rim
+        const depth = Math.floor(lake.depth * Math.sqrt(1 - distance * distance));
+        return {
+            height: Math.min(height, lake.level - depth),
+            waterLevel: Math.max(this.seaLevel, lake.level)
+        };
+    }
+
+    /**
+     * Get the lake of the lake cell containing a column
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Object|null} - {x, z, radius, depth, level} or null if the cell has no lake
+     * @private
+     */
+    getLakeAt(worldX, worldZ) {
+        if (!this.preset.features.lakes) return null;
+
+        const template = this.structures.lake;
+        const cellX = Math.floor(worldX / template.cellSize);
+        const cellZ = Math.floor(worldZ / template.cellSize);
+        const key = `${cellX},${cellZ}`;
+
+        if (!this.lakeCache.has(key)) {
+            // A chunk touches few cells; keep the cache from growing without bound
+            if (this.lakeCache.size > 256) {
+                this.lakeCache.clear();
+            }
+            this.lakeCache.set(key, this.createLake(cellX, cellZ));
+        }
+
+        return this.lakeCache.get(key);
+    }
+
+    /**
+     * Decide whether a lake cell holds a lake, and where
+     * A lake is only placed where its whole shore is above the water line, so
+     * it never spills out of its basin.
+     * @private
+     */
+    createLake(cellX, cellZ) {
+        const template = this.structures.lake;
+        const random = MathUtils.createRandomGenerator(
+            Math.floor(MathUtils.hashCoords(this.seed, cellX, 0x1a4e, cellZ) * 4294967296));
+
+        if (random() >= template.chance) return null;
+
+        const radius = template.radius[0] + random() * (template.radius[1] - template.radius[0]);
+        const depth = Math.round(template.depth[0] + random() * (template.depth[1] - template.depth[0]));
+
+        // Keep the lake inside its cell so each column has at most one lake
+        const margin = Math.ceil(radius) + 1;
+        const x = cellX * template.cellSize + margin + random() * (template.cellSize - margin * 2);
+        const z = cellZ * template.cellSize + margin + random() * (template.cellSize - margin * 2);
+
+        if (!template.biomes.includes(this.getBiomeAt(x, z).key)) return null;
+
+        // Water level sits just below the lowest point of the shore
+        let level = Infinity;
+        for (let i = 0; i < 8; i++) {
+            const angle = i * Math.PI / 4;
+            level = Math.min(level, this.getTerrainHeight(
+                Math.floor(x + Math.cos(angle) * radius),
+                Math.floor(z + Math.sin(angle) * radius)));
+        }
+        level -= 1;
+
+        // Lakes at or below sea level would just be part of the sea
+        if (level <= this.seaLevel) return null;
+
+        return { x, z, radius, depth, level };
+    }
+
+    /**
+     * Fill air at or below each column's water level with water
+     * Works down from the water line, so caves that open into the water flood too
+     * @private
+     */
+    fillWater(blocks, heightMap, waterMap) {
+        const size = this.chunkSize;
+        const layer = size.x * size.z;
+        const water = this.getBlockId('water');
+
+        for (let x = 0; x < size.x; x++) {
+            for (let z = 0; z < size.z; z++) {
+                const column = x + z * size.x;
+
+                for (let y = waterMap[column]; y > 0; y--) {
+                    const index = column + y * layer;
+                    if (blocks[index] !== 0) break;
+                    blocks[index] = water;
+                }
+            }
+        }
+    }
+
+    /**
+     * Carve cavern pockets where 3D noise exceeds the cave threshold
+     * @private
+     */
+    carveNoiseCaves(chunkX, chunkZ, blocks, caveMask, heightMap) {
+        const size = this.chunkSize;
+        const cave = this.structures.cave;
+        const params = this.noiseGenerators.cave;
+        const layer = size.x * size.z;
+
+        for (let x = 0; x < size.x; x++) {
+            for (let z = 0; z < size.z; z++) {
+                const worldX = chunkX * size.x + x;
+                const worldZ = chunkZ * size.z + z;
+                const top = heightMap[x][z] - cave.surfaceMargin;
+
+                for (let y = cave.minY; y < top; y++) {
+                    // Squash vertically so caverns are wider than they are tall
+                    if (this.noise.fractal3D(worldX, y * 2, worldZ, params) > cave.threshold) {
+                        const index = x + z * size.x + y * layer;
+                        blocks[index] = 0;
+                        caveMask[index >> 3] |= 1 << (index & 7);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Carve the worm tunnels and ravines that pass through a chunk
+     * Every chunk in range decides from its own seeded generator whether it
+     * starts a tunnel, and the whole tunnel is traced from there. Chunks that a
+     * tunnel crosses trace it identically, so tunnels line up across borders.
+     * @private
+     */
+    carveTunnels(chunkX, chunkZ, blocks, caveMask) {
+        const cave = this.structures.cave;
+        const maxLength = Math.max(cave.worm.length[1], cave.ravine.length[1]);
+        const range = Math.ceil(maxLength / Math.min(this.chunkSize.x, this.chunkSize.z));
+
+        for (let sourceX = chunkX - range; sourceX <= chunkX + range; sourceX++) {
+            for (let sourceZ = chunkZ - range; sourceZ <= chunkZ + range; sourceZ++) {
+                const random = MathUtils.createRandomGenerator(
+                    Math.floor(MathUtils.hashCoords(this.seed, sourceX, 0x5eed, sourceZ) * 4294967296));
+
+                if (random() < cave.worm.chance) {
+                    this.traceTunnel(cave.worm, random, sourceX, sourceZ, chunkX, chunkZ, blocks, caveMask);
+                }
+                if (random() < cave.ravine.chance) {
+                    this.traceTunnel(cave.ravine, random, sourceX, sourceZ, chunkX, chunkZ, blocks, caveMask);
+                }
+            }
+        }
+    }
+
+    /**
+     * Walk one tunnel from its start chunk, carving the parts inside the target chunk
+     * @param {Object} settings - Worm or ravine settings from the cave template
+     * @param {Function} random - Seeded generator of the start chunk
+     * @private
+     */
+    traceTunnel(settings, random, sourceX, sourceZ, chunkX, chunkZ, blocks, caveMask) {
+        const size = this.chunkSize;
+        const between = ([min, max]) => min + random() * (max - min);
+        const isRavine = settings.verticalScale > 1;
+
+        let x = sourceX * size.x + random() * size.x;
+        let y = between(settings.startY);
+        let z = sourceZ * size.z + random() * size.z;
+        let yaw = random() * Math.PI * 2;
+        let pitch = (random() - 0.5) * (isRavine ? 0.25 : 0.5);
+        let yawChange = 0;
+        let pitchChange = 0;
+
+        const length = Math.floor(between(settings.length));
+        const maxRadius = between(settings.radius);
+
+        // Tunnels that cannot reach the target chunk need not be walked
+        const centerX = (chunkX + 0.5) * size.x;
+        const centerZ = (chunkZ + 0.5) * size.z;
+        const limit = length + maxRadius + Math.max(size.x, size.z);
+        if (Math.abs(x - centerX) > limit || Math.abs(z - centerZ) > limit) return;
+
+        // Bounds of the target chunk, for skipping far away steps quickly
+        const minX = chunkX * size.x;
+        const minZ = chunkZ * size.z;
+        const reach = maxRadius + 1;
+
+        for (let step = 0; step < length; step++) {
+            // Narrow at both ends, widest in the middle
+            const radius = 1 + (maxRadius - 1) * Math.sin(Math.PI * step / length);
+
+            if (x + reach >= minX && x - reach < minX + size.x &&
+                z + reach >= minZ && z - reach < minZ + size.z) {
+                this.carveEllipsoid(x - minX, y, z - minZ, radius, radius * settings.verticalScale, blocks, caveMask);
+            }
+
+            // Wander: smooth random turns, ravines stay nearly level
+            x += Math.cos(yaw) * Math.cos(pitch);
+            y += Math.sin(pitch);
+            z += Math.sin(yaw) * Math.cos(pitch);
+
+            pitch *= isRavine ? 0.7 : 0.9;
+            pitch += pitchChange * 0.1;
+            yaw += yawChange * 0.1;
+            pitchChange = pitchChange * 0.9 + (random() - random()) * random() * 2;
+            yawChange = yawChange * 0.75 + (random() - random()) * random() * 4;
+        }
+    }
+
+    /**
+     * Carve an ellipsoid of air centered at local chunk coordinates
+     * @private
+     */
+    carveEllipsoid(centerX, centerY, centerZ, radius, verticalRadius, blocks, caveMask) {
+        const size = this.chunkSize;
+        const layer = size.x * size.z;
+        const minY = this.structures.cave.minY;
+
+        const x0 = Math.max(0, Math.floor(centerX - radius));
+        const x1 = Math.min(size.x - 1, Math.floor(centerX + radius));
+        const y0 = Math.max(minY, Math.floor(centerY - verticalRadius));
+        const y1 = Math.min(size.y - 1, Math.floor(centerY + verticalRadius));
+        const z0 = Math.max(0, Math.floor(centerZ - radius));
+        const z1 = Math.min(size.z - 1, Math.floor(centerZ + radius));
+
+        for (let y = y0; y <= y1; y++) {
+            const dy = (y + 0.5 - centerY) / verticalRadius;
+
+            for (let z = z0; z <= z1; z++) {
+                const dz = (z + 0.5 - centerZ) / radius;
+
+                for (let x = x0; x <= x1; x++) {
+                    const dx = (x + 0.5 - centerX) / radius;
+                    if (dx * dx + dy * dy + dz * dz >= 1) continue;
+
+                    const index = x + z * size.x + y * layer;
+                    if (blocks[index] !== 0) {
+                        blocks[index] = 0;
+                        caveMask[index >> 3] |= 1 << (index & 7);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Pick the biome of a single grid sample from the climate noise
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Object} - Biome definition
+     * @private
+     */
+    selectBiome(worldX, worldZ) {
+        if (this.fixedBiome) return this.fixedBiome;
+
+        const continentalness = this.noise.fractal2D(worldX, worldZ, this.noiseGenerators.continentalness);
+        const temperature = MathUtils.clamp(0.5 + this.noise.fractal2D(worldX, worldZ, this.noiseGenerators.biome), 0, 1);
+        const humidity = MathUtils.clamp(0.5 + this.noise.fractal2D(worldX, worldZ, this.noiseGenerators.humidity), 0, 1);
+
+        // Closest climate point among the biomes allowed at this continentalness
+        let best = null;
+        let bestDistance = Infinity;
+        for (const biome of this.biomes.biomeList) {
+            const [min, max] = biome.continentalness;
+            if (continentalness < min || continentalness >= max) continue;
+
+            // Heavier biomes claim more of the climate range
+            const weight = biome.weight !== undefined ? biome.weight : 1;
+            if (weight <= 0) continue;
+
+            const dt = temperature - biome.temperature;
+            const dh = humidity - biome.humidity;
+            const distance = (dt * dt + dh * dh) / weight;
+            if (distance < bestDistance) {
+                best = biome;
+                bestDistance = distance;
+            }
+        }
+
+        return best || this.biomes.get('plains');
+    }
+
+    /**
+     * Accumulate the blended biome weights of a column
+     * Bilinearly interpolates between the four surrounding grid nodes, each of
+     * which averages the biomes of the (2r + 1)^2 nodes around it.
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {Float32Array} weights - Output weights by biome index (summing to 1)
+     * @param {Function} lookup - (gridX, gridZ) => biome index of a grid node
+     * @private
+     */
+    sampleBiomeWeights(worldX, worldZ, weights, lookup) {
+        const gx = worldX / BIOME_GRID;
+        const gz = worldZ / BIOME_GRID;
+        const gx0 = Math.floor(gx);
+        const gz0 = Math.floor(gz);
+        const tx = gx - gx0;
+        const tz = gz - gz0;
+        const window = (2 * BIOME_BLEND_RADIUS + 1) * (2 * BIOME_BLEND_RADIUS + 1);
+
+        weights.fill(0);
+
+        for (let cz = 0; cz <= 1; cz++) {
+            for (let cx = 0; cx <= 1; cx++) {
+                const cornerWeight = (cx ? tx : 1 - tx) * (cz ? tz : 1 - tz) / window;
+                if (cornerWeight === 0) continue;
+
+                for (let dz = -BIOME_BLEND_RADIUS; dz <= BIOME_BLEND_RADIUS; dz++) {
+                    for (let dx = -BIOME_BLEND_RADIUS; dx <= BIOME_BLEND_RADIUS; dx++) {
+                        weights[lookup(gx0 + cx + dx, gz0 + cz + dz)] += cornerWeight;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Choose the biome of a column from its blended weights
+     * Near borders the choice is dithered by a seeded hash, so surface blocks of
+     * neighboring biomes mix instead of meeting in a straight line.
+     * @private
+     */
+    pickBiome(worldX, worldZ, weights) {
+        // Biomes painted on a heightmap's surface image win
+        if (this.heightmap) {
+            const rule = this.getSurfaceRule(worldX, worldZ);
+            if (rule && rule.biome) return rule.biome;
+        }
+
+        let roll = MathUtils.hashCoords(this.seed, worldX, 7, worldZ);
+
+        for (let i = 0; i < weights.length; i++) {
+            roll -= weights[i];
+            if (roll < 0 && weights[i] > 0) {
+                return this.biomes.getByIndex(i);
+            }
+        }
+
+        // Rounding left a tiny remainder: use the heaviest biome
+        let best = 0;
+        for (let i = 1; i < weights.length; i++) {
+            if (weights[i] > weights[best]) best = i;
+        }
+        return this.biomes.getByIndex(best);
+    }
+
+    /**
+     * Compute biome weights and the chosen biome of every column in a chunk
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @returns {Object} - {weights: Float32Array (column * biomeCount + biome), biomes: Array}
+     */
+    generateBiomeMap(chunkX, chunkZ) {
+        const size = this.chunkSize;
+        const biomeCount = this.biomes.count;
+        const chunkWorldX = chunkX * size.x;
+        const chunkWorldZ = chunkZ * size.z;
+
+        // Sample every grid node the chunk's columns can reach once
+        const gridMinX = Math.floor(chunkWorldX / BIOME_GRID) - BIOME_BLEND_RADIUS;
+        const gridMinZ = Math.floor(chunkWorldZ / BIOME_GRID) - BIOME_BLEND_RADIUS;
+        const gridSizeX = Math.ceil(size.x / BIOME_GRID) + 2 * BIOME_BLEND_RADIUS + 2;
+        const gridSizeZ = Math.ceil(size.z / BIOME_GRID) + 2 * BIOME_BLEND_RADIUS + 2;
+        const grid = new Uint8Array(gridSizeX * gridSizeZ);
+
+        for (let z = 0; z < gridSizeZ; z++) {
+            for (let x = 0; x < gridSizeX; x++) {
+                const biome = this.selectBiome((gridMinX + x) * BIOME_GRID, (gridMinZ + z) * BIOME_GRID);
+                grid[x + z * gridSizeX] = biome.index;
+            }
+        }
+
+        const lookup = (gx, gz) => grid[(gx - gridMinX) + (gz - gridMinZ) * gridSizeX];
+        const weights = new Float32Array(size.x * size.z * biomeCount);
+        const biomes = new Array(size.x * size.z);
+
+        for (let z = 0; z < size.z; z++) {
+            for (let x = 0; x < size.x; x++) {
+                const column = x + z * size.x;
+                const columnWeights = weights.subarray(column * biomeCount, (column + 1) * biomeCount);
+
+                this.sampleBiomeWeights(chunkWorldX + x, chunkWorldZ + z, columnWeights, lookup);
+                biomes[column] = this.pickBiome(chunkWorldX + x, chunkWorldZ + z, columnWeights);
+            }
+        }
+
+        return { weights, biomes };
+    }
+
+    /**
+     * Get the biome weights of a single column
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Float32Array} - Weights by biome index
+     */
+    getBiomeWeights(worldX, worldZ) {
+        const weights = new Float32Array(this.biomes.count);
+        this.sampleBiomeWeights(worldX, worldZ, weights,
+            (gx, gz) => this.selectBiome(gx * BIOME_GRID, gz * BIOME_GRID).index);
+        return weights;
+    }
+
+    /**
+     * Get the biome of a column, as used for its surface blocks
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Object} - Biome definition
+     */
+    getBiomeAt(worldX, worldZ) {
+        worldX = Math.floor(worldX);
+        worldZ = Math.floor(worldZ);
+        return this.pickBiome(worldX, worldZ, this.getBiomeWeights(worldX, worldZ));
+    }
+
+    /**
+     * Generate a height map for a chunk
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Object} biomeMap - Biome map from generateBiomeMap (computed if omitted)
+     * @returns {Array} - 2D array of height values
+     */
+    generateHeightMap(chunkX, chunkZ, biomeMap = this.generateBiomeMap(chunkX, chunkZ)) {
+        const heightMap = [];
+        const biomeCount = this.biomes.count;
+        const chunkWorldX = chunkX * this.chunkSize.x;
+        const chunkWorldZ = chunkZ * this.chunkSize.z;
+
+        for (let x = 0; x < this.chunkSize.x; x++) {
+            heightMap[x] = [];
+
+            for (let z = 0; z < this.chunkSize.z; z++) {
+                const column = x + z * this.chunkSize.x;
+                const weights = biomeMap.weights.subarray(column * biomeCount, (column + 1) * biomeCount);
+                heightMap[x][z] = this.getTerrainHeight(chunkWorldX + x, chunkWorldZ + z, weights);
+            }
+        }
+
+        return heightMap;
+    }
+
+    /**
+     * Calculate the terrain surface height for a world column
+     * Each biome's height curve is applied to the same terrain noise and the
+     * results are mixed by biome weight, so heights blend across borders.
+     * Depends only on the seed and coordinates, so it is identical every time
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {Float32Array} weights - Biome weights of the column (computed if omitted)
+     * @returns {number} - Surface height (-1 where a floating island world has no land)
+     */
+    getTerrainHeight(worldX, worldZ, weights = this.getBiomeWeights(worldX, worldZ)) {
+        if (this.flatLayers) {
+            return this.flatLayers.length - 1;
+        }
+        if (this.heightmap) {
+            return this.getHeightmapHeight(worldX, worldZ);
+        }
+
+        const terrain = this.noiseGenerators.terrain;
+        const detail = this.noiseGenerators.detail;
+
+        // Large rolling hills plus small surface detail
+        const terrainNoise = this.noise.fractal2D(worldX, worldZ, terrain);
+        const detailNoise = this.noise.fractal2D(worldX, worldZ, detail);
+
+        let height = 0;
+        for (let i = 0; i < weights.length; i++) {
+            if (weights[i] === 0) continue;
+
+            const biome = this.biomes.getByIndex(i);
+            height += weights[i] * (biome.heightCurve(terrainNoise) + detailNoise * detail.height * biome.roughness);
+        }
+
+        // Amplified worlds stretch the relief
+        const { heightScale, heightBase } = this.preset;
+        if (heightScale !== 1) {
+            height = heightBase + (height - heightBase) * heightScale;
+        }
+
+        if (this.preset.islands) {
+            // Islands keep a flattened copy of the relief on top
+            const size = this.getIslandSize(worldX, worldZ);
+            if (size <= 0) return -1;
+            height = this.preset.islands.height + size * 6 + (height - heightBase) / 4;
+        }
+
+        return Math.floor(MathUtils.clamp(height, this.terrainHeightMin, this.terrainHeightMax));
+    }
+
+    /**
+     * Read the surface height of a column from the heightmap image
+     * Pixels are interpolated, so terrain stays smooth when the image is scaled up.
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {number} - Surface height
+     * @private
+     */
+    getHeightmapHeight(worldX, worldZ) {
+        const { width, height, heights } = this.heightmap;
+        const { minHeight, maxHeight, scale } = this.preset.heightmap;
+
+        // Position in pixels, measured from pixel centers
+        const px = (worldX + 0.5) / scale + width / 2 - 0.5;
+        const pz = (worldZ + 0.5) / scale + height / 2 - 0.5;
+        const x0 = Math.floor(px);
+        const z0 = Math.floor(pz);
+        const sample = (x, z) => heights[this.getPixelIndex(x, z, width, height)];
+
+        const top = MathUtils.lerp(sample(x0, z0), sample(x0 + 1, z0), px - x0);
+        const bottom = MathUtils.lerp(sample(x0, z0 + 1), sample(x0 + 1, z0 + 1), px - x0);
+        const brightness = MathUtils.lerp(top, bottom, pz - z0);
+
+        return Math.round(minHeight + brightness / 255 * (maxHeight - minHeight));
+    }
+
+    /**
+     * Get the rule painted on the heightmap's surface image for a column
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Object} - {block, biome} (either may be null), or null without a rule
+     * @private
+     */
+    getSurfaceRule(worldX, worldZ) {
+        const surface = this.heightmap.surface;
+        if (!surface) return null;
+
+        const scale = this.preset.heightmap.scale;
+        const x = Math.floor((worldX + 0.5) / scale + surface.width / 2);
+        const z = Math.floor((worldZ + 0.5) / scale + surface.height / 2);
+        const rule = surface.rules[this.getPixelIndex(x, z, surface.width, surface.height)];
+
+        return rule === NO_SURFACE_RULE ? null : this.surfaceRules[rule];
+    }
+
+    /**
+     * Index of a pixel of a heightmap image, for pixels beyond the image too
+     * (repeated or clamped to the edge, as the preset's wrap says)
+     * @private
+     */
+    getPixelIndex(x, z, width, height) {
+        if (this.preset.heightmap.wrap === 'tile') {
+            x = ((x % width) + width) % width;
+            z = ((z % height) + height) % height;
+        } else {
+            x = MathUtils.clamp(x, 0, width - 1);
+            z = MathUtils.clamp(z, 0, height - 1);
+        }
+        return x + z * width;
+    }
+
+    /**
+     * How far into a floating island a column lies
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {number} - 0 outside islands, rising to 1 towards their middle
+     * @private
+     */
+    getIslandSize(worldX, worldZ) {
+        const islands = this.preset.islands;
+        let noise = this.noise.fractal2D(worldX, worldZ, this.noiseGenerators.islands);
+
+        // There is always an island to spawn on
+        if (islands.spawnRadius > 0) {
+            noise += Math.max(0, 1 - Math.hypot(worldX, worldZ) / islands.spawnRadius);
+        }
+
+        return MathUtils.clamp((noise - islands.threshold) / (1 - islands.threshold), 0, 1);
+    }
+
+    /**
+     * Get the lowest block of a floating island column: islands are thickest
+     * in the middle and taper off towards their rims
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {number} height - Surface height of the column
+     * @returns {number} - Y of the bottom block
+     * @private
+     */
+    getIslandBottom(worldX, worldZ, height) {
+        const depth = Math.sqrt(this.getIslandSize(worldX, worldZ)) * this.preset.islands.thickness;
+        return Math.max(0, height - Math.max(1, Math.floor(depth)) + 1);
+    }
+
+    /**
+     * Determine the type of block to place at a given position
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @param {number} surfaceHeight - Surface height at this x,z position
+     * @param {Object} biome - Biome of this column
+     * @param {boolean} shore - Whether the column is under or right next to water
+     * @returns {string} - Type of block to place
+     * @private
+     */
+    determineBlockType(x, y, z, surfaceHeight, biome, shore = false) {
+        // Bedrock at bottom, with a ragged top that gets sparser with height
+        if (y <= this.bedrockHeight &&
+            (y === 0 || MathUtils.hashCoords(this.seed, x, y, z) < 1 - y / (this.bedrockHeight + 1))) {
+            return 'bedrock';
+        }
+
+        // Below surface (ore veins are added afterwards by placeOres)
+        if (y < surfaceHeight - biome.subsurfaceDepth) {
+            return 'stone';
+        }
+
+        // Just below surface
+        if (y < surfaceHeight) {
+            return shore ? 'sand' : biome.subsurfaceBlock;
+        }
+
+        // Surface block, capped with snow on high peaks
+        if (y === surfaceHeight) {
+            if (shore) {
+                return 'sand';
+            }
+            if (biome.snowLine !== undefined && y >= biome.snowLine) {
+                return 'snow';
+            }
+            return biome.surfaceBlock;
+        }
+
+        // Above surface (air)
+        return 'air';
+    }
+
+    /**
+     * Grow the trees of a chunk, and the parts of trees in neighboring chunks
+     * that reach into it
+     * Whether a column grows a tree, and which, follows only from the seed and
+     * the column's biome and surface, which any chunk can work out. So every
+     * chunk a tree touches builds its own part of the same tree, whatever order
+     * chunks are generated in. Trees are grown in world order, trunks replace
+     * anything and leaves only fill air, so overlapping trees come out the same
+     * from every side. The ground under a tree may still be carved by a tunnel.
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Uint8Array} blocks - Chunk block data
+     * @param {Array} heightMap - Surface height per column
+     * @param {Object} biomeMap - Biomes of the chunk
+     * @param {Int16Array} waterMap - Water level per column
+     * @private
+     */
+    placeTrees(chunkX, chunkZ, blocks, heightMap, biomeMap, waterMap) {
+        const size = this.chunkSize;
+        const reach = this.treeReach;
+        const chunkWorldX = chunkX * size.x;
+        const chunkWorldZ = chunkZ * size.z;
+
+        for (let z = -reach; z < size.z + reach; z++) {
+            for (let x = -reach; x < size.x + reach; x++) {
+                const worldX = chunkWorldX + x;
+                const worldZ = chunkWorldZ + z;
+
+                // Cheap roll first, so outside columns rarely need their biome worked out
+                const roll = MathUtils.hashCoords(this.seed, worldX, 0, worldZ);
+                if (roll >= this.maxTreeDensity) continue;
+
+                const inside = x >= 0 && x < size.x && z >= 0 && z < size.z;
+                const column = inside
+                    ? { biome: biomeMap.biomes[x + z * size.x], height: heightMap[x][z], waterLevel: waterMap[x + z * size.x] }
+                    : this.getColumn(worldX, worldZ);
+
+                if (roll >= column.biome.treeDensity || column.height < column.waterLevel) continue;
+
+                const species = this.pickTreeSpecies(worldX, worldZ, column.biome);
+                if (!species) continue;
+
+                // Keep clear of villages and ruins
+                if (this.preset.features.structures &&
+                    this.structureGenerator.isOccupied(worldX, worldZ, this.structures.trees[species].radius)) continue;
+
+                this.placeTree(species, blocks, x, column.height + 1, z,
+                    MathUtils.hashCoords(this.seed, worldX, 4, worldZ));
+            }
+        }
+    }
+
+    /**
+     * Work out the biome, surface height and water level of a single column,
+     * as generateChunk would for the chunk holding it (also used to fit structures)
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @returns {Object} - {biome, height, waterLevel}
+     */
+    getColumn(worldX, worldZ) {
+        const weights = this.getBiomeWeights(worldX, worldZ);
+        const column = this.applyLake(worldX, worldZ, this.getTerrainHeight(worldX, worldZ, weights));
+        column.biome = this.pickBiome(worldX, worldZ, weights);
+        return column;
+    }
+
+    /**
+     * Choose the tree species of a column from its biome's species weights
+     * @param {number} worldX - World X coordinate
+     * @param {number} worldZ - World Z coordinate
+     * @param {Object} biome - Biome of the column
+     * @returns {string|null} - Key in structures.trees, or null if the biome has none
+     * @private
+     */
+    pickTreeSpecies(worldX, worldZ, biome) {
+        const species = Object.entries(biome.trees || {});
+        const total = species.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = MathUtils.hashCoords(this.seed, worldX, 3, worldZ) * total;
+
+        for (const [key, weight] of species) {
+            roll -= weight;
+            if (roll < 0) return key;
+        }
+        return null;
+    }
+
+    /**
+     * Scatter tall grass and flowers over the grass surface of a chunk
+     * Each column rolls its own seeded chance, so plants don't depend on chunk order.
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @param {Uint8Array} blocks - Chunk block data
+     * @param {Array} heightMap - Surface height per column
+     * @param {Object} biomeMap - Biomes of the chunk
+     * @private
+     */
+    placePlants(chunkX, chunkZ, blocks, heightMap, biomeMap) {
+        const size = this.chunkSize;
+        const layer = size.x * size.z;
+        const grass = this.getBlockId('grass');
+        const tallGrass = this.getBlockId('tall_grass');
+        const flowers = [this.getBlockId('dandelion'), this.getBlockId('poppy')];
+
+        for (let x = 0; x < size.x; x++) {
+            for (let z = 0; z < size.z; z++) {
+                const biome = biomeMap.biomes[x + z * size.x];
+                const height = heightMap[x][z];
+                if (!biome.plantDensity || height + 1 >= size.y) continue;
+
+                // Grass that is still there (not carved or flooded) with air above it
+                const index = x + z * size.x + height * layer;
+                if (blocks[index] !== grass || blocks[index + layer] !== 0) continue;
+
+                const worldX = chunkX * size.x + x;
+                const worldZ = chunkZ * size.z + z;
+                if (MathUtils.hashCoords(this.seed, worldX, 1, worldZ) >= biome.plantDensity) continue;
+
+                const roll = MathUtils.hashCoords(this.seed, worldX, 2, worldZ);
+                const flowerChance = biome.flowerChance || 0;
+                blocks[index + layer] = roll < flowerChance
+                    ? flowers[Math.floor(roll / flowerChance * flowers.length)]
+                    : tallGrass;
+            }
+        }
+    }
+
+    /**
+     * Write the part of a tree that lies inside a chunk
+     * @param {string} species - Key in structures.trees
+     * @param {Uint8Array} blocks - Chunk block data to write the tree into
+     * @param {number} x - Local X coordinate of the trunk (may be outside the chunk)
+     * @param {number} y - Y coordinate of the bottom of the trunk
+     * @param {number} z - Local Z coordinate of the trunk (may be outside the chunk)
+     * @param {number} variation - Seeded number (0-1) picking the trunk height
+     * @private
+     */
+    placeTree(species, blocks, x, y, z, variation) {
+        const tree = this.structures.trees[species];
+        const size = this.chunkSize;
+        const layer = size.x * size.z;
+
+        if (!tree) {
+            console.warn(`Unknown tree species: ${species}`);
+            return;
+        }
+
+        const [minTrunk, maxTrunk] = tree.trunk;
+        const trunkHeight = minTrunk + Math.floor(variation * (maxTrunk - minTrunk + 1));
+        const radius = tree.radius;
+
+        // Only the part of the tree inside this chunk
+        const minX = Math.max(-radius, -x);
+        const maxX = Math.min(radius, size.x - 1 - x);
+        const minZ = Math.max(-radius, -z);
+        const maxZ = Math.min(radius, size.z - 1 - z);
+
+        for (let dy = 0; dy <= trunkHeight + radius && y + dy < size.y; dy++) {
+            for (let dz = minZ; dz <= maxZ; dz++) {
+                for (let dx = minX; dx <= maxX; dx++) {
+                    const blockType = tree.getBlock(dx, dy, dz, trunkHeight);
+                    if (blockType === 'air') continue;
+
+                    // Leaves don't replace terrain or other trees' blocks
+                    const index = (x + dx) + (z + dz) * size.x + (y + dy) * layer;
+                    const trunk = dx === 0 && dz === 0 && dy < trunkHeight;
+                    if (trunk || blocks[index] === 0) {
+                        blocks[index] = this.getBlockId(blockType);
+                    }
+                }
+            }
+        }
+    }
+}
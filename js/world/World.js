@@ -1,6 +1,21 @@
 /**
  * World - Handles the game world, including terrain generation, chunks, and block interactions
  */
+import { Chunk } from './Chunk.js';
+import { ChunkMesher } from './ChunkMesher.js';
+import { ChunkWorkerPool } from './ChunkWorkerPool.js';
+import { FluidSimulator, getFluidHeight } from './FluidSimulator.js';
+import { LightEngine, computeChunkLight, getLightBrightness } from './LightEngine.js';
+import {
+    ATTACHMENTS, getModelOffset, getCollisionBoxes, getSelectionBoxes, getConnections,
+    getAttachmentStates, getPlacementState
+} from './BlockModels.js';
+import { FallingBlock } from '../entities/FallingBlock.js';
+import { ItemEntity } from '../entities/ItemEntity.js';
+import { TerrainGenerator } from './TerrainGenerator.js';
+import { HeightmapLoader } from './HeightmapLoader.js';
+import { resolvePreset } from './WorldPresets.js';
+
 export class World {
     constructor(scene, resourceManager) {
         // Core properties
@@ -16,167 +31,353 @@ export class World {
             z: 16
         };
         this.gravity = 20;       // Gravity constant
+        this.seaLevel = 62;      // Terrain below this height is flooded
         
         // Render properties
         this.visibleChunks = []; // Currently rendered chunks
         this.renderDistance = 6; // Chunks to render in each direction
+        this.mesher = new ChunkMesher(this.chunkSize);
+        this.meshVolume = this.mesher.createVolume(); // Reused for meshing on the main thread
+        this.meshLight = this.mesher.createLightVolume();
+        this.renderTable = null;  // Block render info for the mesher (built on first use)
+        this.lightTable = null;   // Block opacity and emission for lighting (built on first use)
+        this.lighting = new LightEngine(this);
+        
+        // Block types registered while the world runs need fresh lookup tables;
+        // after resource packs change (no block type given) every mesh is rebuilt
+        this.blockTypeListener = (blockType) => {
+            this.refreshBlockTypes();
+            if (!blockType) {
+                for (const key of this.chunks.keys()) {
+                    this.refreshChunkMesh(key);
+                }
+            }
+        };
+        this.resourceManager.addBlockTypeListener(this.blockTypeListener);
+        
+        // Background chunk pipeline (created on first use, once resources are loaded)
+        this.workerPool = null;
+        this.pendingChunks = new Map(); // Chunk key => queued generation job, or chunk store read
+        this.meshJobs = new Map();      // Chunk key => queued mesh job
+        this.centerChunk = null;        // Chunk the loaded area is centered on
+        this.frameBudget = 6;           // Milliseconds per frame spent integrating finished chunks
+        
+        // Block edits not yet in the chunk store (every edit without one), kept
+        // while their chunk is unloaded
+        // Maps chunk key "x,z" to a Map of block index => block id
+        this.blockEdits = new Map();
+        
+        // Modified chunks are kept in a ChunkStore (set by the game), read back
+        // instead of being generated
+        this.chunkStore = null;
+        this.worldId = Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
+        this.storedChunks = [];       // Finished chunk store reads, waiting to be integrated
+        this.chunkSaveInterval = 10;  // Seconds between writes of modified chunks
+        this.chunkSaveTimer = 0;
+        this.lastChunk = null; // Cache for repeated lookups in the same chunk
+        this.lastBiome = null; // Cache for repeated biome lookups of the same column
+        
+        // Flowing fluids; their changes are remeshed together once per frame
+        this.fluids = new FluidSimulator(this);
+        this.dirtyChunks = new Set(); // Keys of chunks whose mesh is out of date
+        
+        // Block updates: when a block changes, it and its neighbors are queued and
+        // handed to the handler registered for their physics type on the next frame
+        this.blockUpdates = new Map();         // "x,y,z" => {x, y, z}
+        this.blockUpdateHandlers = new Map();  // Physics type => handler(x, y, z, blockType)
+        this.registerBlockUpdateHandler('fluid', (x, y, z) => this.fluids.scheduleUpdate(x, y, z));
+        this.registerBlockUpdateHandler('falling', (x, y, z, blockType) => this.updateFallingBlock(x, y, z, blockType));
+        this.registerBlockUpdateHandler('attached', (x, y, z, blockType) => this.updateAttachedBlock(x, y, z, blockType));
+        
+        // Moving things that are not part of the block grid (falling blocks, dropped items)
+        this.entities = [];
+        
+        // Blocks with a flame (torches) near the player give off flame particles
+        this.particles = null;        // ParticleSystem, set by the game when particles are enabled
+        this.flames = new Map();      // "x,y,z" => {x, y, z, state, timer}
+        this.flameBlocks = null;      // Block ids with a flame (built on first use)
+        this.flameDistance = 24;      // Blocks from the player within which flames emit
+        
+        // World generation (also run inside the chunk workers)
+        this.seed = Math.floor(Math.random() * 2147483647);
+        this.preset = resolvePreset();  // World type, see WorldPresets
+        this.heightmap = null;          // Decoded images of a heightmap preset
+        this.heightmapLoading = null;   // Promise while they are decoded; no chunks are generated meanwhile
+        this.generator = this.createGenerator();
+        
+        // Block manipulation properties
+        this.maxReach = 5; // How far the player can reach to manipulate blocks
+    }
+
+    /**
+     * Initialize the world and generate initial chunks
+     * @param {Object} options - World generation options
+     */
+    init(options = {}) {
+        console.log('Initializing world...');
         
-        // Block data
-        this.blockData = new Map(); // Maps position to block type
+        // Set world options (the preset first, it brings its own sea level)
+        if (options.preset !== undefined) {
+            this.setPreset(options.preset);
+        }
         
-        // Physics and collision
-        this.collidableObjects = []; // Objects that can be collided with
+        if (options.seed !== undefined) {
+            this.setSeed(options.seed);
+        }
         
-        // World generation properties
-        this.seed = Math.floor(Math.random() * 2147483647);
-        this.noiseGenerators = this.initNoiseGenerators();
+        if (options.seaLevel !== undefined) {
+            this.setSeaLevel(options.seaLevel);
+        }
         
-        // Terrain height range
-        this.terrainHeightMin = 64;
-        this.terrainHeightMax = 128;
+        if (options.renderDistance !== undefined) {
+            this.renderDistance = options.renderDistance;
+        }
         
-        // Block manipulation properties
-        this.maxReach = 5; // How far the player can reach to manipulate blocks
-        this.raycaster = new THREE.Raycaster();
+        if (options.smoothLighting !== undefined) {
+            this.setSmoothLighting(options.smoothLighting);
+        }
         
-        // Structure templates
-        this.structures = {
-            tree: this.createTreeTemplate(),
-            cave: this.createCaveTemplate()
-        };
+        console.log(`World initialized with seed: ${this.seed} (${this.preset.type})`);
     }
-
+    
+    /**
+     * Set the world type used for newly generated chunks
+     * @param {Object|string} preset - Preset settings or built-in preset name
+     *     (see WorldPresets.resolvePreset)
+     * @throws {Error} - When the preset is invalid
+     */
+    setPreset(preset) {
+        this.preset = resolvePreset(preset, Object.keys(this.getBlockIds()));
+        this.seaLevel = this.preset.seaLevel;
+        this.heightmap = null;
+        this.heightmapLoading = this.preset.heightmap ? this.loadHeightmap() : null;
+        this.generator = this.createGenerator();
+        this.restartWorkers();
+    }
+    
     /**
-     * Initialize all noise generators for terrain
+     * Decode the images of the heightmap preset, then restart generation with them
+     * If they can't be loaded the world falls back to noise terrain.
+     * @returns {Promise} - Resolves when generation can go on
      * @private
      */
-    initNoiseGenerators() {
-        // Uses simplex noise for terrain generation
-        // We'll use different noise patterns for different features
-        return {
-            // Primary terrain noise
-            terrain: {
-                scale: 0.01,      // Scale of the noise (higher = more stretched out)
-                height: 40,       // How much height variation
-                octaves: 4,       // Number of noise layers
-                persistence: 0.5, // How much each octave contributes
-                lacunarity: 2.0,  // How much detail is added at each octave
-                offset: [0, 0]    // Offset to apply to the noise
-            },
-            
-            // Secondary noise for more detail
-            detail: {
-                scale: 0.05,
-                height: 8,
-                octaves: 2,
-                persistence: 0.5,
-                lacunarity: 2.0,
-                offset: [100, 100]
-            },
-            
-            // Biome noise
-            biome: {
-                scale: 0.005,     // Biomes change slowly
-                octaves: 2,
-                persistence: 0.5,
-                lacunarity: 2.0,
-                offset: [200, 200]
-            },
+    loadHeightmap() {
+        const loading = HeightmapLoader.load(this.preset.heightmap).catch(error => {
+            console.error('Heightmap could not be loaded, using generated terrain instead:', error);
+            return null;
+        }).then(heightmap => {
+            // The preset was changed again meanwhile
+            if (this.heightmapLoading !== loading) return;
             
-            // Cave noise
-            cave: {
-                scale: 0.03,
-                threshold: 0.6,   // Threshold for cave formation
-                octaves: 3,
-                persistence: 0.5,
-                lacunarity: 2.0,
-                offset: [300, 300, 300]
-            }
-        };
+            this.heightmap = heightmap;
+            this.heightmapLoading = null;
+            this.generator = this.createGenerator();
+            this.restartWorkers();
+        });
+        return loading;
+    }
+    
+    /**
+     * Keep modified chunks in a chunk store
+     * @param {ChunkStore} chunkStore - Open store, or null to keep edits in the save
+     */
+    setChunkStore(chunkStore) {
+        this.chunkStore = chunkStore;
+        if (chunkStore) {
+            chunkStore.setWorld(this.worldId);
+        }
+    }
+    
+    /**
+     * Set the world seed and reseed all noise generators
+     * @param {number} seed - New world seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.generator.setSeed(seed);
+        
+        // Workers generate with their own copy of the generator
+        this.restartWorkers();
+    }
+    
+    /**
+     * Set the sea level used for newly generated chunks
+     * @param {number} seaLevel - Height up to which low terrain fills with water
+     */
+    setSeaLevel(seaLevel) {
+        this.seaLevel = seaLevel;
+        this.preset = { ...this.preset, seaLevel };
+        this.generator.setSeaLevel(seaLevel);
+        this.restartWorkers();
+    }
+    
+    /**
+     * Switch chunk meshes between smooth lighting with ambient occlusion and flat face lighting
+     * Loaded chunks are remeshed in the background.
+     * @param {boolean} enabled - Whether smooth lighting is used
+     */
+    setSmoothLighting(enabled) {
+        if (this.mesher.smoothLighting === enabled) return;
+        
+        this.mesher.setSmoothLighting(enabled);
+        
+        for (const key of this.chunks.keys()) {
+            this.refreshChunkMesh(key);
+        }
     }
     
     /**
-     * Create a tree structure template
+     * Map of block type name => id, for the terrain generator
+     * @returns {Object} - Block ids by name
      * @private
      */
-    createTreeTemplate() {
-        // Define a simple tree structure
-        // 0 = air, 1 = trunk, 2 = leaves
-        return {
-            height: 5, // Total height of tree
-            trunkHeight: 4, // Height of trunk
-            canopyRadius: 2, // Radius of leaf canopy
-            // Function to get block at relative position
-            getBlock: (x, y, z) => {
-                // Trunk
-                if (x === 0 && z === 0 && y < 4) {
-                    return 'wood';
-                }
-                
-                // Leaves
-                if (y >= 3 && y <= 6) {
-                    const distance = Math.sqrt(x*x + (y-5)*(y-5) + z*z);
-                    if (distance <= 2.5) {
-                        return 'leaves';
-                    }
-                }
-                
-                return 'air';
-            }
-        };
+    getBlockIds() {
+        const blockIds = {};
+        for (const [key, type] of this.resourceManager.blockTypes.entries()) {
+            blockIds[key] = type.id;
+        }
+        return blockIds;
+    }
+    
+    /**
+     * Create the terrain generator for the current seed and preset
+     * @returns {TerrainGenerator} - Generator
+     * @private
+     */
+    createGenerator() {
+        return new TerrainGenerator({
+            seed: this.seed,
+            chunkSize: this.chunkSize,
+            blockIds: this.getBlockIds(),
+            seaLevel: this.seaLevel,
+            preset: this.preset,
+            heightmap: this.heightmap
+        });
     }
     
     /**
-     * Create a cave structure template
+     * Everything a chunk worker needs to generate and mesh chunks for this world
+     * @returns {Object} - Worker configuration
      * @private
      */
-    createCaveTemplate() {
+    getWorkerConfig() {
         return {
-            // Using 3D noise for cave generation
-            // This will be used in the chunk generation process
-            threshold: 0.55 // Value at which a block becomes air in a cave
+            seed: this.seed,
+            chunkSize: this.chunkSize,
+            blockIds: this.getBlockIds(),
+            seaLevel: this.seaLevel,
+            preset: this.preset,
+            heightmap: this.heightmap,
+            blockInfo: this.getRenderTable().blockInfo,
+            lightTable: this.getLightTable()
         };
     }
     
     /**
-     * Initialize the world and generate initial chunks
-     * @param {Object} options - World generation options
+     * Start the chunk worker pool
+     * @private
      */
-    init(options = {}) {
-        console.log('Initializing world...');
+    initWorkerPool() {
+        this.workerPool = new ChunkWorkerPool();
+        this.workerPool.init(this.getWorkerConfig());
         
-        // Set world options
-        if (options.seed !== undefined) {
-            this.seed = options.seed;
+        console.log(this.workerPool.usesWorkers()
+            ? `Chunk workers started: ${this.workerPool.workers.length}`
+            : 'Chunk workers unavailable, generating on the main thread');
+    }
+    
+    /**
+     * Get the block render table, building it on first use
+     * @returns {Object} - {blockInfo, materialKeys} from ResourceManager.getBlockRenderTable
+     * @private
+     */
+    getRenderTable() {
+        if (!this.renderTable) {
+            this.renderTable = this.resourceManager.getBlockRenderTable();
         }
-        
-        if (options.renderDistance !== undefined) {
-            this.renderDistance = options.renderDistance;
+        return this.renderTable;
+    }
+    
+    /**
+     * Get the block light table, building it on first use
+     * @returns {Object} - {opacity, emission} from ResourceManager.getBlockLightTable
+     * @private
+     */
+    getLightTable() {
+        if (!this.lightTable) {
+            this.lightTable = this.resourceManager.getBlockLightTable();
+            this.lighting.setLightTable(this.lightTable);
+        }
+        return this.lightTable;
+    }
+    
+    /**
+     * Rebuild the block lookup tables after a block type was registered
+     * Running workers are restarted with the new tables.
+     * @private
+     */
+    refreshBlockTypes() {
+        this.renderTable = null;
+        this.lightTable = null;
+        this.flameBlocks = null;
+        this.generator.blockIds = this.getBlockIds();
+        this.getLightTable();
+        this.restartWorkers();
+    }
+    
+    /**
+     * Restart the chunk workers with the current world settings
+     * That drops their queue, so outstanding chunk and mesh jobs are requested again.
+     * @private
+     */
+    restartWorkers() {
+        if (!this.workerPool) return;
+        
+        const meshing = [...this.meshJobs.values()].map(job => job.chunk);
+        this.workerPool.init(this.getWorkerConfig());
+        this.pendingChunks.clear();
+        this.meshJobs.clear();
+        
+        // Missing chunks are requested on the next update, meshes right away
+        this.centerChunk = null;
+        for (const chunk of meshing) {
+            this.queueChunkMesh(chunk);
         }
-        
-        // Initialize noise with seed
-        // this.noise.seed(this.seed);
-        
-        // Placeholder for actual noise seed setup
-        console.log(`World initialized with seed: ${this.seed}`);
     }
     
     /**
-     * Generate and load chunks around a position
+     * Request and unload chunks around a position
+     * Missing chunks are read from the chunk store, or generated in the
+     * background when they aren't stored, nearest first; chunks and
+     * requests that left the area are dropped. Only does work when the center
+     * chunk changes.
      * @param {THREE.Vector3} position - Center position for chunk loading
      */
     loadChunksAroundPosition(position) {
+        // Heightmap worlds wait for their images
+        if (this.heightmapLoading) return;
+        
+        if (!this.workerPool) {
+            this.initWorkerPool();
+        }
+        
         // Convert position to chunk coordinates
         const centerChunkX = Math.floor(position.x / (this.chunkSize.x * this.blockSize));
         const centerChunkZ = Math.floor(position.z / (this.chunkSize.z * this.blockSize));
         
-        // Track newly loaded chunks and chunks to unload
-        const newlyLoadedChunks = [];
+        if (this.centerChunk && this.centerChunk.x === centerChunkX && this.centerChunk.z === centerChunkZ) {
+            return;
+        }
+        this.centerChunk = { x: centerChunkX, z: centerChunkZ };
+        
+        // Chunks one ring beyond render distance are loaded but not rendered,
+        // so every rendered chunk can be meshed against all of its neighbors
+        const loadDistance = this.renderDistance + 1;
         const chunksToKeep = new Set();
+        const missingChunks = [];
         
-        // Generate chunks in render distance
-        for (let x = -this.renderDistance; x <= this.renderDistance; x++) {
-            for (let z = -this.renderDistance; z <= this.renderDistance; z++) {
+        for (let x = -loadDistance; x <= loadDistance; x++) {
+            for (let z = -loadDistance; z <= loadDistance; z++) {
                 const chunkX = centerChunkX + x;
                 const chunkZ = centerChunkZ + z;
                 const chunkKey = `${chunkX},${chunkZ}`;
@@ -184,336 +385,1112 @@ export class World {
                 // Mark this chunk to keep
                 chunksToKeep.add(chunkKey);
                 
-                // Skip if chunk already exists
-                if (this.chunks.has(chunkKey)) {
-                    continue;
+                if (!this.chunks.has(chunkKey) && !this.pendingChunks.has(chunkKey)) {
+                    missingChunks.push({ chunkX, chunkZ, chunkKey });
                 }
-                
-                // Generate the chunk
-                const chunk = this.generateChunk(chunkX, chunkZ);
-                this.chunks.set(chunkKey, chunk);
-                newlyLoadedChunks.push(chunk);
-                
-                // Add chunk to scene
-                this.scene.add(chunk.mesh);
             }
         }
         
-        // Unload chunks outside render distance
+        // Cancel generation of chunks that are no longer needed
+        for (const [chunkKey, job] of this.pendingChunks.entries()) {
+            if (!chunksToKeep.has(chunkKey)) {
+                this.workerPool.cancel(job);
+                this.pendingChunks.delete(chunkKey);
+            }
+        }
+        
+        // Unload chunks outside the loaded area, and drop meshes outside render distance
         for (const [chunkKey, chunk] of this.chunks.entries()) {
             if (!chunksToKeep.has(chunkKey)) {
-                // Remove chunk from scene
-                this.scene.remove(chunk.mesh);
-                
-                // Dispose geometry and materials
-                if (chunk.mesh.geometry) {
-                    chunk.mesh.geometry.dispose();
-                }
-                
-                if (Array.isArray(chunk.mesh.material)) {
-                    chunk.mesh.material.forEach(material => material.dispose());
-                } else if (chunk.mesh.material) {
-                    chunk.mesh.material.dispose();
-                }
-                
-                // Remove from chunks map
-                this.chunks.delete(chunkKey);
+                // Remove chunk from scene and free its geometry and block data
+                this.cancelChunkMesh(chunk);
+                this.disposeChunkMesh(chunk);
+                this.unloadChunk(chunk);
+            } else if (!this.isWithinRenderDistance(chunk.position.x, chunk.position.z)) {
+                this.cancelChunkMesh(chunk);
+                this.disposeChunkMesh(chunk);
             }
         }
         
-        console.log(`Loaded ${newlyLoadedChunks.length} new chunks, total chunks: ${this.chunks.size}`);
+        // Cached regions of the chunk store follow the loaded area
+        if (this.chunkStore) {
+            this.chunkStore.releaseRegions(chunksToKeep);
+        }
+        
+        // Queued work follows the player
+        this.workerPool.reprioritize(job => this.getChunkPriority(job.chunkX, job.chunkZ));
+        
+        // Request missing chunks, nearest first
+        missingChunks.sort((a, b) =>
+            this.getChunkPriority(a.chunkX, a.chunkZ) - this.getChunkPriority(b.chunkX, b.chunkZ));
         
-        // Update collidable objects
-        this.updateCollidableObjects();
+        for (const { chunkX, chunkZ, chunkKey } of missingChunks) {
+            if (this.chunkStore) {
+                this.readStoredChunk(chunkX, chunkZ);
+            } else {
+                this.pendingChunks.set(chunkKey, this.requestChunkGeneration(chunkX, chunkZ));
+            }
+        }
         
-        return newlyLoadedChunks;
+        // Chunks that moved into render distance may already have all their neighbors
+        for (const chunk of this.chunks.values()) {
+            this.requestChunkMesh(chunk);
+        }
     }
     
     /**
-     * Generate a single chunk
-     * @param {number} chunkX - Chunk X coordinate
-     * @param {number} chunkZ - Chunk Z coordinate
-     * @returns {Object} - The generated chunk
+     * Queue the background generation of a chunk
+     * @returns {Object} - Generation job
+     * @private
+     */
+    requestChunkGeneration(chunkX, chunkZ) {
+        return this.workerPool.request({
+            type: 'generate',
+            chunkX,
+            chunkZ,
+            priority: this.getChunkPriority(chunkX, chunkZ),
+            prepare: () => ({ message: { chunkX, chunkZ } })
+        });
+    }
+    
+    /**
+     * Read a chunk from the chunk store, generating it when it isn't stored
+     * The read stands in the pending chunks like a generation job; it is
+     * dropped if the chunk is no longer wanted when it finishes.
      * @private
      */
-    generateChunk(chunkX, chunkZ) {
-        console.log(`Generating chunk at ${chunkX}, ${chunkZ}`);
+    readStoredChunk(chunkX, chunkZ) {
+        const chunkKey = `${chunkX},${chunkZ}`;
+        const job = { type: 'read', chunkX, chunkZ, result: null };
+        this.pendingChunks.set(chunkKey, job);
         
-        const chunkBlocks = [];
-        const chunkWorldX = chunkX * this.chunkSize.x;
-        const chunkWorldZ = chunkZ * this.chunkSize.z;
+        this.chunkStore.readChunk(chunkX, chunkZ).catch(error => {
+            console.error(`Chunk ${chunkKey} could not be read, generating it:`, error);
+            return null;
+        }).then(result => {
+            if (this.pendingChunks.get(chunkKey) !== job) return;
+            
+            if (result) {
+                job.result = result;
+                this.storedChunks.push(job);
+            } else {
+                this.pendingChunks.set(chunkKey, this.requestChunkGeneration(chunkX, chunkZ));
+            }
+        });
+    }
+    
+    /**
+     * Integrate finished chunk jobs until the frame budget is used up
+     * @private
+     */
+    processChunkJobs() {
+        if (!this.workerPool) return;
         
-        // Generate heightmap for this chunk
-        const heightMap = this.generateHeightMap(chunkX, chunkZ);
+        const deadline = performance.now() + this.frameBudget;
         
-        // Create blocks based on height map
-        for (let x = 0; x < this.chunkSize.x; x++) {
-            for (let z = 0; z < this.chunkSize.z; z++) {
-                const worldX = chunkWorldX + x;
-                const worldZ = chunkWorldZ + z;
-                
-                // Get height at this position
-                const height = heightMap[x][z];
-                
-                // Generate blocks up to the height
-                for (let y = 0; y < this.chunkSize.y; y++) {
-                    const blockType = this.determineBlockType(worldX, y, worldZ, height);
-                    
-                    // Skip air blocks
-                    if (blockType === 'air') {
-                        continue;
-                    }
-                    
-                    // Create the block
-                    const block = this.createBlock(blockType, worldX, y, worldZ);
-                    
-                    if (block) {
-                        chunkBlocks.push(block);
-                        
-                        // Store block data
-                        this.blockData.set(`${worldX},${y},${worldZ}`, blockType);
-                    }
-                }
-                
-                // Generate trees or other structures
-                if (this.shouldGenerateTree(worldX, height, worldZ)) {
-                    this.generateStructure('tree', worldX, height, worldZ, chunkBlocks);
+        // Without workers the jobs themselves run here, within the same budget
+        this.workerPool.runInline(deadline);
+        
+        // Chunks read from the store
+        while (this.storedChunks.length > 0 && performance.now() < deadline) {
+            const job = this.storedChunks.shift();
+            if (this.pendingChunks.get(`${job.chunkX},${job.chunkZ}`) === job) {
+                this.integrateChunk(job);
+            }
+        }
+        
+        let job;
+        while ((job = this.workerPool.nextCompleted())) {
+            if (job.type === 'generate') {
+                this.integrateChunk(job);
+            } else if (job.type === 'mesh') {
+                this.integrateChunkMesh(job);
+            }
+            
+            if (performance.now() >= deadline) break;
+        }
+    }
+    
+    /**
+     * Add a generated or stored chunk to the world, light it and mesh the chunks it completes
+     * @param {Object} job - Finished generation job or chunk store read
+     * @private
+     */
+    integrateChunk(job) {
+        const key = `${job.chunkX},${job.chunkZ}`;
+        
+        // A failed generation is tried once more; after that the chunk is
+        // requested again when the player moves to another chunk
+        if (job.error) {
+            if (job.retried) {
+                this.pendingChunks.delete(key);
+            } else {
+                const retry = this.requestChunkGeneration(job.chunkX, job.chunkZ);
+                retry.retried = true;
+                this.pendingChunks.set(key, retry);
+            }
+            return;
+        }
+        
+        this.pendingChunks.delete(key);
+        
+        const { blocks, caveMask, light = null, states = null } = job.result;
+        const chunk = new Chunk(job.chunkX, job.chunkZ, this.chunkSize, blocks, caveMask, light);
+        chunk.states = states;
+        
+        // Re-apply any edits made to this chunk before it was unloaded; the
+        // light computed with the generated blocks no longer matches them.
+        // Stored chunks come without light.
+        if (this.applyBlockEdits(chunk) || !light) {
+            chunk.light = computeChunkLight(chunk.blocks, this.chunkSize, this.getLightTable());
+        }
+        this.chunks.set(chunk.key, chunk);
+        this.findFlames(chunk);
+        
+        // Flow that reached the chunk before it was loaded goes on
+        this.fluids.resumeChunk(chunk.key);
+        
+        // Light flows across the new borders; meshed chunks it reached are refreshed
+        for (const key of this.lighting.stitchChunk(chunk)) {
+            this.refreshChunkMesh(key);
+        }
+        
+        // This chunk may be the last missing neighbor of chunks around it
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                const neighbor = this.chunks.get(`${job.chunkX + dx},${job.chunkZ + dz}`);
+                if (neighbor) {
+                    this.requestChunkMesh(neighbor);
                 }
             }
         }
+    }
+    
+    /**
+     * Swap in a mesh built by a worker
+     * @param {Object} job - Finished mesh job
+     * @private
+     */
+    integrateChunkMesh(job) {
+        const chunk = job.chunk;
+        
+        if (this.meshJobs.get(chunk.key) !== job) return;
+        this.meshJobs.delete(chunk.key);
+        
+        // A failed mesh build is tried once more; after that the chunk is
+        // meshed again when it changes or comes back into render distance
+        if (job.error) {
+            if (!job.retried) {
+                this.queueChunkMesh(chunk);
+                this.meshJobs.get(chunk.key).retried = true;
+            }
+            return;
+        }
+        
+        this.createChunkMesh(chunk, job.result.geometryData);
+    }
+    
+    /**
+     * Queue a background mesh build for a chunk once it is ready to be rendered:
+     * inside render distance, not yet meshed, and with all eight neighbors loaded
+     * @param {Chunk} chunk - Chunk to mesh
+     * @private
+     */
+    requestChunkMesh(chunk) {
+        if (chunk.mesh || this.meshJobs.has(chunk.key)) return;
         
-        // Create merged geometry for better performance
-        const chunkMesh = this.createMergedChunkMesh(chunkBlocks, chunkX, chunkZ);
+        const { x: chunkX, z: chunkZ } = chunk.position;
+        if (!this.isWithinRenderDistance(chunkX, chunkZ)) return;
         
-        return {
-            position: { x: chunkX, z: chunkZ },
-            blocks: chunkBlocks,
-            mesh: chunkMesh,
-            loaded: true
-        };
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dz = -1; dz <= 1; dz++) {
+                if (!this.chunks.has(`${chunkX + dx},${chunkZ + dz}`)) return;
+            }
+        }
+        
+        this.queueChunkMesh(chunk);
+    }
+    
+    /**
+     * Queue a background rebuild of a chunk that already has (or is getting) a mesh
+     * The old mesh stays visible until the new one is ready.
+     * @param {string} key - Chunk key "x,z"
+     * @private
+     */
+    refreshChunkMesh(key) {
+        const chunk = this.chunks.get(key);
+        if (!chunk || !(chunk.mesh || this.meshJobs.has(key))) return;
+        
+        // A job already handed to a worker may have packed the old data
+        this.cancelChunkMesh(chunk);
+        this.queueChunkMesh(chunk);
+    }
+    
+    /**
+     * Queue a background mesh build for a chunk
+     * @param {Chunk} chunk - Chunk to mesh
+     * @private
+     */
+    queueChunkMesh(chunk) {
+        const { x: chunkX, z: chunkZ } = chunk.position;
+        
+        // The volumes are packed when a worker picks the job up, so it sees the latest blocks
+        this.meshJobs.set(chunk.key, this.workerPool.request({
+            type: 'mesh',
+            chunk,
+            chunkX,
+            chunkZ,
+            priority: this.getChunkPriority(chunkX, chunkZ),
+            prepare: () => {
+                const volume = this.mesher.packVolume(this.mesher.createVolume(),
+                    this.getChunkNeighborhood(chunk), this.getChunkNeighborhood(chunk, 'states'));
+                const light = this.mesher.packLight(this.mesher.createLightVolume(),
+                    this.getChunkNeighborhood(chunk, 'light'));
+                const message = { volume, light, smoothLighting: this.mesher.smoothLighting };
+                return { message, transfer: [volume.buffer, light.buffer] };
+            }
+        }));
+    }
+    
+    /**
+     * Cancel a chunk's queued background mesh build
+     * @param {Chunk} chunk - Chunk whose mesh job to cancel
+     * @private
+     */
+    cancelChunkMesh(chunk) {
+        const job = this.meshJobs.get(chunk.key);
+        if (job) {
+            this.workerPool.cancel(job);
+            this.meshJobs.delete(chunk.key);
+        }
     }
     
     /**
-     * Generate a height map for a chunk
+     * Squared chunk distance from the current center, used to order jobs nearest first
      * @param {number} chunkX - Chunk X coordinate
      * @param {number} chunkZ - Chunk Z coordinate
-     * @returns {Array} - 2D array of height values
+     * @returns {number} - Priority (lower is more urgent)
      * @private
      */
-    generateHeightMap(chunkX, chunkZ) {
-        const heightMap = [];
-        const chunkWorldX = chunkX * this.chunkSize.x;
-        const chunkWorldZ = chunkZ * this.chunkSize.z;
+    getChunkPriority(chunkX, chunkZ) {
+        if (!this.centerChunk) return 0;
         
-        for (let x = 0; x < this.chunkSize.x; x++) {
-            heightMap[x] = [];
-            
-            for (let z = 0; z < this.chunkSize.z; z++) {
-                const worldX = chunkWorldX + x;
-                const worldZ = chunkWorldZ + z;
-                
-                // Generate base terrain height using noise
-                // This is a placeholder for actual noise implementation
-                const nx = worldX * this.noiseGenerators.terrain.scale;
-                const nz = worldZ * this.noiseGenerators.terrain.scale;
-                
-                // Simplified noise calculation (replace with actual noise function)
-                const noise1 = Math.sin(nx) * Math.cos(nz) * 0.5 + 0.5;
-                const noise2 = Math.cos(nx * 0.5) * Math.sin(nz * 0.5) * 0.5 + 0.5;
-                
-                // Combine noise values
-                const combinedNoise = (noise1 * 0.7 + noise2 * 0.3);
-                
-                // Calculate final height
-                let height = Math.floor(
-                    this.terrainHeightMin + 
-                    combinedNoise * (this.terrainHeightMax - this.terrainHeightMin)
-                );
-                
-                // Add some random variation
-                height += Math.floor(Math.random() * 3) - 1;
-                
-                heightMap[x][z] = height;
+        const dx = chunkX - this.centerChunk.x;
+        const dz = chunkZ - this.centerChunk.z;
+        return dx * dx + dz * dz;
+    }
+    
+    /**
+     * Check whether a chunk is close enough to the center to be rendered
+     * @param {number} chunkX - Chunk X coordinate
+     * @param {number} chunkZ - Chunk Z coordinate
+     * @returns {boolean} - Whether the chunk is inside render distance
+     * @private
+     */
+    isWithinRenderDistance(chunkX, chunkZ) {
+        if (!this.centerChunk) return false;
+        
+        return Math.abs(chunkX - this.centerChunk.x) <= this.renderDistance &&
+               Math.abs(chunkZ - this.centerChunk.z) <= this.renderDistance;
+    }
+    
+    /**
+     * Free a chunk's block data and remove it from the loaded set
+     * @param {Chunk} chunk - Chunk to unload
+     * @private
+     */
+    unloadChunk(chunk) {
+        if (this.blockEdits.has(chunk.key)) {
+            this.storeChunk(chunk);
+        }
+        
+        this.chunks.delete(chunk.key);
+        this.forgetFlames(chunk);
+        
+        if (this.lastChunk === chunk) {
+            this.lastChunk = null;
+        }
+        
+        chunk.dispose();
+    }
+    
+    /**
+     * Write every loaded chunk with edits to the chunk store
+     * Edits to chunks that are not loaded stay in blockEdits until they are.
+     */
+    saveChunks() {
+        if (!this.chunkStore) return;
+        
+        for (const key of this.blockEdits.keys()) {
+            const chunk = this.chunks.get(key);
+            if (chunk) {
+                this.storeChunk(chunk);
             }
         }
-        
-        return heightMap;
     }
     
     /**
-     * Determine the type of block to place at a given position
+     * Write a chunk to the chunk store; its edits are then part of the stored chunk
+     * If the write fails the edits are put back, so the save still lists them.
+     * @param {Chunk} chunk - Chunk to store
+     * @private
+     */
+    storeChunk(chunk) {
+        if (!this.chunkStore) return;
+        
+        const key = chunk.key;
+        const worldId = this.worldId;
+        const edits = this.blockEdits.get(key);
+        this.blockEdits.delete(key);
+        
+        this.chunkStore.writeChunk(chunk).catch(error => {
+            console.error(`Chunk ${key} could not be stored:`, error);
+            if (!edits || this.worldId !== worldId) return;
+            
+            // Edits made since the write started are newer
+            const newer = this.blockEdits.get(key);
+            if (newer) {
+                for (const [index, edit] of newer) {
+                    edits.set(index, edit);
+                }
+            }
+            this.blockEdits.set(key, edits);
+        });
+    }
+    
+    /**
+     * Apply block edits that are not in the chunk store yet to a freshly loaded chunk
+     * @param {Chunk} chunk - Chunk to update
+     * @returns {boolean} - Whether the chunk had edits
+     * @private
+     */
+    applyBlockEdits(chunk) {
+        const edits = this.blockEdits.get(chunk.key);
+        if (!edits) return false;
+        
+        const layerSize = this.chunkSize.x * this.chunkSize.z;
+        for (const [index, edit] of edits.entries()) {
+            chunk.blocks[index] = edit & 0xff;
+            
+            // Block states are stored in the high byte
+            if (edit > 0xff) {
+                const y = Math.floor(index / layerSize);
+                chunk.setState(index % this.chunkSize.x, y, Math.floor((index % layerSize) / this.chunkSize.x), edit >> 8);
+            }
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Build (or rebuild) the merged mesh for a chunk
+     * One mesh per material, with hidden faces culled and coplanar faces merged
+     * @param {Object} chunk - Chunk to mesh
+     * @private
+     */
+    buildChunkMesh(chunk) {
+        this.cancelChunkMesh(chunk);
+        
+        const volume = this.mesher.packVolume(this.meshVolume,
+            this.getChunkNeighborhood(chunk), this.getChunkNeighborhood(chunk, 'states'));
+        const light = this.mesher.packLight(this.meshLight, this.getChunkNeighborhood(chunk, 'light'));
+        this.createChunkMesh(chunk, this.mesher.build(volume, this.getRenderTable().blockInfo, light));
+    }
+    
+    /**
+     * Block arrays of a chunk and its eight neighbors, in ChunkMesher.packVolume order
+     * @param {Chunk} chunk - Center chunk
+     * @param {string} field - Chunk array to collect ('blocks', 'states' or 'light')
+     * @returns {Array} - Arrays (null for chunks that are not loaded or lack the array)
+     * @private
+     */
+    getChunkNeighborhood(chunk, field = 'blocks') {
+        const neighborhood = [];
+        
+        for (let dz = -1; dz <= 1; dz++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const neighbor = this.chunks.get(`${chunk.position.x + dx},${chunk.position.z + dz}`);
+                neighborhood.push(neighbor ? neighbor[field] : null);
+            }
+        }
+        
+        return neighborhood;
+    }
+    
+    /**
+     * Turn mesher output into scene meshes for a chunk, replacing its old mesh
+     * @param {Chunk} chunk - Chunk the geometry belongs to
+     * @param {Map} geometryData - Material index => vertex data from ChunkMesher.build
+     * @private
+     */
+    createChunkMesh(chunk, geometryData) {
+        const chunkX = chunk.position.x;
+        const chunkZ = chunk.position.z;
+        const chunkWorldX = chunkX * this.chunkSize.x;
+        const chunkWorldZ = chunkZ * this.chunkSize.z;
+        const renderTable = this.getRenderTable();
+        
+        // Replace the previous mesh
+        this.disposeChunkMesh(chunk);
+        
+        const chunkGroup = new THREE.Group();
+        chunkGroup.name = `chunk_${chunkX}_${chunkZ}`;
+        chunkGroup.position.set(chunkWorldX * this.blockSize, 0, chunkWorldZ * this.blockSize);
+        chunkGroup.scale.setScalar(this.blockSize);
+        
+        for (const [materialIndex, data] of geometryData.entries()) {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(data.positions, 3));
+            geometry.setAttribute('normal', new THREE.BufferAttribute(data.normals, 3));
+            geometry.setAttribute('uv', new THREE.BufferAttribute(data.uvs, 2));
+            geometry.setAttribute('tile', new THREE.BufferAttribute(data.tiles, 1));
+            if (data.flows) {
+                // Meshes without it scroll nothing (see ResourceManager.applyAtlasTiling)
+                geometry.setAttribute('flow', new THREE.BufferAttribute(data.flows, 2));
+            }
+            geometry.setAttribute('color', new THREE.BufferAttribute(data.colors, 3));
+            geometry.setIndex(new THREE.BufferAttribute(data.indices, 1));
+            geometry.computeBoundingSphere();
+            
+            const material = this.resourceManager.getMaterial(renderTable.materialKeys[materialIndex]);
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.castShadow = true;
+            mesh.receiveShadow = true;
+            mesh.userData.isChunk = true;
+            
+            // Translucent blocks (water) draw in a later pass, after all opaque and
+            // cut-out terrain, so they never hide the terrain behind them
+            if (material.transparent && !material.alphaTest) {
+                mesh.renderOrder = 1;
+                mesh.castShadow = false;
+            }
+            
+            chunkGroup.add(mesh);
+        }
+        
+        chunk.mesh = chunkGroup;
+        this.scene.add(chunkGroup);
+    }
+    
+    /**
+     * Remove a chunk's mesh from the scene and free its geometry
+     * Materials are shared through the ResourceManager and are not disposed here
+     * @param {Object} chunk - Chunk whose mesh to dispose
+     * @private
+     */
+    disposeChunkMesh(chunk) {
+        if (!chunk.mesh) return;
+        
+        this.scene.remove(chunk.mesh);
+        chunk.mesh.children.forEach(mesh => mesh.geometry.dispose());
+        chunk.mesh = null;
+    }
+    
+    /**
+     * Rebuild the chunk containing a block, plus any neighbor chunk it borders
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @private
+     */
+    rebuildChunksAt(x, z) {
+        for (const key of this.getChunkKeysAt(x, z)) {
+            this.rebuildChunk(key);
+        }
+    }
+    
+    /**
+     * Rebuild a chunk's mesh if it has or is about to get one
+     * @param {string} key - Chunk key "x,z"
+     * @private
+     */
+    rebuildChunk(key) {
+        const chunk = this.chunks.get(key);
+        this.dirtyChunks.delete(key);
+        
+        // Chunks in the unrendered outer ring stay without a mesh; a queued
+        // background build is replaced since it may predate the edit
+        if (chunk && (chunk.mesh || this.meshJobs.has(chunk.key))) {
+            this.buildChunkMesh(chunk);
+        }
+    }
+    
+    /**
+     * Keys of the chunk containing a block plus any neighbor chunk whose mesh
+     * shows it: the chunks it borders, and at a corner the diagonal chunk too
+     * (smooth lighting reads diagonal blocks for ambient occlusion)
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {Array} - Chunk keys "x,z"
+     */
+    getChunkKeysAt(x, z) {
+        const chunkX = Math.floor(x / this.chunkSize.x);
+        const chunkZ = Math.floor(z / this.chunkSize.z);
+        const localX = x - chunkX * this.chunkSize.x;
+        const localZ = z - chunkZ * this.chunkSize.z;
+        const dx = localX === 0 ? -1 : localX === this.chunkSize.x - 1 ? 1 : 0;
+        const dz = localZ === 0 ? -1 : localZ === this.chunkSize.z - 1 ? 1 : 0;
+        
+        const keys = [`${chunkX},${chunkZ}`];
+        if (dx) keys.push(`${chunkX + dx},${chunkZ}`);
+        if (dz) keys.push(`${chunkX},${chunkZ + dz}`);
+        if (dx && dz) keys.push(`${chunkX + dx},${chunkZ + dz}`);
+        
+        return keys;
+    }
+    
+    /**
+     * Rebuild every chunk marked dirty since the last call
+     * @private
+     */
+    rebuildDirtyChunks() {
+        for (const key of this.dirtyChunks) {
+            this.rebuildChunk(key);
+        }
+        this.dirtyChunks.clear();
+    }
+    
+    /**
+     * Get block at a specific position
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {string} - Block type at position or 'air' if none
+     */
+    getBlockAt(x, y, z) {
+        return this.resourceManager.getBlockTypeById(this.getBlockIdAt(x, y, z)).key;
+    }
+    
+    /**
+     * Get the numeric block id at a specific position
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} - Block id (0 for air or unloaded chunks)
+     */
+    getBlockIdAt(x, y, z) {
+        x = Math.floor(x);
+        y = Math.floor(y);
+        z = Math.floor(z);
+        
+        if (y < 0 || y >= this.chunkSize.y) return 0;
+        
+        const chunk = this.getChunkAt(x, z);
+        if (!chunk) return 0;
+        
+        const localX = x - chunk.position.x * this.chunkSize.x;
+        const localZ = z - chunk.position.z * this.chunkSize.z;
+        return chunk.blocks[chunk.getIndex(localX, y, localZ)];
+    }
+    
+    /**
+     * Set the block id at a world position and record it as an edit
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @param {number} id - Block id
+     * @param {number} state - Block state (e.g. fluid level, see FluidSimulator)
+     * @returns {boolean} - Whether the containing chunk is loaded
+     * @private
+     */
+    setBlockIdAt(x, y, z, id, state = 0) {
+        const chunk = this.getChunkAt(x, z);
+        if (!chunk || y < 0 || y >= this.chunkSize.y) return false;
+        
+        const localX = x - chunk.position.x * this.chunkSize.x;
+        const localZ = z - chunk.position.z * this.chunkSize.z;
+        const index = chunk.getIndex(localX, y, localZ);
+        const previous = chunk.blocks[index];
+        chunk.blocks[index] = id;
+        chunk.setState(localX, y, localZ, state);
+        
+        // Remember the edit so it survives the chunk being unloaded
+        this.recordBlockEdit(x, y, z, id, state);
+        
+        // Relight around the block; chunks whose light changed are remeshed at the end of the frame
+        if (id !== previous) {
+            for (const key of this.lighting.onBlockChanged(x, y, z)) {
+                this.dirtyChunks.add(key);
+            }
+        }
+        
+        const flameBlocks = this.getFlameBlocks();
+        if (flameBlocks[id]) {
+            this.flames.set(`${x},${y},${z}`, { x, y, z, state, timer: Math.random() });
+        } else if (flameBlocks[previous]) {
+            this.flames.delete(`${x},${y},${z}`);
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Record a block edit for its chunk, whether or not the chunk is loaded
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @param {number} id - Block id
+     * @param {number} state - Block state, kept in the high byte of the stored edit
+     * @private
+     */
+    recordBlockEdit(x, y, z, id, state = 0) {
+        const chunkX = Math.floor(x / this.chunkSize.x);
+        const chunkZ = Math.floor(z / this.chunkSize.z);
+        const chunkKey = `${chunkX},${chunkZ}`;
+        const localX = x - chunkX * this.chunkSize.x;
+        const localZ = z - chunkZ * this.chunkSize.z;
+        const index = localX + localZ * this.chunkSize.x + y * this.chunkSize.x * this.chunkSize.z;
+        
+        if (!this.blockEdits.has(chunkKey)) {
+            this.blockEdits.set(chunkKey, new Map());
+        }
+        this.blockEdits.get(chunkKey).set(index, id | (state << 8));
+    }
+    
+    /**
+     * Get the skylight level at a world position
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} - Skylight (0-15; full above the world, 0 in unloaded chunks)
+     */
+    getSkyLight(x, y, z) {
+        return this.lighting.getLight(Math.floor(x), Math.floor(y), Math.floor(z)) >> 4;
+    }
+    
+    /**
+     * Get the block light level at a world position
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} - Light from emissive blocks (0-15)
+     */
+    getBlockLight(x, y, z) {
+        return this.lighting.getLight(Math.floor(x), Math.floor(y), Math.floor(z)) & 0xf;
+    }
+    
+    /**
+     * Shade an entity's geometry with the light at its position, like the terrain around it
+     * Block materials take their light from vertex colors (see ChunkMesher.emitQuad).
+     * @param {THREE.BufferGeometry} geometry - Entity geometry
+     * @param {number} x - World X coordinate to sample the light at
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     */
+    shadeEntity(geometry, x, y, z) {
+        const sky = getLightBrightness(this.getSkyLight(x, y, z));
+        const glow = getLightBrightness(this.getBlockLight(x, y, z));
+        
+        let colors = geometry.getAttribute('color');
+        if (!colors) {
+            colors = new THREE.BufferAttribute(new Float32Array(geometry.getAttribute('position').count * 3), 3);
+            geometry.setAttribute('color', colors);
+        } else if (colors.getX(0) === Math.fround(sky) && colors.getY(0) === Math.fround(glow)) {
+            return;
+        }
+        
+        for (let i = 0; i < colors.count; i++) {
+            colors.setXYZ(i, sky, glow, 1);
+        }
+        colors.needsUpdate = true;
+    }
+    
+    /**
+     * Get the block state at a world position
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} - State byte (0 for blocks without state and unloaded chunks)
+     */
+    getBlockState(x, y, z) {
+        x = Math.floor(x);
+        y = Math.floor(y);
+        z = Math.floor(z);
+        
+        const chunk = this.getChunkAt(x, z);
+        if (!chunk) return 0;
+        
+        return chunk.getState(x - chunk.position.x * this.chunkSize.x, y, z - chunk.position.z * this.chunkSize.z);
+    }
+    
+    /**
+     * Get the fluid level at a world position (the state of a fluid block)
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} - Fluid level (0 for sources and unloaded chunks)
+     */
+    getFluidLevel(x, y, z) {
+        return this.getBlockState(x, y, z);
+    }
+    
+    /**
+     * Change a block as part of fluid flow; meshes are rebuilt at the end of the frame
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @param {number} id - Fluid block id, or 0 to dry up
+     * @param {number} level - Fluid level
+     */
+    setFluidAt(x, y, z, id, level) {
+        if (!this.setBlockIdAt(x, y, z, id, level)) return;
+        
+        for (const key of this.getChunkKeysAt(x, z)) {
+            this.dirtyChunks.add(key);
+        }
+    }
+    
+    /**
+     * Set a block without the player's involvement (falling blocks landing, etc.)
+     * Meshes are rebuilt at the end of the frame and neighbors are notified.
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @param {string} blockType - Block type key ('air' to clear)
+     * @returns {boolean} - Whether the containing chunk is loaded
+     */
+    setBlock(x, y, z, blockType) {
+        if (!this.setBlockIdAt(x, y, z, this.resourceManager.getBlockType(blockType).id)) {
+            return false;
+        }
+        
+        for (const key of this.getChunkKeysAt(x, z)) {
+            this.dirtyChunks.add(key);
+        }
+        this.notifyBlockChange(x, y, z);
+        
+        return true;
+    }
+    
+    /**
+     * Register the reaction of a physics type to changes next to its blocks
+     * @param {string} physics - Block type physics property (e.g. 'fluid', 'falling')
+     * @param {Function} handler - (x, y, z, blockType) => void
+     */
+    registerBlockUpdateHandler(physics, handler) {
+        this.blockUpdateHandlers.set(physics, handler);
+    }
+    
+    /**
+     * Queue a block update for a changed block and its six neighbors
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     */
+    notifyBlockChange(x, y, z) {
+        const positions = [
+            [x, y, z],
+            [x + 1, y, z], [x - 1, y, z],
+            [x, y + 1, z], [x, y - 1, z],
+            [x, y, z + 1], [x, y, z - 1]
+        ];
+        
+        for (const [px, py, pz] of positions) {
+            this.blockUpdates.set(`${px},${py},${pz}`, { x: px, y: py, z: pz });
+        }
+    }
+    
+    /**
+     * Run the queued block updates
+     * Updates queued while these run (e.g. a column of sand) wait for the next frame.
+     * @private
+     */
+    processBlockUpdates() {
+        if (this.blockUpdates.size === 0) return;
+        
+        const updates = this.blockUpdates;
+        this.blockUpdates = new Map();
+        
+        for (const { x, y, z } of updates.values()) {
+            const id = this.getBlockIdAt(x, y, z);
+            if (id === 0) continue;
+            
+            const blockType = this.resourceManager.getBlockTypeById(id);
+            const handler = this.blockUpdateHandlers.get(blockType.physics);
+            if (handler) {
+                handler(x, y, z, blockType);
+            }
+        }
+    }
+    
+    /**
+     * Turn a falling block without support into a falling entity
+     * @private
+     */
+    updateFallingBlock(x, y, z, blockType) {
+        if (!this.isPassable(x, y - 1, z)) return;
+        
+        this.setBlock(x, y, z, 'air');
+        this.addEntity(new FallingBlock(this, blockType.key, x, y, z));
+    }
+    
+    /**
+     * Pop an attached block (torch, plant) off as an item when the block holding it is gone
+     * @private
+     */
+    updateAttachedBlock(x, y, z, blockType) {
+        const [dx, dy, dz] = ATTACHMENTS[this.getBlockState(x, y, z)] || ATTACHMENTS[0];
+        if (!this.isChunkLoadedAt(x + dx, z + dz) || this.canSupport(x + dx, y + dy, z + dz)) return;
+        
+        this.setBlock(x, y, z, 'air');
+        if (blockType.drops) {
+            this.addEntity(new ItemEntity(this, blockType.drops, 1,
+                new THREE.Vector3(x + 0.5, y + 0.25, z + 0.5)));
+        }
+    }
+    
+    /**
+     * Check whether a block can hold an attached block (a full, solid block, not a slab or fence)
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {boolean} - Whether the block gives support
+     */
+    canSupport(x, y, z) {
+        const blockType = this.resourceManager.getBlockTypeById(this.getBlockIdAt(x, y, z));
+        return blockType.solid && !blockType.transparent && !blockType.model;
+    }
+    
+    /**
+     * Choose how an attached block is mounted when placed
+     * The block clicked on (opposite the placement normal) is preferred, then the
+     * floor, then any wall. Attached blocks never hang from a ceiling, and some
+     * models (plants) only stand on the floor.
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @param {THREE.Vector3} normal - Face of the clicked block the new block is placed against (optional)
+     * @param {string} model - Model of the attached block (optional)
+     * @returns {number} - Block state (see ATTACHMENTS), or -1 without support
+     * @private
+     */
+    findAttachment(x, y, z, normal, model = null) {
+        const allowed = getAttachmentStates(model);
+        const candidates = [];
+        if (normal) {
+            const clicked = ATTACHMENTS.findIndex(([dx, dy, dz]) =>
+                dx === -normal.x && dy === -normal.y && dz === -normal.z);
+            if (allowed.includes(clicked)) candidates.push(clicked);
+        }
+        candidates.push(...allowed);
+        
+        for (const state of candidates) {
+            const [dx, dy, dz] = ATTACHMENTS[state];
+            if (this.canSupport(x + dx, y + dy, z + dz)) return state;
+        }
+        
+        return -1;
+    }
+    
+    /**
+     * Get which block ids give off flame particles, building the table on first use
+     * @returns {Uint8Array} - 1 for block types with `flame` set, indexed by block id
+     * @private
+     */
+    getFlameBlocks() {
+        if (!this.flameBlocks) {
+            this.flameBlocks = new Uint8Array(256);
+            for (const blockType of this.resourceManager.blockTypes.values()) {
+                if (blockType.flame) this.flameBlocks[blockType.id] = 1;
+            }
+        }
+        return this.flameBlocks;
+    }
+    
+    /**
+     * Track the flame blocks of a newly loaded chunk
+     * @param {Chunk} chunk - Loaded chunk
+     * @private
+     */
+    findFlames(chunk) {
+        const flameBlocks = this.getFlameBlocks();
+        const { blocks } = chunk;
+        const layerSize = this.chunkSize.x * this.chunkSize.z;
+        
+        for (let index = 0; index < blocks.length; index++) {
+            if (!flameBlocks[blocks[index]]) continue;
+            
+            const localX = index % this.chunkSize.x;
+            const localZ = Math.floor((index % layerSize) / this.chunkSize.x);
+            const y = Math.floor(index / layerSize);
+            const x = chunk.position.x * this.chunkSize.x + localX;
+            const z = chunk.position.z * this.chunkSize.z + localZ;
+            
+            this.flames.set(`${x},${y},${z}`, { x, y, z, state: chunk.getState(localX, y, localZ), timer: Math.random() });
+        }
+    }
+    
+    /**
+     * Stop tracking the flame blocks of an unloaded chunk
+     * @param {Chunk} chunk - Chunk being unloaded
+     * @private
+     */
+    forgetFlames(chunk) {
+        for (const [key, flame] of this.flames) {
+            if (Math.floor(flame.x / this.chunkSize.x) === chunk.position.x &&
+                Math.floor(flame.z / this.chunkSize.z) === chunk.position.z) {
+                this.flames.delete(key);
+            }
+        }
+    }
+    
+    /**
+     * Set the particle system flames emit into
+     * @param {ParticleSystem} particles - Particle system, or null to turn flame particles off
+     */
+    setParticleSystem(particles) {
+        this.particles = particles;
+    }
+    
+    /**
+     * Emit flame particles from flame blocks near the player
+     * @param {number} deltaTime - Time since last update in seconds
+     * @param {THREE.Vector3} playerPosition - Current player position
+     * @private
+     */
+    updateFlames(deltaTime, playerPosition) {
+        if (!this.particles || !playerPosition) return;
+        
+        const maxDistance = this.flameDistance * this.flameDistance;
+        for (const flame of this.flames.values()) {
+            const dx = flame.x + 0.5 - playerPosition.x;
+            const dy = flame.y + 0.5 - playerPosition.y;
+            const dz = flame.z + 0.5 - playerPosition.z;
+            if (dx * dx + dy * dy + dz * dz > maxDistance) continue;
+            
+            flame.timer -= deltaTime;
+            if (flame.timer > 0) continue;
+            flame.timer = 0.4 + Math.random() * 0.4;
+            
+            // Just above the tip of the model
+            const blockType = this.resourceManager.getBlockTypeById(this.getBlockIdAt(flame.x, flame.y, flame.z));
+            const [ox, oy, oz] = getModelOffset(blockType.model, flame.state);
+            this.particles.createFlameParticles(new THREE.Vector3(
+                flame.x + 0.5 + ox,
+                flame.y + 10 / 16 + 0.1 + oy,
+                flame.z + 0.5 + oz
+            ));
+        }
+    }
+    
+    /**
+     * Check whether falling things can move through a block (air or fluid)
+     * Unloaded chunks count as solid so nothing falls into ungenerated terrain.
      * @param {number} x - World X coordinate
      * @param {number} y - World Y coordinate
      * @param {number} z - World Z coordinate
-     * @param {number} surfaceHeight - Surface height at this x,z position
-     * @returns {string} - Type of block to place
-     * @private
+     * @returns {boolean} - Whether the block is passable
      */
-    determineBlockType(x, y, z, surfaceHeight) {
-        // Bedrock at bottom
-        if (y === 0) {
-            return 'stone';
-        }
-        
-        // Below surface
-        if (y < surfaceHeight - 4) {
-            // Occasional ore veins would go here
-            return 'stone';
-        }
-        
-        // Just below surface
-        if (y < surfaceHeight) {
-            return 'dirt';
-        }
-        
-        // Surface block
-        if (y === surfaceHeight) {
-            // Determine biome and surface block
-            // For now just use grass
-            return 'grass';
-        }
+    isPassable(x, y, z) {
+        if (y < 0 || y >= this.chunkSize.y || !this.isChunkLoadedAt(x, z)) return false;
         
-        // Above surface (air)
-        return 'air';
+        const id = this.getBlockIdAt(x, y, z);
+        return id === 0 || this.resourceManager.getBlockTypeById(id).physics === 'fluid';
     }
     
     /**
-     * Check if a tree should be generated at this position
+     * Check whether a falling block can turn back into a block at a position
+     * It needs free space and a full block to rest on; on leaves and other
+     * see-through blocks it breaks into an item instead.
      * @param {number} x - World X coordinate
-     * @param {number} y - World Y coordinate (surface height)
+     * @param {number} y - World Y coordinate
      * @param {number} z - World Z coordinate
-     * @returns {boolean} - Whether to generate a tree
-     * @private
+     * @returns {boolean} - Whether the block can settle there
      */
-    shouldGenerateTree(x, y, z) {
-        // Simple random tree placement
-        // More complex biome-based generation would go here
-        return Math.random() < 0.02; // 2% chance per block
+    canSettleAt(x, y, z) {
+        if (!this.isPassable(x, y, z)) return false;
+        
+        const below = this.resourceManager.getBlockTypeById(this.getBlockIdAt(x, y - 1, z));
+        return below.solid && !below.transparent;
     }
     
     /**
-     * Generate a structure at a specific position
-     * @param {string} structureType - Type of structure to generate
-     * @param {number} x - World X coordinate
-     * @param {number} y - World Y coordinate (base)
-     * @param {number} z - World Z coordinate
-     * @param {Array} blockArray - Array to add new blocks to
+     * Add an entity to the world; it is updated every frame until its update returns false
+     * @param {Object} entity - Entity with update(deltaTime) and dispose()
+     */
+    addEntity(entity) {
+        this.entities.push(entity);
+    }
+    
+    /**
+     * Update all entities and remove the ones that are done
+     * @param {number} deltaTime - Time since last update in seconds
      * @private
      */
-    generateStructure(structureType, x, y, z, blockArray) {
-        const structure = this.structures[structureType];
-        
-        if (!structure) {
-            console.warn(`Unknown structure type: ${structureType}`);
-            return;
-        }
-        
-        // Tree generation
-        if (structureType === 'tree') {
-            const height = structure.height;
-            const radius = structure.canopyRadius;
-            
-            // Generate structure blocks in the area
-            for (let dx = -radius; dx <= radius; dx++) {
-                for (let dy = 0; dy <= height; dy++) {
-                    for (let dz = -radius; dz <= radius; dz++) {
-                        const blockType = structure.getBlock(dx, dy, dz);
-                        
-                        if (blockType !== 'air') {
-                            const blockX = x + dx;
-                            const blockY = y + dy;
-                            const blockZ = z + dz;
-                            
-                            // Create the block
-                            const block = this.createBlock(blockType, blockX, blockY, blockZ);
-                            
-                            if (block) {
-                                blockArray.push(block);
-                                
-                                // Store block data
-                                this.blockData.set(`${blockX},${blockY},${blockZ}`, blockType);
-                            }
-                        }
-                    }
-                }
+    updateEntities(deltaTime) {
+        // Entities may add new entities while updating (e.g. a block breaking into an item)
+        const entities = this.entities;
+        this.entities = [];
+        
+        for (const entity of entities) {
+            if (entity.update(deltaTime)) {
+                this.entities.push(entity);
+            } else {
+                entity.dispose();
             }
         }
     }
     
     /**
-     * Create a block of a specific type
-     * @param {string} blockType - Type of block to create
-     * @param {number} x - World X coordinate
-     * @param {number} y - World Y coordinate
-     * @param {number} z - World Z coordinate
-     * @returns {THREE.Mesh} - The created block mesh
-     * @private
+     * Pick up dropped items near a position
+     * @param {THREE.Vector3} position - Collector position (feet)
+     * @param {number} radius - Pickup radius
+     * @param {Function} collect - (type, count) => count that did not fit
      */
-    createBlock(blockType, x, y, z) {
-        // Use ResourceManager to create a block
-        const block = this.resourceManager.createBlock(blockType, { x, y, z });
-        
-        if (block) {
-            // Set block position
-            block.position.set(x, y, z);
+    collectItems(position, radius, collect) {
+        for (const entity of this.entities) {
+            if (!entity.canPickUp || !entity.canPickUp()) continue;
             
-            // Mark as a specific block type
-            block.userData.blockType = blockType;
-            block.userData.isBlock = true;
+            const dx = entity.position.x - position.x;
+            const dy = entity.position.y - (position.y + 0.9);
+            const dz = entity.position.z - position.z;
+            if (dx * dx + dy * dy + dz * dz > radius * radius) continue;
             
-            return block;
+            entity.count = collect(entity.type, entity.count);
+            if (entity.count === 0) {
+                entity.alive = false;
+            }
         }
-        
-        return null;
     }
     
     /**
-     * Create a merged mesh for an entire chunk
-     * @param {Array} blocks - Array of blocks in the chunk
-     * @param {number} chunkX - Chunk X coordinate
-     * @param {number} chunkZ - Chunk Z coordinate
-     * @returns {THREE.Mesh} - Merged chunk mesh
-     * @private
+     * Check whether a point is inside a fluid, below its surface
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {boolean} - Whether the point is submerged
      */
-    createMergedChunkMesh(blocks, chunkX, chunkZ) {
-        // For simplified implementation, return a group of blocks
-        // In a full implementation, this would create an optimized merged geometry
-        const chunkGroup = new THREE.Group();
-        chunkGroup.name = `chunk_${chunkX}_${chunkZ}`;
-        
-        blocks.forEach(block => {
-            chunkGroup.add(block);
-        });
+    isInFluid(x, y, z) {
+        const id = this.getBlockIdAt(x, y, z);
+        if (id === 0 || this.resourceManager.getBlockTypeById(id).physics !== 'fluid') {
+            return false;
+        }
         
-        return chunkGroup;
+        const covered = this.getBlockIdAt(x, y + 1, z) === id;
+        return y - Math.floor(y) < getFluidHeight(this.getFluidLevel(x, y, z), covered);
     }
     
     /**
-     * Update the list of collidable objects in the world
-     * @private
+     * Get the loaded chunk containing a world position
+     * @param {number} x - World X coordinate (block units)
+     * @param {number} z - World Z coordinate (block units)
+     * @returns {Chunk|null} - The chunk or null if not loaded
      */
-    updateCollidableObjects() {
-        this.collidableObjects = [];
+    getChunkAt(x, z) {
+        const chunkX = Math.floor(x / this.chunkSize.x);
+        const chunkZ = Math.floor(z / this.chunkSize.z);
         
-        // Add all chunk meshes to collidable objects
-        for (const chunk of this.chunks.values()) {
-            // For simple implementation, each block is its own mesh
-            if (chunk.blocks) {
-                this.collidableObjects.push(...chunk.blocks);
-            }
+        // Most lookups hit the same chunk as the previous one
+        const last = this.lastChunk;
+        if (last && last.position.x === chunkX && last.position.z === chunkZ) {
+            return last;
         }
-    }
-    
-    /**
-     * Get block at a specific position
-     * @param {number} x - World X coordinate
-     * @param {number} y - World Y coordinate
-     * @param {number} z - World Z coordinate
-     * @returns {string} - Block type at position or 'air' if none
-     */
-    getBlockAt(x, y, z) {
-        const blockKey = `${Math.floor(x)},${Math.floor(y)},${Math.floor(z)}`;
-        return this.blockData.get(blockKey) || 'air';
+        
+        const chunk = this.chunks.get(`${chunkX},${chunkZ}`) || null;
+        if (chunk) {
+            this.lastChunk = chunk;
+        }
+        
+        return chunk;
     }
     
     /**
@@ -524,10 +1501,8 @@ export class World {
      * @returns {boolean} - Whether the position is solid
      */
     isSolid(x, y, z) {
-        const blockType = this.getBlockAt(x, y, z);
-        
         // Get block data
-        const blockInfo = this.resourceManager.getBlockType(blockType);
+        const blockInfo = this.resourceManager.getBlockTypeById(this.getBlockIdAt(x, y, z));
         
         // Check if block is solid
         return blockInfo && blockInfo.solid;
@@ -539,42 +1514,48 @@ export class World {
      * @param {number} x - World X coordinate
      * @param {number} y - World Y coordinate
      * @param {number} z - World Z coordinate
+     * @param {THREE.Vector3} normal - Face of the targeted block it is placed against (optional)
+     * @param {Object} placement - How the player placed it, for shaped blocks (optional):
+     *     {point: where the targeted block was hit, direction: look direction}
      * @returns {boolean} - Whether the block was placed successfully
      */
-    placeBlock(blockType, x, y, z) {
+    placeBlock(blockType, x, y, z, normal = null, placement = null) {
         // Ensure coordinates are integers
         x = Math.floor(x);
         y = Math.floor(y);
         z = Math.floor(z);
         
-        // Check if there's already a block here
-        if (this.getBlockAt(x, y, z) !== 'air') {
+        // Check if there's already a block here (fluids are displaced)
+        const existing = this.getBlockIdAt(x, y, z);
+        if (existing !== 0 && this.resourceManager.getBlockTypeById(existing).physics !== 'fluid') {
             return false;
         }
         
-        // Create the block
-        const block = this.createBlock(blockType, x, y, z);
-        
-        if (!block) {
+        // Air and items that are not blocks are not placeable, and blocks must stay inside the world height
+        if (blockType === 'air' || !this.resourceManager.blockTypes.has(blockType) ||
+            y < 0 || y >= this.chunkSize.y) {
             return false;
         }
         
-        // Get the chunk this block belongs to
-        const chunkX = Math.floor(x / this.chunkSize.x);
-        const chunkZ = Math.floor(z / this.chunkSize.z);
-        const chunkKey = `${chunkX},${chunkZ}`;
+        // Attached blocks (torches, plants) need a block to hold them
+        const type = this.resourceManager.getBlockType(blockType);
+        let state = 0;
+        if (type.physics === 'attached') {
+            state = this.findAttachment(x, y, z, normal, type.model);
+            if (state === -1) return false;
+        } else if (type.model && normal && placement) {
+            // Slabs and stairs take the half and direction they were placed in
+            const hitHeight = placement.point.y - Math.floor(placement.point.y);
+            state = getPlacementState(type.model, normal, hitHeight, placement.direction);
+        }
         
         // Add block to the appropriate chunk
-        if (this.chunks.has(chunkKey)) {
-            const chunk = this.chunks.get(chunkKey);
-            chunk.blocks.push(block);
-            chunk.mesh.add(block);
+        if (this.setBlockIdAt(x, y, z, type.id, state)) {
+            // Rebuild the affected chunk meshes
+            this.rebuildChunksAt(x, z);
             
-            // Update block data
-            this.blockData.set(`${x},${y},${z}`, blockType);
-            
-            // Update collidable objects
-            this.collidableObjects.push(block);
+            // Fluid around the block may have lost its feed
+            this.notifyBlockChange(x, y, z);
             
             return true;
         }
@@ -602,121 +1583,220 @@ export class World {
             return false;
         }
         
-        // Get the chunk this block belongs to
-        const chunkX = Math.floor(x / this.chunkSize.x);
-        const chunkZ = Math.floor(z / this.chunkSize.z);
-        const chunkKey = `${chunkX},${chunkZ}`;
+        // Bedrock and the like cannot be broken
+        if (this.resourceManager.getBlockType(blockType).unbreakable) {
+            return false;
+        }
         
         // Remove block from the appropriate chunk
-        if (this.chunks.has(chunkKey)) {
-            const chunk = this.chunks.get(chunkKey);
+        if (this.setBlockIdAt(x, y, z, 0)) {
+            // Rebuild the affected chunk meshes
+            this.rebuildChunksAt(x, z);
             
-            // Find and remove the block from the chunk
-            const blockIndex = chunk.blocks.findIndex(block => 
-                block.position.x === x && 
-                block.position.y === y && 
-                block.position.z === z
-            );
+            // Neighboring fluid flows into the gap, blocks above may fall
+            this.notifyBlockChange(x, y, z);
             
-            if (blockIndex !== -1) {
-                const block = chunk.blocks[blockIndex];
-                
-                // Remove from scene
-                chunk.mesh.remove(block);
-                
-                // Dispose geometry and material
-                if (block.geometry) {
-                    block.geometry.dispose();
-                }
-                
-                if (Array.isArray(block.material)) {
-                    block.material.forEach(mat => mat.dispose());
-                } else if (block.material) {
-                    block.material.dispose();
-                }
-                
-                // Remove from blocks array
-                chunk.blocks.splice(blockIndex, 1);
-                
-                // Update block data
-                this.blockData.delete(`${x},${y},${z}`);
-                
-                // Update collidable objects
-                this.updateCollidableObjects();
-                
-                return true;
-            }
+            return true;
         }
         
         return false;
     }
     
     /**
-     * Ray casting to find the block the player is looking at
-     * @param {THREE.Vector3} position - Player position
+     * Find the block the player is looking at
+     * Walks the voxel grid cell by cell along the ray (Amanatides & Woo), so the
+     * cost depends only on the reach, not on how many blocks are loaded. Blocks
+     * with a model are only hit where the model is (see BlockModels.getSelectionBoxes).
+     * @param {THREE.Vector3} position - Ray origin (world units)
      * @param {THREE.Vector3} direction - Look direction
      * @param {number} maxDistance - Maximum distance to check
-     * @returns {Object} - Information about the targeted block or null
+     * @returns {Object} - {position, adjacentPosition, normal, point, distance, blockType} or null;
+     *     point is where the ray hit the block
      */
     getTargetBlock(position, direction, maxDistance = 5) {
-        // Create a raycaster if it doesn't exist
-        if (!this.raycaster) {
-            this.raycaster = new THREE.Raycaster();
-            this.raycaster.far = maxDistance;
-        }
-        
-        this.raycaster.set(position, direction.normalize());
-        this.raycaster.far = maxDistance; // Set the max distance
-        
-        // Find intersections with collidable objects
-        const intersects = this.raycaster.intersectObjects(this.collidableObjects, false);
-        
-        if (intersects.length > 0) {
-            const intersection = intersects[0];
+        const dir = direction.clone().normalize();
+        const origin = position.clone().divideScalar(this.blockSize);
+        const maxT = maxDistance / this.blockSize;
+        
+        // Current cell
+        let x = Math.floor(origin.x);
+        let y = Math.floor(origin.y);
+        let z = Math.floor(origin.z);
+        
+        // Direction to step in on each axis
+        const stepX = Math.sign(dir.x);
+        const stepY = Math.sign(dir.y);
+        const stepZ = Math.sign(dir.z);
+        
+        // Ray length needed to cross one whole cell on each axis
+        const tDeltaX = stepX !== 0 ? Math.abs(1 / dir.x) : Infinity;
+        const tDeltaY = stepY !== 0 ? Math.abs(1 / dir.y) : Infinity;
+        const tDeltaZ = stepZ !== 0 ? Math.abs(1 / dir.z) : Infinity;
+        
+        // Ray length at which the next cell boundary is crossed on each axis
+        let tMaxX = stepX > 0 ? (x + 1 - origin.x) * tDeltaX : stepX < 0 ? (origin.x - x) * tDeltaX : Infinity;
+        let tMaxY = stepY > 0 ? (y + 1 - origin.y) * tDeltaY : stepY < 0 ? (origin.y - y) * tDeltaY : Infinity;
+        let tMaxZ = stepZ > 0 ? (z + 1 - origin.z) * tDeltaZ : stepZ < 0 ? (origin.z - z) * tDeltaZ : Infinity;
+        
+        // Face of the current cell the ray entered through (zero for the starting cell)
+        const normal = new THREE.Vector3();
+        let t = 0;
+        
+        while (t <= maxT) {
+            const blockId = this.getBlockIdAt(x, y, z);
             
-            // Check if intersection is within reach
-            if (intersection.distance <= maxDistance) {
-                const block = intersection.object;
-                
-                // Calculate block position
-                const blockPosition = block.position.clone();
-                
-                // Calculate face normal to determine which face was hit
-                const faceNormal = intersection.face.normal.clone();
-                
-                // Adjacent block position (where a new block would be placed)
-                const adjacentPosition = blockPosition.clone().add(faceNormal);
+            const hit = this.isTargetable(blockId) && this.raycastBlock(x, y, z, blockId, origin, dir, t, normal);
+            if (hit && hit.t <= maxT) {
+                const blockPosition = new THREE.Vector3(x, y, z);
                 
                 return {
                     position: blockPosition,
-                    adjacentPosition: adjacentPosition,
-                    normal: faceNormal,
-                    distance: intersection.distance,
-                    blockType: block.userData.blockType
+                    adjacentPosition: blockPosition.clone().add(hit.normal), // Where a new block would be placed
+                    normal: hit.normal,
+                    point: origin.clone().addScaledVector(dir, hit.t).multiplyScalar(this.blockSize),
+                    distance: hit.t * this.blockSize,
+                    blockType: this.resourceManager.getBlockTypeById(blockId).key
                 };
             }
+            
+            // Step into the next cell along the axis whose boundary is closest
+            if (tMaxX < tMaxY && tMaxX < tMaxZ) {
+                x += stepX;
+                t = tMaxX;
+                tMaxX += tDeltaX;
+                normal.set(-stepX, 0, 0);
+            } else if (tMaxY < tMaxZ) {
+                y += stepY;
+                t = tMaxY;
+                tMaxY += tDeltaY;
+                normal.set(0, -stepY, 0);
+            } else {
+                z += stepZ;
+                t = tMaxZ;
+                tMaxZ += tDeltaZ;
+                normal.set(0, 0, -stepZ);
+            }
         }
         
         return null;
     }
     
     /**
-     * Get a collision box for physics checks
+     * Find where a ray that has reached a block's cell hits the block
+     * A full block is hit where the ray enters its cell; a model block where the
+     * ray first enters one of its selection boxes, if it does at all.
+     * @param {number} x - Block X coordinate
+     * @param {number} y - Block Y coordinate
+     * @param {number} z - Block Z coordinate
+     * @param {number} blockId - Id of the block
+     * @param {THREE.Vector3} origin - Ray origin (block units)
+     * @param {THREE.Vector3} dir - Normalized ray direction
+     * @param {number} t - Ray length at which the cell was entered
+     * @param {THREE.Vector3} normal - Face of the cell the ray entered through
+     * @returns {Object} - {t, normal} or null when the ray misses the model
+     * @private
+     */
+    raycastBlock(x, y, z, blockId, origin, dir, t, normal) {
+        const blockType = this.resourceManager.getBlockTypeById(blockId);
+        if (!blockType.model) return { t, normal };
+        
+        let best = null;
+        for (const box of this.getBlockBoxes(x, y, z, blockType, getSelectionBoxes)) {
+            const hit = this.raycastBox(box, origin, dir);
+            if (hit && (!best || hit.t < best.t)) best = hit;
+        }
+        return best;
+    }
+    
+    /**
+     * Intersect a ray with a box (slab method)
+     * @param {Object} box - Box {min, max} in block units
+     * @param {THREE.Vector3} origin - Ray origin
+     * @param {THREE.Vector3} dir - Normalized ray direction
+     * @returns {Object} - {t, normal} where the ray enters the box (t 0 and no normal
+     *     when it starts inside), or null when it misses
+     * @private
+     */
+    raycastBox(box, origin, dir) {
+        let enter = 0;
+        let exit = Infinity;
+        const normal = new THREE.Vector3();
+        
+        for (const axis of ['x', 'y', 'z']) {
+            if (dir[axis] === 0) {
+                if (origin[axis] < box.min[axis] || origin[axis] > box.max[axis]) return null;
+                continue;
+            }
+            
+            const near = ((dir[axis] > 0 ? box.min[axis] : box.max[axis]) - origin[axis]) / dir[axis];
+            const far = ((dir[axis] > 0 ? box.max[axis] : box.min[axis]) - origin[axis]) / dir[axis];
+            if (near > enter) {
+                enter = near;
+                normal.set(0, 0, 0);
+                normal[axis] = -Math.sign(dir[axis]);
+            }
+            exit = Math.min(exit, far);
+        }
+        
+        return enter <= exit ? { t: enter, normal } : null;
+    }
+    
+    /**
+     * Check whether a block can be targeted (air and fluids are looked through)
+     * @param {number} blockId - Block id
+     * @returns {boolean} - Whether the block can be targeted
+     * @private
+     */
+    isTargetable(blockId) {
+        if (blockId === 0) return false;
+        
+        const blockType = this.resourceManager.getBlockTypeById(blockId);
+        return blockType.physics !== 'fluid';
+    }
+    
+    /**
+     * Get the collision boxes of a block for physics checks
+     * A full block has one unit box; a block with a model has the boxes of its
+     * shape, which may reach into the block above (fences).
      * @param {number} x - World X coordinate
      * @param {number} y - World Y coordinate
      * @param {number} z - World Z coordinate
-     * @returns {Object} - Collision box with min and max points
+     * @returns {Array} - Collision boxes with min and max points (empty when the block is not solid)
      */
-    getCollisionBox(x, y, z) {
-        if (!this.isSolid(x, y, z)) {
-            return null;
+    getCollisionBoxes(x, y, z) {
+        const blockType = this.resourceManager.getBlockTypeById(this.getBlockIdAt(x, y, z));
+        if (!blockType || !blockType.solid) {
+            return [];
         }
         
-        // Create a simple axis-aligned bounding box
-        return {
-            min: { x: x, y: y, z: z },
-            max: { x: x + 1, y: y + 1, z: z + 1 }
-        };
+        if (!blockType.model) {
+            return [{
+                min: { x: x, y: y, z: z },
+                max: { x: x + 1, y: y + 1, z: z + 1 }
+            }];
+        }
+        
+        return this.getBlockBoxes(x, y, z, blockType, getCollisionBoxes);
+    }
+    
+    /**
+     * Get the boxes of a model block in world coordinates
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @param {Object} blockType - Type of the block
+     * @param {Function} getBoxes - getCollisionBoxes or getSelectionBoxes from BlockModels
+     * @returns {Array} - Boxes {min, max}
+     * @private
+     */
+    getBlockBoxes(x, y, z, blockType, getBoxes) {
+        const blockInfo = this.getRenderTable().blockInfo;
+        const connections = getConnections(blockType.model, (dx, dz) => blockInfo[this.getBlockIdAt(x + dx, y, z + dz)]);
+        
+        return getBoxes(blockType.model, this.getBlockState(x, y, z), connections).map(box => ({
+            min: { x: x + box[0], y: y + box[1], z: z + box[2] },
+            max: { x: x + box[3], y: y + box[4], z: z + box[5] }
+        }));
     }
     
     /**
@@ -738,10 +1818,8 @@ export class World {
         for (let x = minX; x < maxX; x++) {
             for (let y = minY; y < maxY; y++) {
                 for (let z = minZ; z < maxZ; z++) {
-                    if (this.isSolid(x, y, z)) {
-                        const blockBox = this.getCollisionBox(x, y, z);
-                        
-                        if (blockBox && this.checkBoxCollision(playerBox, blockBox)) {
+                    for (const blockBox of this.getCollisionBoxes(x, y, z)) {
+                        if (this.checkBoxCollision(playerBox, blockBox)) {
                             collisions.push({
                                 position: { x, y, z },
                                 blockType: this.getBlockAt(x, y, z),
@@ -774,93 +1852,259 @@ export class World {
     }
     
     /**
-     * Calculate collision resolution vectors
-     * @param {Object} playerBox - Player's bounding box
-     * @param {Object} blockBox - Block's bounding box
-     * @returns {THREE.Vector3} - Collision resolution vector
-     * @private
+     * Check which blocks overlap an upright box standing at a position
+     * @param {THREE.Vector3} position - Bottom center of the box
+     * @param {number} radius - Half the box width
+     * @param {number} height - Box height
+     * @returns {Array} - Overlapping blocks (see checkBlockCollisions)
+     */
+    checkFullCollision(position, radius, height = 1.8) {
+        return this.checkBlockCollisions(this.createEntityBox(position, radius, height));
+    }
+    
+    /**
+     * Move an upright box through the world, stopping it at solid blocks
+     * The movement is swept one axis at a time (Y, then X, then Z) against every
+     * block box in its path, so fast movement cannot tunnel through blocks. A box
+     * that is blocked horizontally while on the ground retries the move raised by
+     * up to stepHeight, which lets it walk up half-block ledges.
+     * @param {THREE.Vector3} position - Bottom center of the box
+     * @param {THREE.Vector3} velocity - Desired movement for this step (world units)
+     * @param {number} radius - Half the box width
+     * @param {Object} options - {height: box height, stepHeight: highest ledge to step onto,
+     *     onGround: whether the box was standing on the ground before moving}
+     * @returns {Object} - {velocity: allowed movement, onGround, onCeiling, onWall,
+     *     collidedX, collidedZ, stepped}
      */
-    calculateResolutionVector(playerBox, blockBox) {
-        // Calculate overlap on each axis
-        const xOverlap = Math.min(
-            playerBox.max.x - blockBox.min.x,
-            blockBox.max.x - playerBox.min.x
-        );
+    resolveBlockCollision(position, velocity, radius, options = {}) {
+        const height = options.height !== undefined ? options.height : 1.8;
+        const stepHeight = options.stepHeight !== undefined ? options.stepHeight : 0.5;
+        
+        const box = this.createEntityBox(position, radius, height);
+        
+        // Every block the box could touch, including a raised step attempt
+        const blockBoxes = this.getCollisionBoxesInRange({
+            min: {
+                x: box.min.x + Math.min(0, velocity.x),
+                y: box.min.y + Math.min(0, velocity.y),
+                z: box.min.z + Math.min(0, velocity.z)
+            },
+            max: {
+                x: box.max.x + Math.max(0, velocity.x),
+                y: box.max.y + Math.max(0, velocity.y) + stepHeight,
+                z: box.max.z + Math.max(0, velocity.z)
+            }
+        });
+        
+        let movement = this.sweepBox(blockBoxes, this.cloneBox(box), velocity.y, velocity.x, velocity.z);
+        
+        const onGround = velocity.y < 0 && movement.y > velocity.y + 1e-7;
+        const onCeiling = velocity.y > 0 && movement.y < velocity.y - 1e-7;
+        let stepped = false;
         
-        const yOverlap = Math.min(
-            playerBox.max.y - blockBox.min.y,
-            blockBox.max.y - playerBox.min.y
-        );
+        // Blocked horizontally on the ground: try stepping up onto the obstacle
+        const blockedX = Math.abs(movement.x - velocity.x) > 1e-7;
+        const blockedZ = Math.abs(movement.z - velocity.z) > 1e-7;
+        if (stepHeight > 0 && (options.onGround || onGround) && (blockedX || blockedZ)) {
+            const stepBox = this.cloneBox(box);
+            const rise = this.sweepBox(blockBoxes, stepBox, stepHeight, velocity.x, velocity.z);
+            
+            // Settle back down onto whatever is under the box now
+            const settle = this.clipAxisMovement(blockBoxes, stepBox, 'y', -rise.y);
+            
+            const steppedDistance = rise.x * rise.x + rise.z * rise.z;
+            const plainDistance = movement.x * movement.x + movement.z * movement.z;
+            if (steppedDistance > plainDistance + 1e-7) {
+                movement = { x: rise.x, y: rise.y + settle, z: rise.z };
+                stepped = true;
+            }
+        }
         
-        const zOverlap = Math.min(
-            playerBox.max.z - blockBox.min.z,
-            blockBox.max.z - playerBox.min.z
-        );
+        const collidedX = Math.abs(movement.x - velocity.x) > 1e-7;
+        const collidedZ = Math.abs(movement.z - velocity.z) > 1e-7;
         
-        // Find the smallest overlap to resolve the collision
-        const resolution = new THREE.Vector3();
+        return {
+            velocity: new THREE.Vector3(movement.x, movement.y, movement.z),
+            onGround: onGround || stepped,
+            onCeiling: onCeiling && !stepped,
+            onWall: collidedX || collidedZ,
+            collidedX,
+            collidedZ,
+            stepped
+        };
+    }
+    
+    /**
+     * Build the box of an upright entity from its bottom center
+     * @private
+     */
+    createEntityBox(position, radius, height) {
+        return {
+            min: { x: position.x - radius, y: position.y, z: position.z - radius },
+            max: { x: position.x + radius, y: position.y + height, z: position.z + radius }
+        };
+    }
+    
+    /**
+     * Copy a bounding box
+     * @private
+     */
+    cloneBox(box) {
+        return {
+            min: { x: box.min.x, y: box.min.y, z: box.min.z },
+            max: { x: box.max.x, y: box.max.y, z: box.max.z }
+        };
+    }
+    
+    /**
+     * Collect the collision boxes of all blocks overlapping a region
+     * The layer below the region is included for boxes reaching up out of their
+     * block (fences).
+     * @param {Object} region - Bounding box in world units
+     * @returns {Array} - Block bounding boxes
+     * @private
+     */
+    getCollisionBoxesInRange(region) {
+        const boxes = [];
         
-        if (xOverlap < yOverlap && xOverlap < zOverlap) {
-            resolution.x = playerBox.max.x > blockBox.max.x ? xOverlap : -xOverlap;
-        } else if (yOverlap < xOverlap && yOverlap < zOverlap) {
-            resolution.y = playerBox.max.y > blockBox.max.y ? yOverlap : -yOverlap;
-        } else {
-            resolution.z = playerBox.max.z > blockBox.max.z ? zOverlap : -zOverlap;
+        for (let x = Math.floor(region.min.x); x <= Math.floor(region.max.x); x++) {
+            for (let y = Math.floor(region.min.y) - 1; y <= Math.floor(region.max.y); y++) {
+                for (let z = Math.floor(region.min.z); z <= Math.floor(region.max.z); z++) {
+                    boxes.push(...this.getCollisionBoxes(x, y, z));
+                }
+            }
         }
         
-        return resolution;
+        return boxes;
     }
     
     /**
-     * Resolve collisions with the world
-     * @param {Object} playerBox - Player's bounding box
-     * @param {THREE.Vector3} velocity - Player's current velocity
-     * @returns {Object} - Resolved position and collision flags
-     */
-    resolveCollisions(playerBox, velocity) {
-        // Check for collisions
-        const collisions = this.checkBlockCollisions(playerBox);
-        
-        // No collisions, return unchanged
-        if (collisions.length === 0) {
-            return {
-                position: new THREE.Vector3(
-                    (playerBox.min.x + playerBox.max.x) / 2,
-                    playerBox.min.y,
-                    (playerBox.min.z + playerBox.max.z) / 2
-                ),
-                onGround: false,
-                colliding: false
-            };
-        }
-        
-        // Track if player is on ground
-        let onGround = false;
-        let resolvedPosition = new THREE.Vector3(
-            (playerBox.min.x + playerBox.max.x) / 2,
-            playerBox.min.y,
-            (playerBox.min.z + playerBox.max.z) / 2
-        );
-        
-        // For each collision, calculate resolution
-        for (const collision of collisions) {
-            const resolution = this.calculateResolutionVector(playerBox, collision.box);
-            
-            // Apply resolution to position
-            resolvedPosition.add(resolution);
+     * Move a box along Y, X and Z in turn, clipping each axis against block boxes
+     * The box is moved in place.
+     * @returns {Object} - Movement actually made on each axis {x, y, z}
+     * @private
+     */
+    sweepBox(blockBoxes, box, dy, dx, dz) {
+        const movement = { x: 0, y: 0, z: 0 };
+        
+        movement.y = this.clipAxisMovement(blockBoxes, box, 'y', dy);
+        movement.x = this.clipAxisMovement(blockBoxes, box, 'x', dx);
+        movement.z = this.clipAxisMovement(blockBoxes, box, 'z', dz);
+        
+        return movement;
+    }
+    
+    /**
+     * Clip movement along one axis so the box stops at the first block in the way,
+     * then move the box by the clipped amount
+     * @param {Array} blockBoxes - Block bounding boxes to collide with
+     * @param {Object} box - Moving box (updated in place)
+     * @param {string} axis - 'x', 'y' or 'z'
+     * @param {number} amount - Desired movement along the axis
+     * @returns {number} - Allowed movement
+     * @private
+     */
+    clipAxisMovement(blockBoxes, box, axis, amount) {
+        if (amount === 0) return 0;
+        
+        const epsilon = 1e-7;
+        const [a, b] = axis === 'x' ? ['y', 'z'] : axis === 'y' ? ['x', 'z'] : ['x', 'y'];
+        
+        for (const block of blockBoxes) {
+            // Only blocks overlapping the box on the other two axes can be hit
+            if (box.max[a] <= block.min[a] + epsilon || box.min[a] >= block.max[a] - epsilon) continue;
+            if (box.max[b] <= block.min[b] + epsilon || box.min[b] >= block.max[b] - epsilon) continue;
             
-            // Check if player is on ground (colliding with a block below)
-            if (resolution.y > 0 && Math.abs(resolution.y) > Math.abs(resolution.x) && 
-                Math.abs(resolution.y) > Math.abs(resolution.z)) {
-                onGround = true;
+            if (amount > 0 && box.max[axis] <= block.min[axis] + epsilon) {
+                amount = Math.min(amount, block.min[axis] - box.max[axis]);
+            } else if (amount < 0 && box.min[axis] >= block.max[axis] - epsilon) {
+                amount = Math.max(amount, block.max[axis] - box.min[axis]);
             }
         }
         
-        return {
-            position: resolvedPosition,
-            onGround,
-            colliding: true
-        };
+        box.min[axis] += amount;
+        box.max[axis] += amount;
+        
+        return amount;
+    }
+    
+    /**
+     * Get the biome of a world column
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {Object} - Biome definition (see BiomeRegistry)
+     */
+    getBiomeAt(x, z) {
+        x = Math.floor(x);
+        z = Math.floor(z);
+        
+        // Usually asked for the player's column many frames in a row
+        const cached = this.lastBiome;
+        if (cached && cached.x === x && cached.z === z && cached.seed === this.seed) {
+            return cached.biome;
+        }
+        
+        const biome = this.generator.getBiomeAt(x, z);
+        this.lastBiome = { x, z, seed: this.seed, biome };
+        return biome;
+    }
+    
+    /**
+     * Check whether the chunk containing a position has been generated
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {boolean} - Whether the chunk is loaded
+     */
+    isChunkLoadedAt(x, z) {
+        return this.getChunkAt(Math.floor(x), Math.floor(z)) !== null;
+    }
+    
+    /**
+     * Check whether a world position is air inside a generated cave
+     * @param {number} x - World X coordinate
+     * @param {number} y - World Y coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {boolean} - Whether the position is cave air
+     */
+    isCaveAir(x, y, z) {
+        x = Math.floor(x);
+        y = Math.floor(y);
+        z = Math.floor(z);
+        
+        const chunk = this.getChunkAt(x, z);
+        if (!chunk) return false;
+        
+        return chunk.isCaveAir(x - chunk.position.x * this.chunkSize.x, y, z - chunk.position.z * this.chunkSize.z);
+    }
+    
+    /**
+     * Check whether a position is underground in a cave
+     * True when the position is cave air and solid ground still covers it, so
+     * standing in a cave mouth or at the bottom of an open ravine does not count.
+     * @param {THREE.Vector3} position - World position (e.g. the player's eyes)
+     * @returns {boolean} - Whether the position is in a cave
+     */
+    isInCave(position) {
+        const x = Math.floor(position.x);
+        const y = Math.floor(position.y);
+        const z = Math.floor(position.z);
+        
+        return this.isCaveAir(x, y, z) && this.getHighestSolidBlock(x, z) > y;
+    }
+    
+    /**
+     * Find the highest solid block in a column
+     * @param {number} x - World X coordinate
+     * @param {number} z - World Z coordinate
+     * @returns {number} - Y of the highest solid block, or -1 if there is none
+     */
+    getHighestSolidBlock(x, z) {
+        for (let y = this.chunkSize.y - 1; y >= 0; y--) {
+            if (this.isSolid(x, y, z)) {
+                return y;
+            }
+        }
+        return -1;
     }
     
     /**
@@ -868,22 +2112,40 @@ export class World {
      * @returns {Object} - World data for saving
      */
     save() {
+        this.saveChunks();
+        
         const worldData = {
+            id: this.worldId, // Names the world's chunks in the chunk store
             seed: this.seed,
+            seaLevel: this.seaLevel,
+            preset: this.preset, // Regenerates the same terrain together with the seed
             blocks: [], // Only save non-default blocks
             version: 1
         };
         
-        // Convert block data to array for storage
-        for (const [key, value] of this.blockData.entries()) {
-            // Only save blocks that differ from the default generated terrain
-            // For simple implementation, save all blocks
-            const [x, y, z] = key.split(',').map(Number);
+        // Generated terrain comes back from the seed and modified chunks are in
+        // the chunk store, so only the remaining edits are listed (without a
+        // chunk store, all of them)
+        const layerSize = this.chunkSize.x * this.chunkSize.z;
+        for (const [chunkKey, edits] of this.blockEdits.entries()) {
+            const [chunkX, chunkZ] = chunkKey.split(',').map(Number);
             
-            worldData.blocks.push({
-                x, y, z,
-                type: value
-            });
+            for (const [index, edit] of edits.entries()) {
+                const y = Math.floor(index / layerSize);
+                const z = Math.floor((index % layerSize) / this.chunkSize.x);
+                const x = index % this.chunkSize.x;
+                
+                const block = {
+                    x: chunkX * this.chunkSize.x + x,
+                    y,
+                    z: chunkZ * this.chunkSize.z + z,
+                    type: this.resourceManager.getBlockTypeById(edit & 0xff).key
+                };
+                if (edit > 0xff) {
+                    block.state = edit >> 8;
+                }
+                worldData.blocks.push(block);
+            }
         }
         
         return worldData;
@@ -897,13 +2159,29 @@ export class World {
         // Reset current world
         this.clear();
         
+        // Older saves have no id: their chunks get stored under the current one
+        if (worldData.id) {
+            this.worldId = worldData.id;
+            this.setChunkStore(this.chunkStore);
+        }
+        
+        // Older saves predate world presets: they used the default world
+        this.setPreset(worldData.preset || 'default');
+        
         // Set seed
-        this.seed = worldData.seed;
+        this.setSeed(worldData.seed);
+        
+        // Older saves predate configurable sea levels
+        if (worldData.seaLevel !== undefined) {
+            this.setSeaLevel(worldData.seaLevel);
+        }
         
         // Load blocks
         if (worldData.blocks) {
             for (const block of worldData.blocks) {
-                this.blockData.set(`${block.x},${block.y},${block.z}`, block.type);
+                const id = this.resourceManager.getBlockType(block.type).id;
+                // Older saves kept fluid levels as 'level'
+                this.recordBlockEdit(block.x, block.y, block.z, id, block.state || block.level || 0);
             }
         }
         
@@ -914,29 +2192,48 @@ export class World {
      * Clear the entire world
      */
     clear() {
+        // Drop outstanding background work
+        if (this.workerPool) {
+            this.workerPool.cancelAll();
+        }
+        this.pendingChunks.clear();
+        this.storedChunks = [];
+        this.meshJobs.clear();
+        this.centerChunk = null;
+        this.fluids.clear();
+        this.dirtyChunks.clear();
+        this.blockUpdates.clear();
+        this.flames.clear();
+        
+        for (const entity of this.entities) {
+            entity.dispose();
+        }
+        this.entities = [];
+        
         // Remove all chunks from scene
         for (const chunk of this.chunks.values()) {
-            this.scene.remove(chunk.mesh);
-            
-            // Dispose of resources
-            if (chunk.blocks) {
-                for (const block of chunk.blocks) {
-                    if (block.geometry) block.geometry.dispose();
-                    if (block.material) {
-                        if (Array.isArray(block.material)) {
-                            block.material.forEach(m => m.dispose());
-                        } else {
-                            block.material.dispose();
-                        }
-                    }
-                }
-            }
+            this.disposeChunkMesh(chunk);
+            chunk.dispose();
         }
         
         // Clear data structures
         this.chunks.clear();
-        this.blockData.clear();
-        this.collidableObjects = [];
+        this.blockEdits.clear();
+        this.lastChunk = null;
+    }
+    
+    /**
+     * Clear the world and stop the chunk workers
+     * Edits since the last save are dropped, like the rest of the unsaved progress.
+     */
+    dispose() {
+        this.clear();
+        this.resourceManager.removeBlockTypeListener(this.blockTypeListener);
+        
+        if (this.workerPool) {
+            this.workerPool.dispose();
+            this.workerPool = null;
+        }
     }
     
     /**
@@ -945,11 +2242,24 @@ export class World {
      * @param {THREE.Vector3} playerPosition - Current player position
      */
     update(deltaTime, playerPosition) {
-        // Load chunks around player
+        // Request chunks around player and integrate finished ones
         this.loadChunksAroundPosition(playerPosition);
-        
-        // Update any dynamic world elements here
-        // For example, water animation, day/night cycle, etc.
+        this.processChunkJobs();
+        
+        // Block updates, fluid flow and entities, then remesh everything they changed in one go
+        this.processBlockUpdates();
+        this.fluids.update(deltaTime);
+        this.updateEntities(deltaTime);
+        this.updateFlames(deltaTime, playerPosition);
+        this.rebuildDirtyChunks();
+        
+        // Modified chunks are written out as the game goes, kept apart from
+        // the saved world until the game is saved (see ChunkStore.commit)
+        this.chunkSaveTimer += deltaTime;
+        if (this.chunkSaveTimer >= this.chunkSaveInterval) {
+            this.chunkSaveTimer = 0;
+            this.saveChunks();
+        }
     }
 
     /**
@@ -0,0 +1,429 @@
+/**
+ * WorldPresets - World types offered when creating a world
+ * A preset is plain JSON that is stored in the save next to the seed, so a
+ * world always regenerates with the settings it was created with. The built-in
+ * presets are starting points; a custom preset can change any of the fields
+ * below (see resolvePreset), and TerrainGenerator reads the resolved preset.
+ *
+ * Fields:
+ *   type        - Preset the settings started from (informational)
+ *   seaLevel    - Height up to which low terrain fills with water
+ *   heightScale - Stretches terrain heights away from heightBase (amplified)
+ *   heightBase  - Height that heightScale stretches from
+ *   heightMin   - Lowest surface height
+ *   heightMax   - Highest surface height
+ *   noise       - Per noise generator overrides of DEFAULT_NOISE, e.g.
+ *                 {"terrain": {"scale": 0.02}}
+ *   biomes      - Per biome overrides of plain biome fields (see BiomeRegistry);
+ *                 weight (default 1) scales how much of the climate range a
+ *                 biome claims, 0 removes it
+ *   biome       - Single biome for the whole world (optional)
+ *   layers      - Flat world of stacked layers, bottom first:
+ *                 [{block, height}] (optional)
+ *   islands     - Floating islands over the void (optional):
+ *                 {height, thickness, threshold, spawnRadius}
+ *   heightmap   - Terrain heights read from a grayscale image (optional):
+ *                 image        - Data URL (embedded) or URL (referenced) of the image
+ *                 minHeight    - Height of black pixels
+ *                 maxHeight    - Height of white pixels
+ *                 scale        - Blocks per pixel; the image is centered on the origin
+ *                 wrap         - Beyond the image: 'tile' repeats it, 'clamp' extends its edges
+ *                 surface      - Data URL or URL of a color-coded image of surface rules,
+ *                                laid over the world like the height image (optional)
+ *                 surfaceColors - Rule by color, {"#rrggbb": block name or {block, biome}};
+ *                                pixels take the rule of the closest color
+ *   features    - Which generation steps run: caves, ores, lakes, structures,
+ *                 trees, plants (all default true)
+ */
+import { BiomeRegistry } from './BiomeRegistry.js';
+
+/**
+ * Noise generator settings of the default world (TerrainGenerator.initNoiseGenerators)
+ */
+export const DEFAULT_NOISE = {
+    // Primary terrain noise
+    terrain: {
+        scale: 0.01,      // Scale of the noise (higher = more stretched out)
+        height: 40,       // How much height variation
+        octaves: 4,       // Number of noise layers
+        persistence: 0.5, // How much each octave contributes
+        lacunarity: 2.0,  // How much detail is added at each octave
+        offset: [0, 0]    // Offset to apply to the noise
+    },
+
+    // Secondary noise for more detail
+    detail: {
+        scale: 0.05,
+        height: 8,
+        octaves: 2,
+        persistence: 0.5,
+        lacunarity: 2.0,
+        offset: [100, 100]
+    },
+
+    // Biome noise (temperature)
+    biome: {
+        scale: 0.005,     // Biomes change slowly
+        octaves: 2,
+        persistence: 0.5,
+        lacunarity: 2.0,
+        offset: [200, 200]
+    },
+
+    // Humidity, the second climate axis
+    humidity: {
+        scale: 0.005,
+        octaves: 2,
+        persistence: 0.5,
+        lacunarity: 2.0,
+        offset: [400, 400]
+    },
+
+    // Continentalness separates oceans, coasts, inland and mountains
+    continentalness: {
+        scale: 0.002,
+        octaves: 3,
+        persistence: 0.5,
+        lacunarity: 2.0,
+        offset: [500, 500]
+    },
+
+    // Cave noise
+    cave: {
+        scale: 0.03,
+        threshold: 0.6,   // Threshold for cave formation
+        octaves: 3,
+        persistence: 0.5,
+        lacunarity: 2.0,
+        offset: [300, 300, 300]
+    },
+
+    // Where floating islands are (islands preset)
+    islands: {
+        scale: 0.012,
+        octaves: 3,
+        persistence: 0.5,
+        lacunarity: 2.0,
+        offset: [600, 600]
+    }
+};
+
+const DEFAULT_PRESET = {
+    type: 'default',
+    seaLevel: 62,
+    heightScale: 1,
+    heightBase: 64,
+    heightMin: 32,
+    heightMax: 170,
+    noise: {},
+    biomes: {},
+    biome: null,
+    layers: null,
+    islands: null,
+    heightmap: null,
+    features: {
+        caves: true,
+        ores: true,
+        lakes: true,
+        structures: true,
+        trees: true,
+        plants: true
+    }
+};
+
+/**
+ * Built-in presets, as overrides of the default world
+ */
+export const WORLD_PRESETS = {
+    default: {
+        name: 'Default'
+    },
+    amplified: {
+        name: 'Amplified',
+        heightScale: 2.2,
+        heightMax: 240
+    },
+    superflat: {
+        name: 'Superflat',
+        seaLevel: 0,
+        biome: 'plains',
+        layers: [
+            { block: 'bedrock', height: 1 },
+            { block: 'dirt', height: 2 },
+            { block: 'grass', height: 1 }
+        ],
+        features: { caves: false, ores: false, lakes: false, trees: false, plants: false }
+    },
+    islands: {
+        name: 'Floating Islands',
+        seaLevel: 0,
+        islands: { height: 110, thickness: 28, threshold: 0.3, spawnRadius: 24 },
+        biomes: { ocean: { weight: 0 }, beach: { weight: 0 }, mountains: { weight: 0 } },
+        features: { lakes: false, structures: false }
+    },
+    heightmap: {
+        name: 'Heightmap Image',
+        heightmap: {
+            image: '',
+            minHeight: 40,
+            maxHeight: 140,
+            scale: 1,
+            wrap: 'clamp',
+            surface: null,
+            surfaceColors: {
+                '#40a040': { block: 'grass', biome: 'plains' },
+                '#1e5a1e': { block: 'grass', biome: 'forest' },
+                '#f0e080': { block: 'sand', biome: 'desert' },
+                '#ffffff': { block: 'snow', biome: 'snowy_tundra' },
+                '#808080': { block: 'stone', biome: 'mountains' },
+                '#806040': 'dirt',
+                '#4060ff': 'sand'
+            }
+        },
+        // Only the image shapes the land
+        features: { lakes: false }
+    },
+    custom: {
+        name: 'Custom'
+    }
+};
+
+/**
+ * Surface rule index of image pixels that have no rule (transparent pixels)
+ */
+export const NO_SURFACE_RULE = 255;
+
+/**
+ * Check that a value is a plain object
+ * @private
+ */
+function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build the full settings of a preset
+ * Fields left out take the values of the built-in preset named by type (or
+ * the default world), so stored presets stay short.
+ * @param {Object|string} preset - Preset settings, or the name of a built-in preset
+ * @param {Array} blockNames - Known block type names, to check the blocks the
+ *     preset places (optional, unchecked without)
+ * @returns {Object} - Complete, validated preset (see the fields above)
+ * @throws {Error} - When a field has an invalid value
+ */
+export function resolvePreset(preset = {}, blockNames = null) {
+    const resolved = mergePreset(preset);
+    validatePreset(resolved, blockNames && new Set(blockNames));
+    return resolved;
+}
+
+/**
+ * Merge a preset with the built-in preset it names, without validating it
+ * @private
+ */
+function mergePreset(preset) {
+    if (typeof preset === 'string') {
+        preset = { type: preset };
+    }
+    if (!isObject(preset)) {
+        throw new Error('Invalid world preset: expected an object');
+    }
+
+    const type = preset.type || 'default';
+    const base = WORLD_PRESETS[type];
+    if (!base) {
+        throw new Error(`Invalid world preset: unknown type '${type}'`);
+    }
+
+    const resolved = { ...DEFAULT_PRESET, ...base, ...preset, type };
+    delete resolved.name;
+    resolved.features = { ...DEFAULT_PRESET.features, ...base.features, ...preset.features };
+    resolved.noise = { ...base.noise, ...preset.noise };
+    resolved.biomes = { ...base.biomes, ...preset.biomes };
+    if (isObject(base.heightmap) && isObject(preset.heightmap)) {
+        resolved.heightmap = { ...base.heightmap, ...preset.heightmap };
+    }
+    return resolved;
+}
+
+/**
+ * Get the settings shown when editing a preset as JSON, with every noise
+ * parameter and biome weight spelled out
+ * @param {string} type - Built-in preset to start from
+ * @returns {Object} - Preset settings
+ */
+export function getPresetTemplate(type = 'default') {
+    // Not validated: the heightmap preset has no image yet
+    const preset = mergePreset({ type });
+    const noise = {};
+    for (const [name, settings] of Object.entries(DEFAULT_NOISE)) {
+        noise[name] = { ...settings, ...preset.noise[name] };
+    }
+
+    const biomes = {};
+    for (const biome of new BiomeRegistry().biomeList) {
+        biomes[biome.key] = { weight: 1, ...preset.biomes[biome.key] };
+    }
+
+    return { ...preset, type: 'custom', noise, biomes };
+}
+
+/**
+ * Parse flat world layers written as "bedrock,2*dirt,grass", bottom first
+ * @param {string} text - Comma separated blocks, each optionally preceded by "count*"
+ * @returns {Array} - Layers [{block, height}]
+ * @throws {Error} - When a layer can't be read
+ */
+export function parseLayers(text) {
+    const layers = String(text).split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = /^(?:(\d+)\s*\*\s*)?([a-z0-9_]+)$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid layer '${part}'`);
+        }
+        return { block: match[2], height: match[1] ? parseInt(match[1], 10) : 1 };
+    });
+
+    if (layers.length === 0) {
+        throw new Error('A flat world needs at least one layer');
+    }
+    return layers;
+}
+
+/**
+ * Write flat world layers in the form parseLayers reads
+ * @param {Array} layers - Layers [{block, height}]
+ * @returns {string} - Layer text
+ */
+export function formatLayers(layers) {
+    return layers.map(({ block, height }) => (height > 1 ? `${height}*${block}` : block)).join(',');
+}
+
+/**
+ * Check the fields of a resolved preset
+ * @param {Object} preset - Resolved preset
+ * @param {Set} blockNames - Known block type names (null to skip the check)
+ * @throws {Error} - On the first invalid field
+ * @private
+ */
+function validatePreset(preset, blockNames) {
+    const fail = message => { throw new Error(`Invalid world preset: ${message}`); };
+    const checkBlock = name => {
+        if (blockNames && !blockNames.has(name)) fail(`unknown block '${name}'`);
+    };
+    const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    for (const field of Object.keys(preset)) {
+        if (!(field in DEFAULT_PRESET)) fail(`unknown field '${field}'`);
+    }
+
+    if (!isInteger(preset.seaLevel, 0, 255)) fail('seaLevel must be a whole number from 0 to 255');
+    if (!isInteger(preset.heightMin, 0, 255) || !isInteger(preset.heightMax, preset.heightMin, 255)) {
+        fail('heightMin and heightMax must be whole numbers from 0 to 255, heightMin first');
+    }
+    if (typeof preset.heightScale !== 'number' || !(preset.heightScale > 0)) fail('heightScale must be a positive number');
+    if (typeof preset.heightBase !== 'number') fail('heightBase must be a number');
+
+    if (!isObject(preset.noise)) fail('noise must be an object');
+    for (const [name, settings] of Object.entries(preset.noise)) {
+        if (!DEFAULT_NOISE[name]) fail(`unknown noise generator '${name}'`);
+        if (!isObject(settings)) fail(`noise.${name} must be an object`);
+        for (const [key, value] of Object.entries(settings)) {
+            const expected = DEFAULT_NOISE[name][key];
+            if (expected === undefined) fail(`unknown setting noise.${name}.${key}`);
+            const valid = Array.isArray(expected)
+                ? Array.isArray(value) && value.length === expected.length && value.every(Number.isFinite)
+                : Number.isFinite(value);
+            if (!valid) fail(`noise.${name}.${key} must be ${Array.isArray(expected) ? `${expected.length} numbers` : 'a number'}`);
+        }
+    }
+
+    if (!isObject(preset.biomes)) fail('biomes must be an object');
+    const registry = new BiomeRegistry();
+    for (const [key, settings] of Object.entries(preset.biomes)) {
+        if (!registry.biomes.has(key)) fail(`unknown biome '${key}'`);
+        if (!isObject(settings)) fail(`biomes.${key} must be an object`);
+        for (const [field, value] of Object.entries(settings)) {
+            if (field === 'weight') {
+                if (!(value >= 0)) fail(`biomes.${key}.weight must be 0 or more`);
+                continue;
+            }
+            // Only plain fields can be changed; height curves are code
+            const current = registry.get(key)[field];
+            if (current === undefined || typeof current === 'function' || typeof value !== typeof current ||
+                Array.isArray(value) !== Array.isArray(current)) {
+                fail(`biomes.${key}.${field} can't be set to ${JSON.stringify(value)}`);
+            }
+        }
+    }
+    if (Object.keys(preset.biomes).length > 0 && registry.biomeList.every(biome =>
+        preset.biomes[biome.key] && preset.biomes[biome.key].weight === 0)) {
+        fail('at least one biome needs a weight above 0');
+    }
+
+    if (preset.biome !== null && !registry.biomes.has(preset.biome)) fail(`unknown biome '${preset.biome}'`);
+
+    if (preset.layers !== null) {
+        if (!Array.isArray(preset.layers) || preset.layers.length === 0) fail('layers must be a list of {block, height}');
+        let total = 0;
+        for (const layer of preset.layers) {
+            if (!isObject(layer) || typeof layer.block !== 'string' || !isInteger(layer.height, 1, 255)) {
+                fail('each layer needs a block name and a height from 1 to 255');
+            }
+            checkBlock(layer.block);
+            total += layer.height;
+        }
+        if (total > 255) fail('layers are taller than the world');
+    }
+
+    if (preset.islands !== null) {
+        const { height, thickness, threshold, spawnRadius } = isObject(preset.islands) ? preset.islands : {};
+        if (!isInteger(height, 1, 250) || !isInteger(thickness, 1, height) ||
+            !Number.isFinite(threshold) || !(spawnRadius >= 0)) {
+            fail('islands needs a height, a thickness up to the height, a threshold and a spawnRadius');
+        }
+    }
+
+    if (preset.heightmap !== null) {
+        validateHeightmap(preset.heightmap, registry, fail, checkBlock);
+    }
+
+    if (!isObject(preset.features)) fail('features must be an object');
+    for (const [feature, enabled] of Object.entries(preset.features)) {
+        if (!(feature in DEFAULT_PRESET.features)) fail(`unknown feature '${feature}'`);
+        if (typeof enabled !== 'boolean') fail(`features.${feature} must be true or false`);
+    }
+}
+
+/**
+ * Check the heightmap settings of a preset
+ * @private
+ */
+function validateHeightmap(heightmap, registry, fail, checkBlock) {
+    if (!isObject(heightmap)) fail('heightmap must be an object');
+
+    const { image, minHeight, maxHeight, scale, wrap, surface, surfaceColors } = heightmap;
+    if (typeof image !== 'string' || !image) fail('heightmap.image needs an image (data URL or URL)');
+    if (!Number.isInteger(minHeight) || !Number.isInteger(maxHeight) || minHeight < 0 || maxHeight > 255 ||
+        minHeight > maxHeight) {
+        fail('heightmap.minHeight and heightmap.maxHeight must be whole numbers from 0 to 255, minHeight first');
+    }
+    if (typeof scale !== 'number' || !(scale > 0)) fail('heightmap.scale must be a positive number');
+    if (wrap !== 'tile' && wrap !== 'clamp') fail("heightmap.wrap must be 'tile' or 'clamp'");
+    if (surface !== null && surface !== undefined && (typeof surface !== 'string' || !surface)) {
+        fail('heightmap.surface must be an image (data URL or URL) or null');
+    }
+
+    if (!isObject(surfaceColors)) fail('heightmap.surfaceColors must be an object');
+    const colors = Object.entries(surfaceColors);
+    if (colors.length >= NO_SURFACE_RULE) fail(`heightmap.surfaceColors has more than ${NO_SURFACE_RULE - 1} colors`);
+    for (const [color, rule] of colors) {
+        if (!/^#[0-9a-f]{6}$/i.test(color)) fail(`heightmap.surfaceColors: '${color}' is not a #rrggbb color`);
+        const { block, biome } = typeof rule === 'string' ? { block: rule } : isObject(rule) ? rule : {};
+        if (block === undefined && biome === undefined) {
+            fail(`heightmap.surfaceColors.${color} needs a block name or {block, biome}`);
+        }
+        if (block !== undefined && typeof block !== 'string') fail(`heightmap.surfaceColors.${color}.block must be a block name`);
+        if (block !== undefined) checkBlock(block);
+        if (biome !== undefined && !registry.biomes.has(biome)) fail(`unknown biome '${biome}'`);
+    }
+}